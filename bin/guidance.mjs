@@ -11,10 +11,19 @@ Commands:
   verify      Verify guidance wiring in a target repo
   run         Run all integration suites
   runtime     Demo the guidance runtime
+  daemon      Start, stop or inspect the per-project guidance daemon
+  approve     List pending approvals, or approve a command by id
+  deny        Deny a pending approval by id
   autopilot   One-shot or daemon-mode CLAUDE.md optimization
   benchmark   A/B benchmark (baseline vs guided)
   codex       Codex lifecycle bridge commands
   analyze     Compile and score CLAUDE.md policy bundle
+  simulate    Replay a session transcript against a candidate CLAUDE.md
+  evolution   Propose, simulate and roll out CLAUDE.md rule changes
+  shadow      Report what shadow mode would have blocked
+  proof       Verify, search and export the proof chain
+  keys        List or rotate the per-subsystem signing keys
+  report      Compliance report of blocks, threats, trust and promotions
   scaffold    Scaffold guidance files into a new project
 
 Options:
@@ -40,17 +49,27 @@ const commands = {
   verify:    () => import('./cf-guidance-impl.mjs'),
   run:       () => import('../scripts/guidance-integrations.js'),
   runtime:   () => import('../scripts/guidance-runtime.js'),
+  daemon:    () => import('../scripts/guidance-daemon.js'),
+  approve:   () => import('../scripts/guidance-approvals.js'),
+  deny:      () => import('../scripts/guidance-approvals.js'),
   autopilot: () => import('../scripts/guidance-autopilot.js'),
   benchmark: () => import('../scripts/guidance-ab-benchmark.js'),
   codex:     () => import('../scripts/guidance-codex-bridge.js'),
   analyze:   () => import('../scripts/analyze-guidance.js'),
+  simulate:  () => import('../scripts/guidance-simulate.js'),
+  evolution: () => import('../scripts/guidance-evolution.js'),
+  shadow:    () => import('../scripts/guidance-shadow.js'),
+  proof:     () => import('../scripts/guidance-proof.js'),
+  keys:      () => import('../scripts/guidance-keys.js'),
+  report:    () => import('../scripts/guidance-report.js'),
   scaffold:  () => import('../scripts/scaffold-guidance.js'),
 };
 
 if (commands[subcommand]) {
-  // For init/install/verify, the cf-guidance-impl.mjs reads argv[2] as the command
-  if (['init', 'install', 'verify'].includes(subcommand)) {
-    // Rewrite argv so cf-guidance-impl.mjs sees: [node, script, command, ...args]
+  // init/install/verify (cf-guidance-impl.mjs) and approve/deny
+  // (guidance-approvals.js) read argv[2] as the command
+  if (['init', 'install', 'verify', 'approve', 'deny'].includes(subcommand)) {
+    // Rewrite argv so the script sees: [node, script, command, ...args]
     process.argv = [process.argv[0], process.argv[1], subcommand, ...args];
   } else {
     // Other scripts read argv[2..] as their own args
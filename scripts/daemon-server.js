@@ -0,0 +1,277 @@
+import { createServer, createConnection } from 'node:net';
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, statSync, unlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join, resolve } from 'node:path';
+
+import { createGuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { safeString, readJson, writeJson, nowIso } from '../src/utils.mjs';
+import { runEvent } from './event-handlers.js';
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Unix domain socket paths are capped at ~104-108 bytes depending on platform.
+const MAX_SOCKET_PATH_BYTES = 100;
+
+const WATCHED_GUIDANCE_FILES = [
+  'CLAUDE.md',
+  'CLAUDE.local.md',
+  '.claude-flow/guidance/components.json',
+  '.claude-flow/guidance/read-policy.json',
+  '.claude-flow/guidance/egress-policy.json',
+  '.claude-flow/guidance/mcp-policy.json',
+  '.claude-flow/guidance/shadow-mode.json',
+  '.claude-flow/guidance/evolution/active-rollout.json',
+  '.claude-flow/guidance/keys/keyring.json',
+];
+
+export function getDaemonInfoPath(rootDir) {
+  return resolve(rootDir, '.claude-flow/guidance/daemon.json');
+}
+
+export function getDefaultSocketPath(rootDir) {
+  const digest = createHash('sha256').update(resolve(rootDir)).digest('hex').slice(0, 12);
+  if (process.platform === 'win32') return `\\\\.\\pipe\\cf-guidance-${digest}`;
+  const localPath = resolve(rootDir, '.claude-flow/guidance/daemon.sock');
+  if (Buffer.byteLength(localPath) <= MAX_SOCKET_PATH_BYTES) return localPath;
+  return join(tmpdir(), `cf-guidance-${digest}.sock`);
+}
+
+export function readDaemonInfo(rootDir) {
+  return readJson(getDaemonInfoPath(rootDir), null);
+}
+
+/**
+ * Send a single NDJSON request to a running daemon.
+ * Resolves with the parsed response, or null when no daemon answers.
+ */
+export function requestDaemon(socketPath, message, timeoutMs = 2000) {
+  return new Promise((resolvePromise) => {
+    let buffer = '';
+    let settled = false;
+    const finish = (value) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolvePromise(value);
+    };
+
+    const socket = createConnection(socketPath);
+    socket.setEncoding('utf-8');
+    socket.setTimeout(timeoutMs, () => finish(null));
+    socket.on('error', () => finish(null));
+    socket.on('connect', () => socket.write(`${JSON.stringify(message)}\n`));
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline < 0) return;
+      try {
+        finish(JSON.parse(buffer.slice(0, newline)));
+      } catch {
+        finish(null);
+      }
+    });
+    socket.on('end', () => finish(null));
+  });
+}
+
+function guidanceSignature(rootDir) {
+  return WATCHED_GUIDANCE_FILES.map((relPath) => {
+    const fullPath = resolve(rootDir, relPath);
+    if (!existsSync(fullPath)) return `${relPath}:absent`;
+    const stats = statSync(fullPath);
+    return `${relPath}:${stats.mtimeMs}:${stats.size}`;
+  }).join('|');
+}
+
+/**
+ * Long-lived per-project guidance daemon.
+ *
+ * Holds one initialized GuidanceAdvancedRuntime and serves runEvent() calls
+ * over a Unix domain socket (named pipe on Windows), so hook invocations do
+ * not pay for recompiling CLAUDE.md and reloading the ledger and proof chain.
+ * Events are processed strictly in arrival order.
+ */
+export class GuidanceDaemon {
+  constructor(options = {}) {
+    this.rootDir = resolve(options.rootDir ?? process.cwd());
+    this.socketPath = options.socketPath ?? getDefaultSocketPath(this.rootDir);
+    this.infoPath = getDaemonInfoPath(this.rootDir);
+    this.idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+    this.createRuntime = options.createRuntime
+      ?? ((rootDir) => createGuidanceAdvancedRuntime({ rootDir }));
+
+    this.runtime = null;
+    this.runtimeSignature = null;
+    this.runtimeGeneration = 0;
+    this.queue = Promise.resolve();
+    this.server = null;
+    this.idleTimer = null;
+    this.startedAt = null;
+    this.requestCount = 0;
+    this.stopping = null;
+  }
+
+  async start() {
+    if (process.platform !== 'win32') mkdirSync(dirname(this.socketPath), { recursive: true });
+    if (existsSync(this.socketPath) && process.platform !== 'win32') {
+      const existing = await requestDaemon(this.socketPath, { type: 'ping' }, 500);
+      if (existing?.ok) {
+        throw new Error(`Guidance daemon already running on ${this.socketPath}`);
+      }
+      unlinkSync(this.socketPath);
+    }
+
+    this.server = createServer((socket) => this.handleConnection(socket));
+    await new Promise((resolvePromise, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.off('error', reject);
+        resolvePromise();
+      });
+    });
+
+    this.startedAt = nowIso();
+    writeJson(this.infoPath, {
+      pid: process.pid,
+      socketPath: this.socketPath,
+      rootDir: this.rootDir,
+      startedAt: this.startedAt,
+    });
+    this.touch();
+    return this;
+  }
+
+  async stop() {
+    if (this.stopping) return this.stopping;
+    this.stopping = (async () => {
+      clearTimeout(this.idleTimer);
+      if (this.server) {
+        await new Promise((resolvePromise) => this.server.close(() => resolvePromise()));
+      }
+      await this.queue.catch(() => {});
+      await this.releaseRuntime();
+      const info = readJson(this.infoPath, null);
+      if (info?.pid === process.pid && existsSync(this.infoPath)) unlinkSync(this.infoPath);
+    })();
+    return this.stopping;
+  }
+
+  touch() {
+    clearTimeout(this.idleTimer);
+    if (this.idleTimeoutMs > 0) {
+      this.idleTimer = setTimeout(() => { this.stop(); }, this.idleTimeoutMs);
+    }
+  }
+
+  handleConnection(socket) {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline = buffer.indexOf('\n');
+      while (newline >= 0) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) this.respond(socket, line);
+        newline = buffer.indexOf('\n');
+      }
+    });
+  }
+
+  async respond(socket, line) {
+    let response;
+    try {
+      response = await this.handleRequest(JSON.parse(line));
+    } catch (error) {
+      response = { ok: false, error: error instanceof Error ? error.message : String(error) };
+    }
+    if (!socket.destroyed) socket.write(`${JSON.stringify(response)}\n`);
+    if (response.shutdown) this.stop();
+  }
+
+  async handleRequest(request) {
+    this.touch();
+    this.requestCount += 1;
+
+    switch (request?.type) {
+      case 'ping':
+        return { ok: true, pong: true, pid: process.pid };
+
+      case 'status':
+        return { ok: true, status: this.getStatus() };
+
+      case 'shutdown':
+        return { ok: true, shutdown: true };
+
+      case 'event': {
+        const eventName = safeString(request.event, '');
+        if (!eventName) return { ok: false, error: 'Missing event name' };
+        const payload = request.payload && typeof request.payload === 'object' ? request.payload : {};
+        const pending = this.enqueue(eventName, payload);
+        if (request.async) {
+          pending.catch(() => {});
+          return { ok: true, queued: true };
+        }
+        return { ok: true, result: await pending };
+      }
+
+      default:
+        return { ok: false, error: `Unknown daemon request type: ${safeString(request?.type, 'none')}` };
+    }
+  }
+
+  enqueue(eventName, payload) {
+    const run = this.queue.then(async () => {
+      const runtime = await this.getRuntime();
+      return runEvent(runtime, eventName, payload);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async getRuntime() {
+    const signature = guidanceSignature(this.rootDir);
+    if (this.runtime && signature !== this.runtimeSignature) {
+      // CLAUDE.md or the component selection changed (e.g. autopilot promotion);
+      // rebuild so the daemon never enforces a stale bundle.
+      await this.releaseRuntime();
+    }
+    if (!this.runtime) {
+      this.runtime = this.createRuntime(this.rootDir);
+      this.runtimeSignature = signature;
+      this.runtimeGeneration += 1;
+    }
+    await this.runtime.initialize();
+    return this.runtime;
+  }
+
+  async releaseRuntime() {
+    if (!this.runtime) return;
+    const runtime = this.runtime;
+    this.runtime = null;
+    try {
+      await runtime.phase1.destroy();
+    } catch {
+      // Ledger flush failures must not keep the daemon alive.
+    }
+  }
+
+  getStatus() {
+    return {
+      pid: process.pid,
+      rootDir: this.rootDir,
+      socketPath: this.socketPath,
+      startedAt: this.startedAt,
+      requestCount: this.requestCount,
+      runtimeInitialized: Boolean(this.runtime?.initialized),
+      runtimeGeneration: this.runtimeGeneration,
+      idleTimeoutMs: this.idleTimeoutMs,
+    };
+  }
+}
+
+export function createGuidanceDaemon(options = {}) {
+  return new GuidanceDaemon(options);
+}
@@ -7,6 +7,35 @@ import {
   outcomeFromHookResult,
   severityFromThreat,
 } from '../src/utils.mjs';
+import {
+  readSessionRecords,
+  writeSessionRecords,
+  readSessionRecord,
+  recordSessionViolations,
+  recordSessionEdit,
+  recordSessionTestRun,
+  getUnresolvedViolations,
+  isUnresolvedSeverity,
+  resolveSessionViolations,
+  isTestCommand,
+  testsPendingAfterEdits,
+  recordSessionStep,
+  recordSessionFailure,
+  recordSessionToolCall,
+  getSessionToolCalls,
+  failureSignature,
+  getLastSessionSummary,
+  getSessionTestResults,
+} from '../src/guidance/session-records.js';
+import { testResultsFromCommand } from '../src/guidance/test-output.js';
+import { compileReadPolicy, evaluateReadAccess, redactFileContent } from '../src/guidance/read-policy.js';
+import { appendEgressLog, compileEgressPolicy, evaluateEgress } from '../src/guidance/egress-policy.js';
+import { compileMcpPolicy, evaluateMcpTool } from '../src/guidance/mcp-policy.js';
+import { findShellRisks, parseShellCommand } from '../src/guidance/shell-parser.js';
+import { consumeApproval, findApproval, findApprovalCliRisks, requestApproval } from '../src/guidance/approvals.js';
+import { appendGoldenTraceStep } from '../src/guidance/golden-traces.js';
+import { graduateRollout } from '../src/guidance/evolution-proposals.js';
+import { decisionRules, loadShadowMode, shadowCoverage } from '../src/guidance/shadow-mode.js';
 
 function sanitizeDiffLines(input) {
   const value = Number(input);
@@ -14,6 +43,83 @@ function sanitizeDiffLines(input) {
   return Math.round(value);
 }
 
+function diffSummaryFromPayload(payload) {
+  return {
+    linesAdded: sanitizeDiffLines(payload.linesAdded),
+    linesRemoved: sanitizeDiffLines(payload.linesRemoved),
+  };
+}
+
+/**
+ * Scan each edit of a multi-edit call on its own so a violation can be
+ * traced to the edit that introduced it.
+ */
+function findEditViolations(runtime, filePath, edits) {
+  return edits.flatMap((content, index) => runtime.phase1.scanEditContent(filePath, safeString(content, ''))
+    .filter((result) => result.decision !== 'allow')
+    .map((result) => ({
+      ruleId: `pre-edit-${result.gateName}`,
+      description: `Edit ${index + 1} of ${edits.length}: ${result.reason}`,
+      severity: result.decision === 'block' ? 'critical' : 'medium',
+      autoCorrected: false,
+      editIndex: index,
+    })));
+}
+
+// Compound commands are evaluated segment by segment, up to this many; a
+// command with more is blocked rather than evaluated in part.
+const MAX_COMMAND_SEGMENTS = 32;
+
+// Ranks classify() results; an unmatched costly-reversible is the
+// classifier's default, so any explicit match outranks it.
+function classificationRank(classification) {
+  const level = typeof classification === 'string' ? classification : classification?.classification;
+  const matched = safeArray(classification?.matchedPatterns).length > 0;
+  if (level === 'irreversible') return 3;
+  if (level === 'costly-reversible' && matched) return 2;
+  if (level === 'reversible') return 1;
+  return 0;
+}
+
+// The null authority gate returns a boolean, the real one { allowed }.
+function canAgentPerform(runtime, action) {
+  const check = runtime.authorityGate.canPerform('agent', action);
+  return typeof check === 'boolean' ? check : Boolean(check?.allowed);
+}
+
+function approvalMessage(approval, classificationLevel) {
+  if (!approval) return `${classificationLevel} command needs human approval.`;
+  if (approval.status === 'denied') {
+    const reason = approval.token?.reason ? `: ${approval.token.reason}` : '';
+    return `Denied by ${approval.token?.signedBy ?? 'a human'} (approval ${approval.id})${reason}`;
+  }
+  return `Pending approval ${approval.id}: ${classificationLevel} command needs human approval. `
+    + `Run "cf-guidance approve ${approval.id}" or "cf-guidance deny ${approval.id}", then retry.`;
+}
+
+function isHookBlocked(result) {
+  return Boolean(result) && (!result.success || Boolean(result.aborted));
+}
+
+function dedupeThreats(threats) {
+  const seen = new Set();
+  return threats.filter((threat) => {
+    const key = `${threat.category}:${threat.description}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function segmentBlockReason(gates, threats, risks) {
+  const blockingRisk = risks.find((risk) => risk.severity === 'block');
+  if (blockingRisk) return blockingRisk.reason;
+  const severe = threats.find((threat) => threat.severity >= 0.85);
+  if (severe) return severe.description;
+  if (isHookBlocked(gates)) return safeArray(gates.messages)[0] ?? 'blocked by guidance gates';
+  return null;
+}
+
 function taskIdFromPayload(prefix, payload) {
   const fromPayload = safeString(payload.taskId, '').trim();
   if (fromPayload) return fromPayload;
@@ -30,11 +136,255 @@ function mapHookWarningsToViolations(result, baseRuleId) {
   }));
 }
 
-function trackCoherence(runtime, violations, recentEvents) {
+// Compiled once per bundle (a rollout adds a candidate bundle); the daemon
+// rebuilds its runtime whenever CLAUDE.md or read-policy.json changes.
+const readPolicies = new WeakMap();
+
+function getReadPolicy(runtime, bundle) {
+  if (!readPolicies.has(bundle)) {
+    readPolicies.set(bundle, compileReadPolicy({ rootDir: runtime.rootDir, bundle }));
+  }
+  return readPolicies.get(bundle);
+}
+
+const egressPolicies = new WeakMap();
+
+function getEgressPolicy(runtime) {
+  if (!egressPolicies.has(runtime)) {
+    egressPolicies.set(runtime, compileEgressPolicy({ rootDir: runtime.rootDir }));
+  }
+  return egressPolicies.get(runtime);
+}
+
+const shadowModes = new WeakMap();
+
+function getShadowMode(runtime) {
+  if (!shadowModes.has(runtime)) {
+    shadowModes.set(runtime, loadShadowMode({ rootDir: runtime.rootDir }));
+  }
+  return shadowModes.get(runtime);
+}
+
+/**
+ * Whether shadow mode lets a block with these violations through. Handlers
+ * ask before the side effects of a block, so a shadowed call requests no
+ * approval and leaves no blocked violations in the session record.
+ */
+function shadowsBlock(runtime, violations) {
+  return shadowCoverage(getShadowMode(runtime), violations) !== null;
+}
+
+function recordDecisionViolations(runtime, sessionId, eventName, violations, options) {
+  if (options.blocked && shadowsBlock(runtime, violations)) return;
+  recordSessionViolations(runtime, sessionId, eventName, violations, options);
+}
+
+// Steps replayed as golden traces when an evolution proposal is simulated.
+// The tool is first in toolsUsed, so appendProof gave it callId <taskId>-1.
+function recordGoldenTraceStep(runtime, proofEnvelope, { taskId, sessionId, toolName, params, result }) {
+  appendGoldenTraceStep(runtime.dataDir, {
+    envelopeId: proofEnvelope.envelopeId,
+    callId: `${taskId}-1`,
+    sessionId,
+    toolName,
+    params,
+    result,
+  });
+}
+
+const mcpPolicies = new WeakMap();
+
+// Grants from mcp-policy.json are issued into the runtime's capability
+// algebra when the policy is first compiled.
+function getMcpPolicy(runtime) {
+  if (!mcpPolicies.has(runtime)) {
+    const policy = compileMcpPolicy({ rootDir: runtime.rootDir });
+    for (const [agentId, tools] of Object.entries(policy.grants)) {
+      for (const resource of tools) {
+        runtime.capabilities.grant({
+          scope: 'tool',
+          resource,
+          actions: ['execute'],
+          grantedBy: 'mcp-policy',
+          grantedTo: agentId,
+        });
+      }
+    }
+    mcpPolicies.set(runtime, policy);
+  }
+  return mcpPolicies.get(runtime);
+}
+
+function egressReason(toolName, egress) {
+  if (egress.exfiltration.length > 0) {
+    return `${toolName} blocked by guidance egress policy: ${egress.exfiltration.join('; ')}`;
+  }
+  const { host, pattern, source } = egress.target;
+  const origin = pattern ? `${source} ${egress.decision} list, ${pattern}` : 'not on the egress allowlist';
+  const verb = egress.decision === 'deny' ? 'is denied' : 'needs confirmation';
+  return `${toolName} request to ${host ?? egress.target.url} ${verb} by guidance (${origin})`;
+}
+
+function readAccessReason(toolName, access) {
+  const origin = access.ruleId ? `rule ${access.ruleId}` : `${access.source} sensitive-path policy`;
+  if (access.decision === 'ask') {
+    return `${toolName} of ${access.target} would search ${access.covers.join(', ')}, restricted by guidance `
+      + `(${origin}, pattern ${access.pattern}); confirm, or narrow the search path`;
+  }
+  const verb = access.decision === 'redact' ? 'is redacted' : 'is denied';
+  return `${toolName} of ${access.target} ${verb} by guidance (${origin}, pattern ${access.pattern})`;
+}
+
+// Tools that read everything beneath a directory they are pointed at.
+const SEARCH_TOOLS = new Set(['Grep', 'Glob']);
+
+// Each retry of an identical failing call counts as this many lines of
+// rework when scoring coherence.
+const REWORK_LINES_PER_RETRY = 10;
+const DEFAULT_FAILURE_REPEAT_LIMIT = 3;
+
+// Rough chars-per-token ratio used to keep injected prompt context in budget.
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(safeString(text, '').length / CHARS_PER_TOKEN);
+}
+
+function formatPromptShard(entry) {
+  const rule = entry.shard.rule;
+  return `- [${rule.id}] ${safeString(entry.shard.compactText, rule.text)}`;
+}
+
+const RISK_RANK = { critical: 3, high: 2, medium: 1, low: 0 };
+
+function byPriority(a, b) {
+  return (b.rule.priority ?? 0) - (a.rule.priority ?? 0)
+    || (RISK_RANK[b.rule.riskClass] ?? 0) - (RISK_RANK[a.rule.riskClass] ?? 0);
+}
+
+function summarizeViolations(violations) {
+  const byRule = new Map();
+  for (const violation of violations) {
+    const ruleId = safeString(violation.ruleId, 'unknown');
+    const existing = byRule.get(ruleId);
+    if (existing) {
+      existing.count += 1;
+      existing.lastSeen = violation.timestamp;
+    } else {
+      byRule.set(ruleId, {
+        ruleId,
+        description: safeString(violation.description, ''),
+        severity: safeString(violation.severity, 'medium'),
+        count: 1,
+        lastSeen: violation.timestamp,
+      });
+    }
+  }
+  return [...byRule.values()].sort((a, b) => b.count - a.count || (b.lastSeen ?? 0) - (a.lastSeen ?? 0));
+}
+
+/**
+ * Render the text Claude Code should keep in view across a context
+ * compaction: constitution, highest-priority shards, this session's
+ * violations and tasks still awaiting post-task.
+ */
+function buildCompactionDigest({ bundle, shards, violations, pendingRuns }) {
+  const lines = [
+    `Guidance digest (CLAUDE.md ${safeString(bundle.constitution.hash, 'unknown').slice(0, 12)}) - keep these rules after compaction.`,
+    '',
+    'Constitution (always applies):',
+    ...bundle.constitution.rules.map((rule) => `- [${rule.id}] ${rule.text}`),
+  ];
+  if (shards.length > 0) {
+    lines.push('', 'Highest-priority rules:');
+    lines.push(...shards.map((shard) => `- [${shard.rule.id}] ${safeString(shard.compactText, shard.rule.text)}`));
+  }
+  if (violations.length > 0) {
+    lines.push('', 'Violations this session:');
+    lines.push(...violations.map((v) => `- [${v.ruleId}] ${v.description} (${v.severity}, x${v.count})`));
+  }
+  if (pendingRuns.length > 0) {
+    lines.push('', 'Open tasks (started, not completed):');
+    lines.push(...pendingRuns.map(([taskId, run]) => `- ${taskId}: ${safeString(run?.taskDescription, '')}`));
+  }
+  return lines.join('\n');
+}
+
+// Pending runs and the hook task cache older than this are leftovers from
+// crashed or abandoned sessions and are dropped at session start.
+const STALE_SESSION_STATE_MS = 24 * 60 * 60 * 1000;
+
+function pruneStalePendingRuns(pendingRuns, now) {
+  const pruned = [];
+  for (const [taskId, run] of Object.entries(pendingRuns)) {
+    if (now - (run?.updatedAt ?? 0) > STALE_SESSION_STATE_MS) {
+      delete pendingRuns[taskId];
+      pruned.push(taskId);
+    }
+  }
+  return pruned;
+}
+
+function pruneStaleTaskCache(cachePath, now) {
+  const cache = readJson(cachePath, null);
+  if (!cache?.last || now - (cache.last.updatedAt ?? 0) <= STALE_SESSION_STATE_MS) return false;
+  delete cache.last;
+  writeJson(cachePath, cache);
+  return true;
+}
+
+function readAutopilotOutcome(rootDir) {
+  const report = readJson(resolve(rootDir, '.claude-flow/guidance/autopilot-report.json'), null);
+  if (!report?.timestamp) return null;
+  return {
+    timestamp: report.timestamp,
+    decision: safeString(report.decision ?? report.reason, 'unknown'),
+    applied: Boolean(report.applied),
+    promotedRuleIds: safeArray(report.promotedRuleIds),
+  };
+}
+
+/**
+ * Render the briefing Claude Code shows the agent at session start: proof
+ * chain health, trust tier, what happened last session and what autopilot
+ * changed since.
+ */
+function buildSessionBriefing({ proofChain, trust, lastSession, autopilot, pruned }) {
+  const lines = [
+    'Guidance briefing:',
+    proofChain.valid
+      ? `- Proof chain: ${proofChain.length} envelopes, verified`
+      : `- Proof chain: ${proofChain.length} envelopes, VERIFICATION FAILED - audit trail may have been tampered with`,
+    `- Trust: ${trust.agentId} ${trust.tier} (${trust.score.toFixed(2)})`,
+  ];
+  if (lastSession) {
+    const details = [
+      `${lastSession.violationCount} violations (${lastSession.blockedCount} blocked, ${lastSession.unresolvedCount} unresolved)`,
+      `${lastSession.editedFileCount} files edited`,
+    ];
+    if (lastSession.topRuleIds.length > 0) details.push(`top rules: ${lastSession.topRuleIds.join(', ')}`);
+    if (lastSession.testsPending) details.push('ended with untested edits');
+    lines.push(`- Last session: ${details.join('; ')}`);
+  }
+  if (autopilot) {
+    lines.push(autopilot.applied
+      ? `- Autopilot promoted ${autopilot.promotedRuleIds.length} rules into CLAUDE.md (${autopilot.promotedRuleIds.join(', ')})`
+      : `- Autopilot last run: ${autopilot.decision}`);
+  }
+  if (pruned.pendingRuns.length > 0 || pruned.taskCache) {
+    const parts = [];
+    if (pruned.pendingRuns.length > 0) parts.push(`${pruned.pendingRuns.length} stale pending tasks`);
+    if (pruned.taskCache) parts.push('stale hook task cache');
+    lines.push(`- Cleared ${parts.join(' and ')}`);
+  }
+  return lines.join('\n');
+}
+
+function trackCoherence(runtime, violations, recentEvents, { reworkLines = 0 } = {}) {
   try {
     const metrics = {
       violationRate: violations.length,
-      reworkLines: 0,
+      reworkLines,
     };
     const raw = runtime.coherenceScheduler.computeCoherence(metrics, recentEvents);
     const score = typeof raw === 'number' ? raw : (raw?.overall ?? 1.0);
@@ -46,10 +396,38 @@ function trackCoherence(runtime, violations, recentEvents) {
   }
 }
 
-export async function runEvent(runtime, eventName, payload) {
+function evaluateContinueGate(runtime, { stepNumber, reworkCount = 0, coherenceScore, lastCheckpointStep = 0 }) {
+  try {
+    let rawCoherence = coherenceScore ?? 1.0;
+    if (coherenceScore == null) {
+      try {
+        const c = runtime.coherenceScheduler.computeCoherence({ violationRate: 0, reworkLines: 0 }, []);
+        rawCoherence = typeof c === 'number' ? c : (c?.overall ?? 1.0);
+      } catch {}
+    }
+    return runtime.continueGate.evaluate({
+      stepNumber,
+      coherenceScore: rawCoherence,
+      reworkCount,
+      reworkRatio: 0,
+      uncertaintyScore: 0,
+      lastCheckpointStep,
+      budgetRemaining: { tokens: 10000, toolCalls: 100, timeMs: 60000 },
+    });
+  } catch {
+    return { action: 'continue', reason: 'default' };
+  }
+}
+
+function continueDecisionName(decision) {
+  return decision?.decision ?? decision?.action ?? 'continue';
+}
+
+async function evaluateEvent(runtime, eventName, payload) {
   await runtime.initialize();
   const agentId = safeString(payload.agentId, 'claude-main');
   const sessionId = safeString(payload.sessionId, `session-${Date.now()}`);
+  const bundle = runtime.phase1.useRulesFor({ sessionId, agentId });
   const pendingRunsPath = resolve(runtime.dataDir, 'pending-runs.json');
   const pendingRuns = readJson(pendingRunsPath, {});
 
@@ -68,66 +446,148 @@ export async function runEvent(runtime, eventName, payload) {
         };
       }
 
+      recordSessionStep(runtime, sessionId);
       const startedAt = Date.now();
       const gateResult = await runtime.phase1.preCommand(command);
       const inputThreats = runtime.threatDetector.analyzeInput(command, {
         agentId,
         toolName: 'bash',
       });
-      const severeThreats = inputThreats.filter((threat) => threat.severity >= 0.85);
 
-      const gateBlocked = !gateResult.success || Boolean(gateResult.aborted);
+      // Each simple command (split on && || ; |, unwrapped from sh -c, eval,
+      // sudo, xargs, find -exec and $(...)) is evaluated on its own.
+      const segments = parseShellCommand(command);
+      const tooManySegments = segments.length > MAX_COMMAND_SEGMENTS;
+      const segmentResults = [];
+      for (const segment of segments.slice(0, MAX_COMMAND_SEGMENTS)) {
+        const isWholeCommand = segment.text === command.trim();
+        const segmentGates = isWholeCommand ? gateResult : await runtime.phase1.preCommand(segment.text);
+        const segmentThreats = isWholeCommand
+          ? []
+          : runtime.threatDetector.analyzeInput(segment.text, { agentId, toolName: 'bash' });
+        const risks = [...findShellRisks(segment), ...findApprovalCliRisks(segment)];
+        const blockReason = segmentBlockReason(segmentGates, segmentThreats, risks);
+        segmentResults.push({
+          segment,
+          gates: segmentGates,
+          threats: segmentThreats,
+          risks,
+          classification: runtime.irreversibilityClassifier.classify(segment.text),
+          blockReason,
+        });
+      }
+
+      const threats = dedupeThreats([...inputThreats, ...segmentResults.flatMap((result) => result.threats)]);
+      const severeThreats = threats.filter((threat) => threat.severity >= 0.85);
+      const blockedSegments = segmentResults.filter((result) => result.blockReason);
+      const confirmRisks = segmentResults.flatMap((result) => result.risks
+        .filter((risk) => risk.severity === 'confirm')
+        .map((risk) => `"${result.segment.text}": ${risk.reason}`));
+
+      const gateBlocked = isHookBlocked(gateResult) || segmentResults.some((result) => isHookBlocked(result.gates));
       const threatBlocked = severeThreats.length > 0;
+      const structureBlocked = tooManySegments
+        || segmentResults.some((result) => result.risks.some((risk) => risk.severity === 'block'));
+      const tooManySegmentsReason = `Command runs ${segments.length} simple commands; at most ${MAX_COMMAND_SEGMENTS} can be evaluated`;
 
-      // Authority / irreversibility classification
-      const classification = runtime.irreversibilityClassifier.classify(command);
+      // Authority / irreversibility classification, of the riskiest segment
+      const classified = [
+        { text: command, classification: runtime.irreversibilityClassifier.classify(command) },
+        ...segmentResults.map((result) => ({ text: result.segment.text, classification: result.classification })),
+      ].reduce((worst, next) => (classificationRank(next.classification) > classificationRank(worst.classification) ? next : worst));
+      const classification = classified.classification;
       // Upstream classify() returns an object { classification: string, ... } or a string
       const classificationLevel = typeof classification === 'string'
         ? classification
         : classification?.classification ?? 'trivial';
+      // A command the agent lacks authority for needs a human approval, unless
+      // it is blocked outright anyway.
       let authorityBlocked = false;
-      if (classificationLevel === 'irreversible' || classificationLevel === 'costly-reversible') {
-        const canProceed = runtime.authorityGate.canPerform('agent', command);
-        if (!canProceed) {
-          authorityBlocked = true;
-        }
+      let approval = null;
+      if (!gateBlocked && !threatBlocked && !structureBlocked && classificationRank(classification) >= 2
+        && !canAgentPerform(runtime, classified.text)) {
+        approval = findApproval(runtime.rootDir, command, { authorityGate: runtime.authorityGate });
+        if (approval?.status === 'approved') consumeApproval(runtime.rootDir, approval);
+        else authorityBlocked = true;
       }
 
-      const blocked = gateBlocked || threatBlocked || authorityBlocked;
+      const blocked = gateBlocked || threatBlocked || structureBlocked || authorityBlocked;
       const outcome = blocked ? 'deny' : outcomeFromHookResult(gateResult);
 
       runtime.recordTrust(agentId, outcome, 'hook pre-command');
 
       const violations = [
         ...mapHookWarningsToViolations(gateResult, 'pre-command'),
-        ...inputThreats.map((threat) => ({
+        ...threats.map((threat) => ({
           ruleId: `threat-${threat.category}`,
           description: threat.description,
           severity: severityFromThreat(threat),
           autoCorrected: false,
         })),
+        ...segmentResults.flatMap((result) => result.risks.map((risk) => ({
+          ruleId: 'shell-structure',
+          description: `"${result.segment.text}" (${result.segment.source}): ${risk.reason}`,
+          severity: risk.severity === 'block' ? 'critical' : 'medium',
+          autoCorrected: false,
+        }))),
+        ...(tooManySegments
+          ? [{ ruleId: 'shell-structure', description: tooManySegmentsReason, severity: 'critical', autoCorrected: false }]
+          : []),
       ];
 
-      if (authorityBlocked) {
-        violations.push({
-          ruleId: 'authority-blocked',
-          description: `${classificationLevel} action requires higher authority than agent level`,
-          severity: 'critical',
-          autoCorrected: true,
-        });
-      }
+      const blockedSegment = blockedSegments[0]
+        ? {
+          text: blockedSegments[0].segment.text,
+          source: blockedSegments[0].segment.source,
+          reason: blockedSegments[0].blockReason,
+        }
+        : null;
 
-      if (blocked) {
-        violations.push({
-          ruleId: 'pre-command-blocked',
-          description: threatBlocked
-            ? 'Command blocked by adversarial threat detection'
-            : 'Command blocked by guidance gates',
-          severity: 'high',
-          autoCorrected: true,
-        });
+      const blockViolations = () => {
+        const added = [];
+        if (authorityBlocked) {
+          added.push({
+            ruleId: 'authority-blocked',
+            description: `${classificationLevel} action requires higher authority than agent level`
+              + (approval ? ` (approval ${approval.id} ${approval.status})` : ''),
+            severity: 'critical',
+            autoCorrected: true,
+          });
+        }
+        if (blocked) {
+          let description = 'Command blocked by guidance gates';
+          if (threatBlocked) description = 'Command blocked by adversarial threat detection';
+          else if (authorityBlocked) description = approvalMessage(approval, classificationLevel);
+          else if (tooManySegments && !blockedSegment) description = tooManySegmentsReason;
+          else if (blockedSegment && blockedSegment.text !== command.trim()) {
+            description = `Command blocked at segment "${blockedSegment.text}" (${blockedSegment.source}): ${blockedSegment.reason}`;
+          }
+          added.push({
+            ruleId: 'pre-command-blocked',
+            description,
+            severity: 'high',
+            autoCorrected: true,
+          });
+        }
+        return added;
+      };
+
+      // A command shadow mode lets through needs nobody's approval.
+      if (authorityBlocked && !approval && !shadowsBlock(runtime, [...violations, ...blockViolations()])) {
+        approval = requestApproval(runtime.rootDir, { command, classification: classificationLevel, agentId, sessionId });
       }
+      violations.push(...blockViolations());
+
+      recordDecisionViolations(runtime, sessionId, 'pre-command', violations, { blocked });
 
+      const commandParams = { command };
+      const commandResult = {
+        success: gateResult.success,
+        aborted: Boolean(gateResult.aborted),
+        segmentCount: segmentResults.length,
+        blockedSegment: blockedSegment?.text ?? null,
+        approval: approval ? { id: approval.id, status: approval.status, signedBy: approval.token?.signedBy ?? null } : null,
+      };
       const proofEnvelope = runtime.appendProof({
         taskId,
         agentId,
@@ -138,20 +598,24 @@ export async function runEvent(runtime, eventName, payload) {
         details: {
           sessionId,
           toolParams: {
-            PreCommand: { command },
+            PreCommand: commandParams,
           },
           toolResults: {
-            PreCommand: {
-              success: gateResult.success,
-              aborted: Boolean(gateResult.aborted),
-            },
+            PreCommand: commandResult,
             ThreatDetector: {
-              inputThreatCount: inputThreats.length,
+              inputThreatCount: threats.length,
               severeThreatCount: severeThreats.length,
             },
           },
         },
       });
+      recordGoldenTraceStep(runtime, proofEnvelope, {
+        taskId,
+        sessionId,
+        toolName: 'PreCommand',
+        params: commandParams,
+        result: commandResult,
+      });
 
       const summary = {
         event: 'pre-command',
@@ -160,12 +624,37 @@ export async function runEvent(runtime, eventName, payload) {
         blocked,
         blockedByGates: gateBlocked,
         blockedByThreat: threatBlocked,
-        messages: safeArray(gateResult.messages),
+        blockedByStructure: structureBlocked,
+        messages: [
+          ...safeArray(gateResult.messages),
+          ...blockedSegments
+            // A whole-command gate block is already in the gate messages.
+            .filter((result) => !safeArray(gateResult.messages).includes(result.blockReason))
+            .map((result) => `Segment "${result.segment.text}" (${result.segment.source}): ${result.blockReason}`),
+          ...(authorityBlocked ? [approvalMessage(approval, classificationLevel)] : []),
+          ...(tooManySegments ? [tooManySegmentsReason] : []),
+        ],
         warnings: safeArray(gateResult.warnings),
-        threatCount: inputThreats.length,
+        threatCount: threats.length,
         severeThreatCount: severeThreats.length,
         classification,
         authorityBlocked,
+        approval: approval
+          ? {
+            id: approval.id,
+            status: approval.status,
+            signedBy: approval.token?.signedBy ?? null,
+            expiresAt: approval.token?.metadata?.expiresAt ?? null,
+          }
+          : null,
+        segments: segmentResults.map((result) => ({
+          text: result.segment.text,
+          source: result.segment.source,
+          blocked: Boolean(result.blockReason),
+          risks: result.risks,
+        })),
+        blockedSegment,
+        confirm: confirmRisks,
         coherence: trackCoherence(runtime, violations, []),
         trust: runtime.trustSystem.getSnapshot(agentId),
         proofEnvelope: {
@@ -182,7 +671,10 @@ export async function runEvent(runtime, eventName, payload) {
       const filePath = safeString(payload.filePath, '');
       const content = safeString(payload.content, '');
       const operation = safeString(payload.operation, 'modify');
-      const diffLines = sanitizeDiffLines(payload.diffLines);
+      const diffSummary = diffSummaryFromPayload(payload);
+      const diffLines = payload.diffLines == null
+        ? diffSummary.linesAdded + diffSummary.linesRemoved
+        : sanitizeDiffLines(payload.diffLines);
       const taskId = taskIdFromPayload('pre-edit', payload);
 
       if (!filePath.trim()) {
@@ -195,6 +687,7 @@ export async function runEvent(runtime, eventName, payload) {
         };
       }
 
+      recordSessionStep(runtime, sessionId);
       const startedAt = Date.now();
       const gateResult = await runtime.phase1.preEdit({
         filePath,
@@ -207,7 +700,9 @@ export async function runEvent(runtime, eventName, payload) {
       const outcome = blocked ? 'deny' : outcomeFromHookResult(gateResult);
       runtime.recordTrust(agentId, outcome, 'hook pre-edit');
 
-      const violations = mapHookWarningsToViolations(gateResult, 'pre-edit');
+      const edits = safeArray(payload.edits);
+      const editViolations = edits.length > 1 ? findEditViolations(runtime, filePath, edits) : [];
+      const violations = [...mapHookWarningsToViolations(gateResult, 'pre-edit'), ...editViolations];
       if (blocked) {
         violations.push({
           ruleId: 'pre-edit-blocked',
@@ -217,6 +712,24 @@ export async function runEvent(runtime, eventName, payload) {
         });
       }
 
+      recordDecisionViolations(runtime, sessionId, 'pre-edit', violations, { blocked, filePath });
+      // An allowed edit that raises nothing serious supersedes the earlier
+      // edits of this file the Stop hook is still holding against the agent.
+      if (!blocked && !violations.some((violation) => isUnresolvedSeverity(violation.severity))) {
+        resolveSessionViolations(runtime, sessionId, { filePath, resolvedBy: 'clean-edit' });
+      }
+
+      const editParams = {
+        filePath,
+        operation,
+        diffLines,
+        toolName: safeString(payload.toolName, 'Edit'),
+        editCount: Math.max(edits.length, 1),
+      };
+      const editResult = {
+        success: gateResult.success,
+        aborted: Boolean(gateResult.aborted),
+      };
       const proofEnvelope = runtime.appendProof({
         taskId,
         agentId,
@@ -227,25 +740,32 @@ export async function runEvent(runtime, eventName, payload) {
         details: {
           sessionId,
           filesTouched: [filePath],
+          diffSummary,
           toolParams: {
-            PreEdit: { filePath, operation, diffLines },
+            PreEdit: editParams,
           },
           toolResults: {
-            PreEdit: {
-              success: gateResult.success,
-              aborted: Boolean(gateResult.aborted),
-            },
+            PreEdit: editResult,
           },
         },
       });
+      recordGoldenTraceStep(runtime, proofEnvelope, {
+        taskId,
+        sessionId,
+        toolName: 'PreEdit',
+        params: editParams,
+        result: editResult,
+      });
 
       const summary = {
         event: 'pre-edit',
         taskId,
         filePath,
+        diffSummary,
         success: !blocked,
         blocked,
-        messages: safeArray(gateResult.messages),
+        messages: [...safeArray(gateResult.messages), ...editViolations.map((violation) => violation.description)],
+        editViolations,
         warnings: safeArray(gateResult.warnings),
         coherence: trackCoherence(runtime, violations, []),
         trust: runtime.trustSystem.getSnapshot(agentId),
@@ -259,6 +779,105 @@ export async function runEvent(runtime, eventName, payload) {
       return summary;
     }
 
+    case 'pre-tool': {
+      const toolName = safeString(payload.toolName, '').trim();
+      const taskId = taskIdFromPayload('pre-tool', payload);
+      const parameters = payload.parameters && typeof payload.parameters === 'object' ? payload.parameters : {};
+      if (!toolName) {
+        return { event: 'pre-tool', success: true, blocked: false, skipped: true, reason: 'missing-tool-name' };
+      }
+
+      recordSessionStep(runtime, sessionId);
+      const startedAt = Date.now();
+      const policy = getMcpPolicy(runtime);
+      const byName = evaluateMcpTool(policy, toolName);
+      const capability = policy.requireCapabilities
+        ? runtime.capabilities.check(agentId, 'tool', toolName, 'execute')
+        : null;
+      const capabilityBlocked = Boolean(capability) && !capability.allowed;
+
+      let gateResult = null;
+      if (byName.decision !== 'deny' && !capabilityBlocked) {
+        gateResult = await runtime.phase1.preToolUse(toolName, parameters, {
+          server: byName.server,
+          serverConfig: byName.gateway ?? {},
+          callsUsed: byName.server ? getSessionToolCalls(runtime, sessionId, byName.server) : 0,
+        });
+      }
+      const gateBlocked = Boolean(gateResult) && (!gateResult.success || Boolean(gateResult.aborted));
+
+      const blocked = byName.decision === 'deny' || capabilityBlocked || gateBlocked;
+      const decision = blocked ? 'deny' : byName.decision;
+      let reason = byName.reason;
+      if (capabilityBlocked) reason = capability.reason;
+      else if (gateBlocked) reason = safeString(gateResult.reason, 'Tool call blocked by guidance gates');
+
+      runtime.recordTrust(agentId, blocked ? 'deny' : decision === 'ask' ? 'warn' : outcomeFromHookResult(gateResult), `hook pre-tool ${toolName}`);
+
+      const violations = [...mapHookWarningsToViolations(gateResult, 'pre-tool')];
+      if (blocked) {
+        violations.push({
+          ruleId: capabilityBlocked ? 'capability-denied' : gateBlocked ? `gateway-${safeString(gateResult.gate, 'blocked')}` : 'mcp-policy-denied',
+          description: `${toolName}: ${reason}`,
+          severity: 'high',
+          autoCorrected: true,
+        });
+      }
+      recordDecisionViolations(runtime, sessionId, 'pre-tool', violations, { blocked });
+
+      const proofEnvelope = runtime.appendProof({
+        taskId,
+        agentId,
+        toolsUsed: ['PreToolUse', 'ToolGateway'],
+        violations,
+        outcomeAccepted: !blocked,
+        durationMs: Date.now() - startedAt,
+        details: {
+          sessionId,
+          toolParams: {
+            PreToolUse: { toolName, server: byName.server, parameterKeys: Object.keys(parameters) },
+          },
+          toolResults: {
+            PreToolUse: {
+              decision,
+              gate: gateResult?.gate ?? null,
+              capabilityChecked: Boolean(capability),
+            },
+          },
+        },
+      });
+
+      // Counted per session on disk: each hook may run in a new process.
+      const toolCalls = byName.server
+        ? {
+          used: blocked
+            ? getSessionToolCalls(runtime, sessionId, byName.server)
+            : recordSessionToolCall(runtime, sessionId, byName.server),
+          limit: byName.gateway?.maxCalls ?? null,
+        }
+        : null;
+      const summary = {
+        event: 'pre-tool',
+        taskId,
+        toolName,
+        server: byName.server,
+        tool: byName.tool,
+        decision,
+        success: !blocked,
+        blocked,
+        reason,
+        capability: capability ? { allowed: capability.allowed, reason: capability.reason } : null,
+        toolCalls,
+        warnings: safeArray(gateResult?.warnings),
+        proofEnvelope: {
+          envelopeId: proofEnvelope.envelopeId,
+          contentHash: proofEnvelope.contentHash,
+        },
+      };
+      await runtime.persistState({ lastHookEvent: summary });
+      return summary;
+    }
+
     case 'pre-task': {
       const taskDescription = safeString(payload.taskDescription, '');
       const taskId = taskIdFromPayload('pre-task', payload);
@@ -274,26 +893,9 @@ export async function runEvent(runtime, eventName, payload) {
       }
 
       // Continue-gate evaluation (infinite loop / budget slope prevention)
-      let continueDecision = { action: 'continue', reason: 'default' };
-      try {
-        let rawCoherence = 1.0;
-        try {
-          const c = runtime.coherenceScheduler.computeCoherence({ violationRate: 0, reworkLines: 0 }, []);
-          rawCoherence = typeof c === 'number' ? c : (c?.overall ?? 1.0);
-        } catch {}
-        continueDecision = runtime.continueGate.evaluate({
-          stepNumber: runtime.stepCounter++,
-          coherenceScore: rawCoherence,
-          reworkRatio: 0,
-          uncertaintyScore: 0,
-          lastCheckpointStep: 0,
-          budgetRemaining: { tokens: 10000, toolCalls: 100, timeMs: 60000 },
-        });
-      } catch {
-        runtime.stepCounter++;
-      }
+      const continueDecision = evaluateContinueGate(runtime, { stepNumber: runtime.stepCounter++ });
 
-      if ((continueDecision.decision ?? continueDecision.action) === 'stop') {
+      if (continueDecisionName(continueDecision) === 'stop') {
         return {
           event: 'pre-task',
           success: false,
@@ -323,6 +925,8 @@ export async function runEvent(runtime, eventName, payload) {
         });
       }
 
+      recordDecisionViolations(runtime, sessionId, 'pre-task', violations, { blocked });
+
       const policyText = runtime.phase1.extractPolicyText(result) || '';
       const proofEnvelope = runtime.appendProof({
         taskId,
@@ -355,6 +959,7 @@ export async function runEvent(runtime, eventName, payload) {
         blocked,
         messages: safeArray(result.messages),
         warnings: safeArray(result.warnings),
+        policyText,
         policyTextLength: policyText.length,
         hooksExecuted: result.hooksExecuted,
         continueDecision: continueDecision ?? null,
@@ -368,6 +973,7 @@ export async function runEvent(runtime, eventName, payload) {
 
       pendingRuns[taskId] = {
         taskDescription,
+        sessionId,
         updatedAt: Date.now(),
       };
       writeJson(pendingRunsPath, pendingRuns);
@@ -376,6 +982,169 @@ export async function runEvent(runtime, eventName, payload) {
       return summary;
     }
 
+    case 'pre-read': {
+      const toolName = safeString(payload.toolName, 'Read');
+      const taskId = taskIdFromPayload('pre-read', payload);
+      const paths = safeArray(payload.paths).map((path) => safeString(path, '').trim()).filter(Boolean);
+      if (paths.length === 0) {
+        return { event: 'pre-read', success: true, blocked: false, skipped: true, reason: 'missing-path' };
+      }
+
+      const access = evaluateReadAccess(getReadPolicy(runtime, bundle), paths, { search: SEARCH_TOOLS.has(toolName) });
+      const blocked = access.decision === 'deny' || access.decision === 'redact';
+      const reason = access.decision === 'allow' ? '' : readAccessReason(toolName, access);
+      // Only a single file can be handed back redacted; searches are denied.
+      const redactedContent = access.decision === 'redact' && toolName === 'Read'
+        ? redactFileContent(access.absolutePath)
+        : null;
+
+      const violations = blocked
+        ? [{
+          ruleId: access.ruleId ?? 'sensitive-path-read',
+          description: reason,
+          severity: access.decision === 'deny' ? 'high' : 'medium',
+          autoCorrected: true,
+        }]
+        : [];
+      if (blocked) recordDecisionViolations(runtime, sessionId, 'pre-read', violations, { blocked });
+      if (access.decision !== 'allow') {
+        runtime.recordTrust(agentId, access.decision === 'deny' ? 'deny' : 'warn', `hook pre-read ${toolName}`);
+      }
+
+      const readParams = { toolName, paths };
+      const readResult = {
+        decision: access.decision,
+        pattern: access.pattern ?? null,
+        ruleId: access.ruleId ?? null,
+        covers: access.covers ?? [],
+      };
+      const proofEnvelope = runtime.appendProof({
+        taskId,
+        agentId,
+        toolsUsed: ['PreRead'],
+        violations,
+        outcomeAccepted: !blocked,
+        details: {
+          sessionId,
+          filesTouched: [access.target ?? paths[0]],
+          toolParams: {
+            PreRead: readParams,
+          },
+          toolResults: {
+            PreRead: readResult,
+          },
+        },
+      });
+      recordGoldenTraceStep(runtime, proofEnvelope, {
+        taskId,
+        sessionId,
+        toolName: 'PreRead',
+        params: readParams,
+        result: readResult,
+      });
+
+      const summary = {
+        event: 'pre-read',
+        taskId,
+        toolName,
+        target: access.target,
+        decision: access.decision,
+        success: !blocked,
+        blocked,
+        reason,
+        pattern: access.pattern ?? null,
+        ruleId: access.ruleId ?? null,
+        covers: access.covers ?? [],
+        redactedContent,
+        proofEnvelope: {
+          envelopeId: proofEnvelope.envelopeId,
+          contentHash: proofEnvelope.contentHash,
+        },
+      };
+      // The redacted copy is for the agent only; keep it out of persisted state.
+      await runtime.persistState({ lastHookEvent: { ...summary, redactedContent: null } });
+      return summary;
+    }
+
+    case 'pre-fetch': {
+      const toolName = safeString(payload.toolName, 'WebFetch');
+      const taskId = taskIdFromPayload('pre-fetch', payload);
+      const request = {
+        toolName,
+        url: safeString(payload.url, ''),
+        query: safeString(payload.query, ''),
+        command: safeString(payload.command, ''),
+      };
+      const egress = evaluateEgress(getEgressPolicy(runtime), request);
+      if (!egress.network) {
+        return { event: 'pre-fetch', success: true, blocked: false, skipped: true, reason: 'no-network-call' };
+      }
+
+      const blocked = egress.decision === 'deny';
+      const reason = egress.decision === 'allow' ? '' : egressReason(toolName, egress);
+      const hosts = [...new Set(egress.targets.map((target) => target.host ?? target.url))];
+
+      const violations = blocked
+        ? [{
+          ruleId: egress.exfiltration.length > 0 ? 'egress-exfiltration' : 'egress-denied-domain',
+          description: reason,
+          severity: egress.exfiltration.length > 0 ? 'critical' : 'high',
+          autoCorrected: true,
+        }]
+        : [];
+      if (blocked) recordDecisionViolations(runtime, sessionId, 'pre-fetch', violations, { blocked });
+      runtime.recordTrust(agentId, blocked ? 'deny' : egress.decision === 'ask' ? 'warn' : 'allow', `hook pre-fetch ${toolName}`);
+
+      appendEgressLog(resolve(runtime.dataDir, 'egress-log.jsonl'), {
+        sessionId,
+        agentId,
+        taskId,
+        toolName,
+        decision: egress.decision,
+        hosts,
+        exfiltration: egress.exfiltration,
+        reason,
+      });
+
+      const proofEnvelope = runtime.appendProof({
+        taskId,
+        agentId,
+        toolsUsed: ['PreFetch'],
+        violations,
+        outcomeAccepted: !blocked,
+        details: {
+          sessionId,
+          toolParams: {
+            PreFetch: { toolName, hosts },
+          },
+          toolResults: {
+            PreFetch: {
+              decision: egress.decision,
+              exfiltration: egress.exfiltration,
+            },
+          },
+        },
+      });
+
+      const summary = {
+        event: 'pre-fetch',
+        taskId,
+        toolName,
+        hosts,
+        decision: egress.decision,
+        success: !blocked,
+        blocked,
+        reason,
+        exfiltration: egress.exfiltration,
+        proofEnvelope: {
+          envelopeId: proofEnvelope.envelopeId,
+          contentHash: proofEnvelope.contentHash,
+        },
+      };
+      await runtime.persistState({ lastHookEvent: summary });
+      return summary;
+    }
+
     case 'post-task': {
       const taskId = taskIdFromPayload('post-task', payload);
       const status = safeString(payload.status, 'completed');
@@ -394,12 +1163,14 @@ export async function runEvent(runtime, eventName, payload) {
         });
       }
 
+      const testResults = getSessionTestResults(runtime, sessionId, pending?.updatedAt ?? 0);
       const startedAt = Date.now();
       const result = await runtime.phase1.postTask({
         taskId,
         status,
         toolsUsed,
         filesTouched,
+        testResults,
       });
 
       const outcome = outcomeFromHookResult(result);
@@ -416,6 +1187,7 @@ export async function runEvent(runtime, eventName, payload) {
         details: {
           sessionId,
           filesTouched,
+          testResults,
           toolParams: {
             PostTask: {
               status,
@@ -436,6 +1208,7 @@ export async function runEvent(runtime, eventName, payload) {
         event: 'post-task',
         taskId,
         restoredRunContext: Boolean(restoredTaskDescription),
+        testResults,
         success: result.success && !result.aborted,
         blocked: !result.success || Boolean(result.aborted),
         messages: safeArray(result.messages),
@@ -457,6 +1230,9 @@ export async function runEvent(runtime, eventName, payload) {
     case 'post-edit': {
       const filePath = safeString(payload.filePath, '');
       const taskId = taskIdFromPayload('post-edit', payload);
+      const diffSummary = diffSummaryFromPayload(payload);
+
+      recordSessionEdit(runtime, sessionId, filePath);
 
       const proofEnvelope = runtime.appendProof({
         taskId,
@@ -466,8 +1242,9 @@ export async function runEvent(runtime, eventName, payload) {
         details: {
           sessionId,
           filesTouched: filePath ? [filePath] : [],
+          diffSummary,
           toolResults: {
-            PostEdit: { filePath: filePath || null },
+            PostEdit: { filePath: filePath || null, ...diffSummary },
           },
         },
       });
@@ -476,6 +1253,7 @@ export async function runEvent(runtime, eventName, payload) {
       const summary = {
         event: 'post-edit',
         taskId,
+        diffSummary,
         success: true,
         blocked: false,
         trust: runtime.trustSystem.getSnapshot(agentId),
@@ -488,10 +1266,337 @@ export async function runEvent(runtime, eventName, payload) {
       return summary;
     }
 
+    case 'post-command': {
+      const command = safeString(payload.command, '');
+      const taskId = taskIdFromPayload('post-command', payload);
+      const exitCode = Number.isInteger(payload.exitCode) ? payload.exitCode : null;
+      const testCommand = isTestCommand(command);
+      const testResults = testCommand
+        ? testResultsFromCommand({ output: payload.output, exitCode })
+        : null;
+
+      if (testResults) {
+        recordSessionTestRun(runtime, sessionId, command, testResults);
+      }
+
+      const succeeded = exitCode == null ? !testResults?.failed : exitCode === 0;
+      const proofEnvelope = runtime.appendProof({
+        taskId,
+        agentId,
+        toolsUsed: ['PostCommand'],
+        outcomeAccepted: succeeded,
+        details: {
+          sessionId,
+          testResults,
+          toolParams: {
+            PostCommand: { command },
+          },
+          toolResults: {
+            PostCommand: { exitCode, testResults },
+          },
+        },
+      });
+
+      // Failing commands are routine while iterating; only successes earn trust.
+      if (succeeded) runtime.recordTrust(agentId, 'allow', 'hook post-command');
+      const summary = {
+        event: 'post-command',
+        taskId,
+        success: true,
+        blocked: false,
+        exitCode,
+        testCommand,
+        testResults,
+        trust: runtime.trustSystem.getSnapshot(agentId),
+        proofEnvelope: {
+          envelopeId: proofEnvelope.envelopeId,
+          contentHash: proofEnvelope.contentHash,
+        },
+      };
+      await runtime.persistState({ lastHookEvent: summary });
+      return summary;
+    }
+
+    case 'post-tool-failure': {
+      const toolName = safeString(payload.toolName, 'unknown');
+      const error = safeString(payload.error, '').trim();
+      const command = safeString(payload.command, '');
+      const filePath = safeString(payload.filePath, '');
+      const taskId = taskIdFromPayload('post-tool-failure', payload);
+      const repeatLimit = Math.max(2, Math.round(Number(payload.repeatLimit) || DEFAULT_FAILURE_REPEAT_LIMIT));
+
+      recordSessionStep(runtime, sessionId);
+      const signature = failureSignature(toolName, command || filePath, error);
+      const { failureCount, repeatCount, reworkCount } = recordSessionFailure(runtime, sessionId, {
+        signature,
+        toolName,
+      });
+      const repeated = repeatCount >= repeatLimit;
+
+      runtime.recordTrust(agentId, repeated ? 'deny' : 'warn', `hook post-tool-failure ${toolName}`);
+
+      const violations = repeated
+        ? [{
+          ruleId: 'repeated-tool-failure',
+          description: `${toolName} failed ${repeatCount} times with the same error`,
+          severity: 'medium',
+          autoCorrected: false,
+        }]
+        : [];
+
+      const reworkLines = reworkCount * REWORK_LINES_PER_RETRY;
+      const coherence = trackCoherence(runtime, violations, [], { reworkLines });
+      const steps = readSessionRecord(runtime, 'session-activity.json', sessionId)?.steps ?? failureCount;
+      const stepNumber = Math.max(steps, failureCount);
+      // Failures are judged on rework and coherence, not on session length,
+      // so the step-limit and checkpoint checks are neutralised here.
+      const continueDecision = evaluateContinueGate(runtime, {
+        stepNumber,
+        reworkCount,
+        coherenceScore: coherence.score,
+        lastCheckpointStep: stepNumber,
+      });
+      const gateDecision = continueDecisionName(continueDecision);
+      const paused = repeated || gateDecision === 'pause' || gateDecision === 'stop';
+
+      const reasons = [];
+      if (repeated) reasons.push(`${toolName} failed ${repeatCount} times with the same error`);
+      if (gateDecision === 'pause' || gateDecision === 'stop') {
+        reasons.push(...safeArray(continueDecision.reasons).map((reason) => safeString(reason, '')));
+      }
+
+      const proofEnvelope = runtime.appendProof({
+        taskId,
+        agentId,
+        toolsUsed: ['PostToolUseFailure'],
+        violations,
+        outcomeAccepted: false,
+        details: {
+          sessionId,
+          filesTouched: filePath ? [filePath] : [],
+          reworkLines,
+          toolParams: {
+            PostToolUseFailure: { toolName, command, filePath },
+          },
+          toolResults: {
+            PostToolUseFailure: {
+              error: error.slice(0, 500),
+              signature,
+              repeatCount,
+              failureCount,
+            },
+          },
+        },
+      });
+
+      const summary = {
+        event: 'post-tool-failure',
+        taskId,
+        toolName,
+        success: true,
+        blocked: false,
+        paused,
+        reason: paused ? `Guidance paused the agent: ${reasons.join('; ')}` : '',
+        signature,
+        failureCount,
+        repeatCount,
+        reworkCount,
+        coherence,
+        continueDecision,
+        trust: runtime.trustSystem.getSnapshot(agentId),
+        proofEnvelope: {
+          envelopeId: proofEnvelope.envelopeId,
+          contentHash: proofEnvelope.contentHash,
+        },
+      };
+      await runtime.persistState({ lastHookEvent: summary });
+      return summary;
+    }
+
+    case 'user-prompt': {
+      const prompt = safeString(payload.prompt, '').trim();
+      if (!prompt) {
+        return {
+          event: 'user-prompt',
+          success: true,
+          blocked: false,
+          skipped: true,
+          reason: 'empty-prompt',
+        };
+      }
+
+      const maxShards = Math.max(1, Math.round(Number(payload.maxShards) || 3));
+      const tokenBudget = Math.max(0, Math.round(Number(payload.tokenBudget) || 400));
+      const promptContextPath = resolve(runtime.dataDir, 'prompt-context.json');
+      const promptContext = readSessionRecords(promptContextPath);
+      const session = promptContext[sessionId] ?? { injectedRuleIds: [] };
+      const alreadyInjected = new Set(safeArray(session.injectedRuleIds));
+
+      // Over-fetch so shards already injected this session can be skipped
+      // without starving the prompt of fresh ones.
+      const retrieval = await runtime.phase1.retrievePolicy({
+        taskDescription: prompt,
+        maxShards: maxShards + alreadyInjected.size,
+      });
+
+      const header = 'Guidance relevant to this prompt:';
+      const lines = [];
+      const injectedRuleIds = [];
+      const duplicateRuleIds = [];
+      let tokens = estimateTokens(header);
+      for (const entry of safeArray(retrieval.shards)) {
+        if (injectedRuleIds.length >= maxShards) break;
+        const ruleId = entry.shard.rule.id;
+        if (alreadyInjected.has(ruleId)) {
+          duplicateRuleIds.push(ruleId);
+          continue;
+        }
+        const line = formatPromptShard(entry);
+        if (tokens + estimateTokens(line) > tokenBudget) break;
+        tokens += estimateTokens(line);
+        lines.push(line);
+        injectedRuleIds.push(ruleId);
+      }
+
+      if (injectedRuleIds.length > 0) {
+        promptContext[sessionId] = {
+          injectedRuleIds: [...alreadyInjected, ...injectedRuleIds],
+          updatedAt: Date.now(),
+        };
+        writeSessionRecords(promptContextPath, promptContext);
+      }
+
+      return {
+        event: 'user-prompt',
+        sessionId,
+        success: true,
+        blocked: false,
+        intent: retrieval.detectedIntent,
+        injectedRuleIds,
+        duplicateRuleIds,
+        tokenEstimate: injectedRuleIds.length > 0 ? tokens : 0,
+        tokenBudget,
+        additionalContext: lines.length > 0 ? [header, ...lines].join('\n') : '',
+      };
+    }
+
+    case 'pre-compact': {
+      const trigger = safeString(payload.trigger, 'manual');
+      const maxShards = Math.max(0, Math.round(Number(payload.maxShards ?? 5)));
+      const shards = [...safeArray(bundle.shards)].sort(byPriority).slice(0, maxShards);
+      const sessionViolations = readSessionRecord(runtime, 'session-violations.json', sessionId);
+      const violations = summarizeViolations(safeArray(sessionViolations?.violations)).slice(0, 10);
+      const openRuns = Object.entries(pendingRuns);
+
+      return {
+        event: 'pre-compact',
+        trigger,
+        sessionId,
+        success: true,
+        blocked: false,
+        constitutionRuleIds: bundle.constitution.rules.map((rule) => rule.id),
+        shardRuleIds: shards.map((shard) => shard.rule.id),
+        violationCount: violations.length,
+        pendingRunCount: openRuns.length,
+        digest: buildCompactionDigest({ bundle, shards, violations, pendingRuns: openRuns }),
+      };
+    }
+
+    case 'stop': {
+      const reasons = [];
+
+      const openTasks = Object.entries(pendingRuns)
+        .filter(([, run]) => run?.sessionId === sessionId);
+      for (const [taskId, run] of openTasks) {
+        const description = safeString(run.taskDescription, '').trim();
+        reasons.push(`task ${taskId} still pending${description ? ` (${description})` : ''}`);
+      }
+
+      const unresolved = getUnresolvedViolations(runtime, sessionId);
+      const unresolvedRuleIds = [...new Set(unresolved.map((violation) => violation.ruleId))];
+      if (unresolvedRuleIds.length > 0) {
+        reasons.push(`unresolved guidance violations: ${unresolvedRuleIds.join(', ')}`);
+      }
+
+      const testsPending = testsPendingAfterEdits(runtime, sessionId);
+      if (testsPending) {
+        reasons.push('tests were never run after edits');
+      }
+
+      // The continue gate has the last word: when it says the agent should
+      // not keep going (budget, coherence, loop detection), let it stop.
+      const continueDecision = evaluateContinueGate(runtime, { stepNumber: runtime.stepCounter });
+      const gateAllowsContinue = !['stop', 'pause'].includes(continueDecisionName(continueDecision));
+
+      // Claude Code sets stop_hook_active once it is already continuing because
+      // of a Stop hook; blocking again would loop forever.
+      const stopHookActive = Boolean(payload.stopHookActive);
+      const blocked = reasons.length > 0 && gateAllowsContinue && !stopHookActive;
+
+      return {
+        event: 'stop',
+        sessionId,
+        success: true,
+        blocked,
+        reason: reasons.length > 0 ? `Not done yet: ${reasons.join('; ')}` : '',
+        reasons,
+        pendingTaskIds: openTasks.map(([taskId]) => taskId),
+        unresolvedRuleIds,
+        testsPending,
+        stopHookActive,
+        continueDecision,
+      };
+    }
+
+    case 'session-start': {
+      const now = Date.now();
+      const prunedRuns = pruneStalePendingRuns(pendingRuns, now);
+      if (prunedRuns.length > 0) writeJson(pendingRunsPath, pendingRuns);
+      const taskCachePruned = pruneStaleTaskCache(
+        resolve(runtime.rootDir, '.claude-flow/guidance/hook-task-cache.json'),
+        now
+      );
+
+      const proofChain = {
+        valid: runtime.verifyProofChain(),
+        length: runtime.proofChain.getChainLength(),
+      };
+      const trust = runtime.trustSystem.getSnapshot(agentId);
+      const lastSession = getLastSessionSummary(runtime, sessionId);
+      const autopilot = readAutopilotOutcome(runtime.rootDir);
+      const pruned = { pendingRuns: prunedRuns, taskCache: taskCachePruned };
+
+      return {
+        event: 'session-start',
+        source: safeString(payload.source, 'startup'),
+        sessionId,
+        success: true,
+        blocked: false,
+        proofChain,
+        trust,
+        restoredTrustAgents: runtime.trustSystem.getAllSnapshots().length,
+        lastSession,
+        autopilot,
+        pruned,
+        briefing: buildSessionBriefing({ proofChain, trust, lastSession, autopilot, pruned }),
+      };
+    }
+
     case 'session-end': {
       const conformance = await runtime.runConformanceIntegration();
       const evolution = await runtime.runEvolutionIntegration();
 
+      // Graduate or roll back the active evolution rollout from its cohort metrics
+      let rollout = null;
+      try {
+        const graduation = await graduateRollout(runtime);
+        rollout = graduation
+          ? { proposalId: graduation.record.proposal.proposalId, ...graduation.result }
+          : null;
+      } catch (error) {
+        rollout = { error: true, reason: error instanceof Error ? error.message : String(error) };
+      }
+
       // Optimizer cycle — run if enough events accumulated
       let optimizerResult = null;
       try {
@@ -537,6 +1642,7 @@ export async function runEvent(runtime, eventName, payload) {
           proposalStatus: evolution.proposalStatus,
           approved: Boolean(evolution.comparison?.approved),
         },
+        rollout,
         optimizer: optimizerResult,
       };
       await runtime.persistState({ lastHookEvent: summary });
@@ -547,3 +1653,65 @@ export async function runEvent(runtime, eventName, payload) {
       throw new Error(`Unknown guidance event: ${eventName}`);
   }
 }
+
+/**
+ * Shadow mode: when shadow-mode.json covers a block or ask, record it as a
+ * would-block envelope (chained to the decision's own envelope) and ledger
+ * event, and answer with allow.
+ */
+async function applyShadowMode(runtime, eventName, payload, summary) {
+  const policy = getShadowMode(runtime);
+  if (!policy.enabled && policy.rules.length === 0) return summary;
+
+  const wouldBlock = summary?.blocked === true;
+  const wouldAsk = !wouldBlock && (summary?.decision === 'ask' || safeArray(summary?.confirm).length > 0);
+  // Events without a proof envelope of their own (stop) have no violations
+  // to match, so only global shadow mode covers them.
+  const proof = runtime.lastProof?.envelope.envelopeId === summary?.proofEnvelope?.envelopeId
+    ? runtime.lastProof
+    : null;
+  const violations = proof?.violations ?? [];
+  const coverage = wouldBlock || wouldAsk ? shadowCoverage(policy, violations) : null;
+  if (!coverage) return policy.enabled ? { ...summary, shadowMode: true } : summary;
+
+  const decision = wouldBlock ? 'deny' : 'ask';
+  const rules = decisionRules(violations);
+  const envelope = runtime.appendProof({
+    taskId: proof?.taskId ?? taskIdFromPayload(eventName, payload),
+    agentId: proof?.agentId ?? safeString(payload.agentId, 'claude-main'),
+    toolsUsed: ['ShadowMode'],
+    violations,
+    parentEnvelopeId: proof?.envelope.envelopeId,
+    annotations: { wouldBlock: true, hookEvent: eventName, shadowDecision: decision, shadowRules: rules },
+    logToLedger: true,
+    details: {
+      sessionId: proof?.sessionId ?? summary.sessionId ?? payload.sessionId,
+      toolParams: { ShadowMode: { event: eventName, decision, rules } },
+      toolResults: { ShadowMode: { coverage, allowed: true } },
+    },
+  });
+
+  const shadowed = {
+    ...summary,
+    success: true,
+    blocked: false,
+    ...('decision' in summary ? { decision: 'allow' } : {}),
+    ...('confirm' in summary ? { confirm: [] } : {}),
+    ...(policy.enabled ? { shadowMode: true } : {}),
+    shadow: {
+      coverage,
+      decision,
+      rules,
+      messages: safeArray(summary.messages),
+      reason: safeString(summary.reason, ''),
+      envelopeId: envelope.envelopeId,
+    },
+  };
+  await runtime.persistState({ lastHookEvent: shadowed });
+  return shadowed;
+}
+
+export async function runEvent(runtime, eventName, payload) {
+  const summary = await evaluateEvent(runtime, eventName, payload);
+  return applyShadowMode(runtime, eventName, payload, summary);
+}
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+import { userInfo } from 'node:os';
+import { resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { APPROVAL_TTL_MS, decideApproval, listApprovals, readApproval } from '../src/guidance/approvals.js';
+import { safeString, toPositiveInteger } from '../src/utils.mjs';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  cf-guidance approve                 List pending approval requests
+  cf-guidance approve <id> [options]  Approve a pending command
+  cf-guidance deny <id> [options]     Deny a pending command
+
+Options:
+  --reason <text>    Reason recorded with the signed decision
+  --by <name>        Who signs the decision (default: current user)
+  --ttl <minutes>    How long an approval stays usable (default: ${APPROVAL_TTL_MS / 60000})
+
+Approvals are signed with GUIDANCE_PROOF_KEY; set the same key the hooks use.`);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--') && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function defaultSigner() {
+  try {
+    return userInfo().username;
+  } catch {
+    return safeString(process.env.USER, 'human');
+  }
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, id] = positional;
+
+  if (command !== 'approve' && command !== 'deny') {
+    usage();
+    process.exit(command === '--help' || command === '-h' ? 0 : 1);
+  }
+
+  if (!id) {
+    if (command === 'deny') {
+      usage();
+      process.exit(1);
+    }
+    const pending = listApprovals(rootDir)
+      .filter((approval) => approval.status === 'pending')
+      .map(({ id: approvalId, command: text, classification, agentId, requestedAt }) => ({
+        id: approvalId,
+        command: text,
+        classification,
+        agentId,
+        requestedAt: new Date(requestedAt).toISOString(),
+      }));
+    printJson({ pending });
+    return;
+  }
+
+  if (!readApproval(rootDir, id)) {
+    console.error(`No approval request ${id}`);
+    process.exit(1);
+  }
+
+  // Only the authority gate is needed; it signs with the runtime's key.
+  const runtime = new GuidanceAdvancedRuntime({ rootDir });
+  const decided = decideApproval(rootDir, id, {
+    decision: command === 'approve' ? 'approved' : 'denied',
+    authorityGate: runtime.authorityGate,
+    signedBy: safeString(options.by, defaultSigner()),
+    reason: safeString(options.reason, ''),
+    ttlMs: toPositiveInteger(options.ttl, APPROVAL_TTL_MS / 60000) * 60000,
+  });
+  printJson({
+    id: decided.id,
+    status: decided.status,
+    command: decided.command,
+    signedBy: decided.token?.signedBy ?? null,
+    expiresAt: decided.token ? new Date(decided.token.metadata.expiresAt).toISOString() : null,
+  });
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
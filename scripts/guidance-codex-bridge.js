@@ -176,10 +176,20 @@ function runHookHandler(mappedCommand, inputJson) {
     encoding: 'utf-8',
   });
 
+  const stdout = safeString(result.stdout, '').trim();
+  const hookOutput = stdout.startsWith('{') ? parseJson(stdout, null) : null;
+  const decision = safeString(hookOutput?.hookSpecificOutput?.permissionDecision, '') || null;
+  // Codex cannot ask the user to confirm a call, so an ask fails closed.
+  const denied = decision === 'deny' || decision === 'ask';
+
+  // The handler reports denials as Claude Code hook JSON on exit 0; Codex has
+  // no equivalent, so a deny or ask maps back to a non-zero bridge exit.
   return {
-    ok: result.status === 0,
-    exitCode: result.status ?? 1,
-    stdout: safeString(result.stdout, '').trim(),
+    ok: result.status === 0 && !denied,
+    exitCode: denied ? 2 : (result.status ?? 1),
+    decision,
+    reason: safeString(hookOutput?.hookSpecificOutput?.permissionDecisionReason, '') || null,
+    stdout,
     stderr: safeString(result.stderr, '').trim(),
   };
 }
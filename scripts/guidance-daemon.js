@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+import { spawn } from 'node:child_process';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { toPositiveInteger } from '../src/utils.mjs';
+import {
+  createGuidanceDaemon,
+  getDefaultSocketPath,
+  readDaemonInfo,
+  requestDaemon,
+} from './daemon-server.js';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  node scripts/guidance-daemon.js start    Start the daemon in the background
+  node scripts/guidance-daemon.js serve    Run the daemon in the foreground
+  node scripts/guidance-daemon.js stop     Stop a running daemon
+  node scripts/guidance-daemon.js status   Print daemon status
+
+Environment:
+  GUIDANCE_DAEMON_IDLE_MS   Idle shutdown timeout in ms (default: 1800000, 0 = never)`);
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function getSocketPath() {
+  return readDaemonInfo(rootDir)?.socketPath ?? getDefaultSocketPath(rootDir);
+}
+
+async function ping() {
+  return requestDaemon(getSocketPath(), { type: 'status' }, 1000);
+}
+
+async function waitForDaemon(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await ping();
+    if (response?.ok) return response.status;
+    await new Promise((resolvePromise) => setTimeout(resolvePromise, 100));
+  }
+  return null;
+}
+
+async function main() {
+  const [, , command] = process.argv;
+
+  switch (command) {
+    case 'serve': {
+      const idleMs = process.env.GUIDANCE_DAEMON_IDLE_MS;
+      const daemon = createGuidanceDaemon({
+        rootDir,
+        idleTimeoutMs: idleMs === '0' ? 0 : toPositiveInteger(idleMs, undefined),
+      });
+      await daemon.start();
+      const shutdown = () => { daemon.stop().then(() => process.exit(0)); };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+      return;
+    }
+
+    case 'start': {
+      const running = await ping();
+      if (running?.ok) {
+        printJson({ started: false, alreadyRunning: true, ...running.status });
+        return;
+      }
+      const child = spawn(process.execPath, [fileURLToPath(import.meta.url), 'serve'], {
+        cwd: rootDir,
+        env: { ...process.env, GUIDANCE_PROJECT_DIR: rootDir },
+        detached: true,
+        stdio: 'ignore',
+      });
+      child.unref();
+      const status = await waitForDaemon(10000);
+      if (!status) {
+        console.error(`Guidance daemon did not become ready (pid ${child.pid})`);
+        process.exit(1);
+      }
+      printJson({ started: true, ...status });
+      return;
+    }
+
+    case 'stop': {
+      const response = await requestDaemon(getSocketPath(), { type: 'shutdown' }, 2000);
+      printJson({ stopped: Boolean(response?.ok) });
+      return;
+    }
+
+    case 'status': {
+      const response = await ping();
+      printJson(response?.ok
+        ? { running: true, ...response.status }
+        : { running: false, socketPath: getSocketPath() });
+      return;
+    }
+
+    default:
+      usage();
+      process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+import { resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import {
+  advanceRollout,
+  listEvolutionRecords,
+  proposeRuleChange,
+  readEvolutionRecord,
+  rollbackRollout,
+  simulateProposal,
+  stageProposal,
+} from '../src/guidance/evolution-proposals.js';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  cf-guidance evolution propose --add <rule> [options]
+  cf-guidance evolution propose --modify <rule> --to <rule> [options]
+  cf-guidance evolution propose --remove <rule> [options]
+  cf-guidance evolution list
+  cf-guidance evolution show <id>
+  cf-guidance evolution simulate <id>     Replay hook history under the proposed rules
+  cf-guidance evolution stage <id> [--cohort session|agent] [--agents <ids>]
+                                         Start a staged rollout (canary 5%, partial 50%, full 100%)
+  cf-guidance evolution advance <id> [--force]
+  cf-guidance evolution rollback <id> [--reason <text>]
+
+Propose options:
+  --title <text>       Short title (default: the rule text)
+  --rationale <text>   Why the change is needed
+  --author <name>      Who proposes it (default: human)
+  --risk <level>       low, medium or high
+
+Stage options:
+  --cohort <kind>      Bucket sessions (default) or agent ids into the canary cohort
+  --agents <ids>       Comma-separated agent ids that are always in the canary cohort;
+                       without --cohort, only these agents are until the full stage
+
+A rollout applies the proposed rules to the canary cohort: the share of sessions
+or agents in the current stage. Session end advances a stage once it has run for
+its duration and the canary cohort shows no rise in violation or block rate over
+the control cohort, and rolls back when it does. Passing the last stage writes
+the change to CLAUDE.md.
+Proposals are signed with GUIDANCE_PROOF_KEY; set the same key the hooks use.`);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  const flags = new Set();
+  for (let i = 0; i < argv.length; i += 1) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i]);
+    } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      flags.add(argv[i].slice(2));
+    } else {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return { positional, options, flags };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function summarize(record) {
+  const { proposal, comparison, rollout } = record;
+  return {
+    proposalId: proposal.proposalId,
+    kind: proposal.kind,
+    title: proposal.title,
+    status: proposal.status,
+    createdAt: new Date(proposal.createdAt).toISOString(),
+    divergenceScore: record.simulation?.divergenceScore ?? null,
+    approved: comparison?.approved ?? null,
+    rollout: rollout
+      ? { status: rollout.status, stage: rollout.stages[rollout.currentStage]?.name ?? null }
+      : null,
+  };
+}
+
+function proposalFromOptions(options) {
+  if (options.add) return { kind: 'rule-add', rule: options.add };
+  if (options.modify) return { kind: 'rule-modify', rule: options.modify, to: options.to };
+  if (options.remove) return { kind: 'rule-remove', rule: options.remove };
+  return null;
+}
+
+async function main() {
+  const { positional, options, flags } = parseArgs(process.argv.slice(2));
+  const [command, id] = positional;
+  if (['show', 'simulate', 'stage', 'advance', 'rollback'].includes(command) && !id) {
+    usage();
+    process.exit(1);
+  }
+  const runtime = new GuidanceAdvancedRuntime({ rootDir });
+
+  switch (command) {
+    case 'propose': {
+      const change = proposalFromOptions(options);
+      if (!change) {
+        usage();
+        process.exit(1);
+      }
+      const record = await proposeRuleChange(runtime, {
+        ...change,
+        title: options.title,
+        rationale: options.rationale,
+        author: options.author,
+        risk: options.risk,
+      });
+      printJson(summarize(record));
+      return;
+    }
+
+    case 'list':
+      printJson({ proposals: listEvolutionRecords(rootDir).map(summarize) });
+      return;
+
+    case 'show': {
+      const record = readEvolutionRecord(rootDir, id);
+      if (!record) {
+        console.error(`No proposal ${id}`);
+        process.exit(1);
+      }
+      printJson(record);
+      return;
+    }
+
+    case 'simulate': {
+      const record = await simulateProposal(runtime, id);
+      printJson({
+        ...summarize(record),
+        simulation: {
+          divergenceScore: record.simulation.divergenceScore,
+          decisionDiffs: record.simulation.decisionDiffs.length,
+          metrics: record.simulation.metricsComparison,
+          reason: record.simulation.reason,
+        },
+        comparison: record.comparison,
+      });
+      return;
+    }
+
+    case 'stage': {
+      const record = await stageProposal(runtime, id, {
+        cohort: {
+          by: options.cohort ?? 'session',
+          agents: options.agents ? options.agents.split(',') : [],
+        },
+      });
+      printJson({ ...summarize(record), cohort: record.cohort });
+      return;
+    }
+
+    case 'advance': {
+      const { record, result } = await advanceRollout(runtime, id, { force: flags.has('force') });
+      printJson({ ...summarize(record), result });
+      return;
+    }
+
+    case 'rollback':
+      printJson(summarize(await rollbackRollout(runtime, id, { reason: options.reason })));
+      return;
+
+    default:
+      usage();
+      process.exit(command === '-h' || flags.has('help') ? 0 : 1);
+  }
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
@@ -19,7 +19,7 @@ function usage() {
   node scripts/guidance-integrations.js conformance
   node scripts/guidance-integrations.js evolution
   node scripts/guidance-integrations.js all
-  node scripts/guidance-integrations.js event <pre-command|pre-edit|pre-task|post-task|post-edit|session-end> [jsonPayload]`);
+  node scripts/guidance-integrations.js event <pre-command|pre-edit|pre-read|pre-fetch|pre-tool|pre-task|post-task|post-edit|post-command|post-tool-failure|user-prompt|pre-compact|stop|session-start|session-end> [jsonPayload]`);
 }
 
 function printJson(value) {
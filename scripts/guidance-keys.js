@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+import { resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { KEY_SUBSYSTEMS, rotateSigningKeys } from '../src/guidance/keyring.js';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  cf-guidance keys list                     Key ids per subsystem (no secrets)
+  cf-guidance keys rotate [--subsystem <names>] [--reason <text>]
+                                            Give subsystems new signing keys (default: all)
+
+Subsystems: ${KEY_SUBSYSTEMS.join(', ')}
+
+Keys live in .claude-flow/guidance/keys/keyring.json. Until the first rotation
+each subsystem signs with a key derived from GUIDANCE_PROOF_KEY. A rotation is recorded in the
+proof chain, signed with the outgoing proof key; retired keys stay in the
+keyring so everything they signed still verifies.`);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command] = positional;
+  const runtime = new GuidanceAdvancedRuntime({ rootDir });
+
+  switch (command) {
+    case 'list':
+      printJson({ keyring: runtime.keyring.stored ? runtime.keyring.path : null, subsystems: runtime.keyring.list() });
+      return;
+
+    case 'rotate': {
+      const subsystems = options.subsystem ? options.subsystem.split(',') : KEY_SUBSYSTEMS;
+      printJson(await rotateSigningKeys(runtime, { subsystems, reason: options.reason ?? null }));
+      return;
+    }
+
+    default:
+      usage();
+      process.exit(command === '-h' || command === '--help' ? 0 : 1);
+  }
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
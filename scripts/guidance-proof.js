@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+import { writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { PROOF_NOTES_REF, anchorProofTip, verifyProofAnchors } from '../src/guidance/proof-anchor.js';
+import {
+  PROOF_EXPORT_FORMATS,
+  formatProofExport,
+  readProofEntries,
+  searchProofEntries,
+  summarizeProofEntry,
+  verifyProofStore,
+} from '../src/guidance/proof-audit.js';
+import { sinceTimestamp } from '../src/utils.mjs';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  cf-guidance proof verify                 Verify every envelope, hash link and segment tip,
+                                           and the chain against its git note anchors
+  cf-guidance proof anchor [--commit <rev>] [--quiet]
+                                           Record the chain tip as a git note on HEAD
+  cf-guidance proof list [--limit <n>]     The most recent decisions (default: 20)
+  cf-guidance proof show <id>              One envelope with its run event and tool calls
+  cf-guidance proof search [filters]       Decisions matching every filter, oldest first
+  cf-guidance proof export [--format json|csv|ndjson] [--out <file>]
+
+Search filters:
+  --agent <id>         Agent that made the call
+  --task <id>          Task id
+  --since <when>       30m, 24h, 7d, 2w or a date
+  --violation <rule>   Rule id, or a prefix ending in * (threat-*)
+  --file <path>        Decision history for a file
+  --command <text>     Decision history for commands containing the text
+
+Anchors are stored under ${PROOF_NOTES_REF}; push them with
+  git push origin ${PROOF_NOTES_REF}
+
+Reads .claude-flow/guidance/advanced/proof-chain/. Envelopes are verified with
+the key each one names, from .claude-flow/guidance/keys/ or GUIDANCE_PROOF_KEY;
+set the same key the hooks use.`);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  const flags = new Set();
+  for (let i = 0; i < argv.length; i += 1) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i]);
+    } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      flags.add(argv[i].slice(2));
+    } else {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return { positional, options, flags };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function main() {
+  const { positional, options, flags } = parseArgs(process.argv.slice(2));
+  const [command, id] = positional;
+  const runtime = new GuidanceAdvancedRuntime({ rootDir });
+  const store = { dir: runtime.proofPath, keys: runtime.keyring.keysFor('proof') };
+
+  switch (command) {
+    case 'verify': {
+      const result = verifyProofStore(store);
+      const anchors = verifyProofAnchors(rootDir, store.dir);
+      printJson({ ...result, valid: result.valid && anchors.valid, anchors });
+      if (!result.valid || !anchors.valid) process.exit(1);
+      return;
+    }
+
+    case 'anchor': {
+      const result = anchorProofTip(rootDir, store, { commit: options.commit ?? 'HEAD' });
+      if (!flags.has('quiet')) printJson(result);
+      else if (result.anchored) console.log(`Anchored proof chain tip ${result.anchor.tipHash.slice(0, 12)} on ${result.commit.slice(0, 12)}`);
+      return;
+    }
+
+    case 'list': {
+      const limit = Number(options.limit ?? 20);
+      if (!Number.isInteger(limit) || limit < 1) fail(`--limit must be a positive whole number, not "${options.limit}"`);
+      const entries = readProofEntries(store);
+      printJson({ total: entries.length, envelopes: entries.slice(-limit).map(summarizeProofEntry) });
+      return;
+    }
+
+    case 'show': {
+      if (!id) {
+        usage();
+        process.exit(1);
+      }
+      const entries = readProofEntries(store);
+      const matches = entries.filter((entry) => entry.envelope.envelopeId.startsWith(id));
+      if (matches.length === 0) fail(`No envelope ${id}`);
+      if (matches.length > 1) fail(`${matches.length} envelopes start with ${id}; give more of the id`);
+      const [entry] = matches;
+      printJson({
+        ...summarizeProofEntry(entry),
+        location: { file: entry.file, line: entry.line },
+        envelope: entry.envelope,
+        record: entry.record,
+        children: entries
+          .filter((other) => other.envelope.metadata?.parentEnvelopeId === entry.envelope.envelopeId)
+          .map(summarizeProofEntry),
+      });
+      return;
+    }
+
+    case 'search': {
+      const since = options.since === undefined ? null : sinceTimestamp(options.since);
+      if (options.since !== undefined && since === null) {
+        fail(`Cannot read --since "${options.since}"; use 30m, 24h, 7d, 2w or a date`);
+      }
+      const matches = searchProofEntries(readProofEntries(store), {
+        agent: options.agent,
+        task: options.task,
+        since,
+        violation: options.violation,
+        file: options.file,
+        command: options.command,
+        rootDir,
+      });
+      printJson({ matches: matches.length, envelopes: matches.map(summarizeProofEntry) });
+      return;
+    }
+
+    case 'export': {
+      const format = options.format ?? 'json';
+      if (!PROOF_EXPORT_FORMATS.includes(format)) fail(`--format must be one of ${PROOF_EXPORT_FORMATS.join(', ')}`);
+      const output = formatProofExport(readProofEntries(store), format);
+      if (options.out) {
+        writeFileSync(resolve(rootDir, options.out), output);
+        console.log(`Wrote ${resolve(rootDir, options.out)}`);
+      } else {
+        process.stdout.write(output);
+      }
+      return;
+    }
+
+    default:
+      usage();
+      process.exit(command === '-h' || flags.has('help') ? 0 : 1);
+  }
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import { writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { REPORT_FORMATS, buildComplianceReport, formatComplianceReport } from '../src/guidance/compliance-report.js';
+import { sinceTimestamp } from '../src/utils.mjs';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  cf-guidance report [--since <when>] [--until <when>] [--format md|html|json] [--out <file>]
+
+  --since <when>   Start of the window: 30m, 24h, 7d, 2w or a date (default: 7d)
+  --until <when>   End of the window, same format (default: now)
+  --format <fmt>   md, html or json (default: md)
+  --out <file>     Write the report to a file instead of stdout
+
+Reports blocked commands and edits by rule, would-block decisions in shadow
+mode, threat detections, trust score trajectories, autopilot promotions with
+their ADRs, and whether the proof chain and its git anchors verify. Exits 1
+when they do not.`);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes('-h') || argv.includes('--help')) {
+    usage();
+    process.exit(0);
+  }
+  const { positional, options } = parseArgs(argv);
+  if (positional.length > 0) {
+    usage();
+    process.exit(1);
+  }
+
+  const format = options.format ?? 'md';
+  if (!REPORT_FORMATS.includes(format)) fail(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+
+  const now = Date.now();
+  const window = {};
+  for (const [name, fallback] of [['since', '7d'], ['until', null]]) {
+    const value = options[name] ?? fallback;
+    window[name] = value === null ? now : sinceTimestamp(value, now);
+    if (window[name] === null) fail(`Cannot read --${name} "${value}"; use 30m, 24h, 7d, 2w or a date`);
+  }
+
+  const report = await buildComplianceReport(new GuidanceAdvancedRuntime({ rootDir }), window);
+  const output = formatComplianceReport(report, format);
+  if (options.out) {
+    writeFileSync(resolve(rootDir, options.out), output);
+    console.log(`Wrote ${resolve(rootDir, options.out)}`);
+  } else {
+    process.stdout.write(output);
+  }
+  if (!report.chain.valid) fail('The proof chain or its git anchors do not verify; run: cf-guidance proof verify');
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
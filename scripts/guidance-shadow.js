@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+import { resolve } from 'node:path';
+
+import { buildShadowReport } from '../src/guidance/shadow-mode.js';
+import { sinceTimestamp } from '../src/utils.mjs';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  cf-guidance shadow report [--since <when>] [--until <when>]
+
+  --since <when>   Start of the window: 30m, 24h, 7d, 2w or a date (default: 7d)
+  --until <when>   End of the window, same format (default: now)
+
+Shadow mode is configured in .claude-flow/guidance/shadow-mode.json:
+  { "enabled": true }                          shadow every decision
+  { "rules": ["threat-*", "pre-edit-secrets"] } shadow decisions made only by these rules
+or for every decision with GUIDANCE_SHADOW_MODE=1. Shadowed decisions are
+recorded as would-block and the hook allows the call.`);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command] = positional;
+
+  if (command !== 'report') {
+    usage();
+    process.exit(command === '-h' || command === '--help' ? 0 : 1);
+  }
+
+  const now = Date.now();
+  const window = {};
+  for (const [name, fallback] of [['since', '7d'], ['until', null]]) {
+    const value = options[name] ?? fallback;
+    window[name] = value === null ? now : sinceTimestamp(value, now);
+    if (window[name] === null) {
+      console.error(`Cannot read --${name} "${value}"; use 30m, 24h, 7d, 2w or a date`);
+      process.exit(1);
+    }
+  }
+  printJson(await buildShadowReport(rootDir, window));
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+import { resolve } from 'node:path';
+
+import { simulateTranscript } from './policy-simulation.js';
+
+const rootDir = resolve(
+  process.env.GUIDANCE_PROJECT_DIR || process.env.CLAUDE_PROJECT_DIR || process.cwd()
+);
+
+function usage() {
+  console.log(`Usage:
+  cf-guidance simulate --transcript <session.jsonl> --guidance <CLAUDE.candidate.md> [--json]
+
+Replays the Bash, Edit, MultiEdit, Write, Task, Read, Grep and Glob calls
+of a Claude Code session transcript against the current CLAUDE.md and the
+candidate, and lists the actions whose outcome changes.
+
+Options:
+  --transcript <path>  Claude Code session transcript (~/.claude/projects/<project>/<session>.jsonl)
+  --guidance <path>    Candidate CLAUDE.md
+  --json               Print the full report, including unchanged actions, as JSON`);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const flags = new Set();
+  for (let i = 0; i < argv.length; i += 1) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      flags.add(key);
+    } else {
+      options[key] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return { options, flags };
+}
+
+function formatOutcome(outcome) {
+  if (outcome.error) return `error: ${outcome.error}`;
+  return outcome.blocked ? `blocked: ${outcome.reason || 'no reason given'}` : 'allowed';
+}
+
+function printReport(report) {
+  const { totals } = report;
+  console.log(`Simulated ${report.actionCount} actions from ${report.transcript}`);
+  console.log(`Blocked with current CLAUDE.md: ${totals.currentBlocked}`);
+  console.log(`Blocked with candidate:         ${totals.candidateBlocked}`);
+  console.log(`Newly blocked: ${totals.newlyBlocked}, newly allowed: ${totals.newlyAllowed}`);
+
+  for (const result of report.changed) {
+    const label = result.change === 'newly-blocked' ? 'NEWLY BLOCKED' : 'NEWLY ALLOWED';
+    console.log(`\n[${label}] #${result.index + 1} ${result.toolName}: ${result.summary}`);
+    console.log(`  current:   ${formatOutcome(result.current)}`);
+    console.log(`  candidate: ${formatOutcome(result.candidate)}`);
+  }
+}
+
+async function main() {
+  const { options, flags } = parseArgs(process.argv.slice(2));
+  if (flags.has('help') || !options.transcript || !options.guidance) {
+    usage();
+    process.exit(flags.has('help') ? 0 : 1);
+  }
+
+  const report = await simulateTranscript({
+    rootDir,
+    transcriptPath: resolve(options.transcript),
+    candidatePath: resolve(options.guidance),
+  });
+
+  if (flags.has('json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+main().catch((error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(message);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+/**
+ * Policy Simulation — replay a Claude Code session against a candidate CLAUDE.md.
+ *
+ * Bash, Edit, MultiEdit, Write and Task calls are read from a session
+ * transcript (.jsonl) and run through the `runEvent` pipeline twice: once
+ * with the project's current CLAUDE.md and once with the candidate. Read,
+ * Grep and Glob calls are replayed too, since CLAUDE.md rules feed the
+ * read-path policy. Each run happens in a scratch copy of the project's
+ * guidance files, so approvals, ledgers and session records of the real
+ * project are never touched.
+ *
+ * Edit diff sizes are counted from the tool input, not from files on disk.
+ */
+
+import { copyFileSync, existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { isAbsolute, join, relative, resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { safeArray, safeString } from '../src/utils.mjs';
+import { runEvent } from './event-handlers.js';
+
+const SIMULATED_TOOLS = new Set(['Bash', 'Edit', 'MultiEdit', 'Write', 'Task', 'Read', 'Grep', 'Glob']);
+
+// Project config the gates read, copied into each scratch project.
+const GUIDANCE_CONFIG_FILES = ['components.json', 'read-policy.json', 'egress-policy.json', 'mcp-policy.json'];
+
+function lineCount(text) {
+  const value = safeString(text, '');
+  return value ? value.split('\n').length : 0;
+}
+
+function projectPath(filePath, cwd) {
+  const path = safeString(filePath, '');
+  if (!cwd || !isAbsolute(path)) return path;
+  const relativePath = relative(cwd, path);
+  return relativePath.startsWith('..') ? path : relativePath;
+}
+
+function toEvent(name, input, cwd) {
+  switch (name) {
+    case 'Bash':
+      return { event: 'pre-command', payload: { command: safeString(input.command, '') } };
+    case 'Write':
+      return {
+        event: 'pre-edit',
+        payload: {
+          filePath: projectPath(input.file_path, cwd),
+          content: safeString(input.content, ''),
+          operation: 'create',
+          linesAdded: lineCount(input.content),
+        },
+      };
+    case 'Edit':
+    case 'MultiEdit': {
+      const edits = name === 'Edit' ? [input] : safeArray(input.edits);
+      return {
+        event: 'pre-edit',
+        payload: {
+          filePath: projectPath(input.file_path, cwd),
+          content: edits.map((edit) => safeString(edit?.new_string, '')).join('\n'),
+          edits: edits.length > 1 ? edits.map((edit) => safeString(edit?.new_string, '')) : undefined,
+          operation: 'modify',
+          linesAdded: edits.reduce((sum, edit) => sum + lineCount(edit?.new_string), 0),
+          linesRemoved: edits.reduce((sum, edit) => sum + lineCount(edit?.old_string), 0),
+        },
+      };
+    }
+    case 'Read':
+    case 'Grep':
+    case 'Glob': {
+      const base = projectPath(input.file_path || input.path, cwd).trim();
+      const pattern = safeString(input.glob || (name === 'Glob' ? input.pattern : ''), '').trim();
+      const paths = base ? [base] : [];
+      if (pattern) paths.push(base ? join(base, pattern) : pattern);
+      return { event: 'pre-read', payload: { toolName: name, paths } };
+    }
+    case 'Task':
+      return {
+        event: 'pre-task',
+        payload: { taskDescription: [input.description, input.prompt].map((part) => safeString(part, '')).join('\n').trim() },
+      };
+    default:
+      return null;
+  }
+}
+
+function describeAction(name, input) {
+  if (name === 'Bash') return safeString(input.command, '');
+  if (name === 'Task') return safeString(input.description, '');
+  if (name === 'Grep' || name === 'Glob') return [input.pattern, input.path].filter(Boolean).join(' in ');
+  return safeString(input.file_path, '');
+}
+
+/**
+ * Extract the simulated tool calls from a transcript, in order. Lines that
+ * are not JSON, and calls with no usable input, are skipped.
+ */
+export function parseTranscriptActions(text) {
+  const actions = [];
+  for (const line of safeString(text, '').split('\n')) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const content = entry?.message?.content;
+    if (entry?.type !== 'assistant' || !Array.isArray(content)) continue;
+
+    for (const block of content) {
+      if (block?.type !== 'tool_use' || !SIMULATED_TOOLS.has(block.name)) continue;
+      const input = block.input && typeof block.input === 'object' ? block.input : {};
+      const event = toEvent(block.name, input, entry.cwd);
+      if (!event) continue;
+      actions.push({
+        index: actions.length,
+        toolUseId: safeString(block.id, ''),
+        toolName: block.name,
+        summary: describeAction(block.name, input),
+        sessionId: safeString(entry.sessionId, 'simulation'),
+        ...event,
+      });
+    }
+  }
+  return actions;
+}
+
+function createScratchProject(rootDir, guidance) {
+  const scratchDir = mkdtempSync(join(tmpdir(), 'guidance-simulate-'));
+  writeFileSync(join(scratchDir, 'CLAUDE.md'), guidance);
+  if (existsSync(resolve(rootDir, 'CLAUDE.local.md'))) {
+    copyFileSync(resolve(rootDir, 'CLAUDE.local.md'), join(scratchDir, 'CLAUDE.local.md'));
+  }
+  mkdirSync(join(scratchDir, '.claude-flow/guidance'), { recursive: true });
+  for (const file of GUIDANCE_CONFIG_FILES) {
+    const source = resolve(rootDir, '.claude-flow/guidance', file);
+    if (existsSync(source)) copyFileSync(source, join(scratchDir, '.claude-flow/guidance', file));
+  }
+  return scratchDir;
+}
+
+function outcomeOf(result) {
+  const reason = safeArray(result?.messages).join(' | ') || safeString(result?.reason, '');
+  return { blocked: Boolean(result?.blocked), reason };
+}
+
+/** Run every action through `runEvent` with `guidance` as the project's CLAUDE.md. */
+export async function replayActions(rootDir, guidance, actions) {
+  const scratchDir = createScratchProject(rootDir, guidance);
+  try {
+    const runtime = new GuidanceAdvancedRuntime({ rootDir: scratchDir });
+    const outcomes = [];
+    for (const action of actions) {
+      try {
+        outcomes.push(outcomeOf(await runEvent(runtime, action.event, { ...action.payload, sessionId: action.sessionId })));
+      } catch (error) {
+        outcomes.push({ blocked: false, reason: '', error: error instanceof Error ? error.message : String(error) });
+      }
+    }
+    return outcomes;
+  } finally {
+    rmSync(scratchDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Replay a transcript against the current and the candidate CLAUDE.md and
+ * list the actions whose outcome changes.
+ */
+export async function simulateTranscript({ rootDir, transcriptPath, candidatePath }) {
+  const currentPath = resolve(rootDir, 'CLAUDE.md');
+  if (!existsSync(currentPath)) throw new Error(`Missing required guidance file: ${currentPath}`);
+  if (!existsSync(candidatePath)) throw new Error(`Missing candidate guidance file: ${candidatePath}`);
+
+  const actions = parseTranscriptActions(readFileSync(transcriptPath, 'utf-8'));
+  const current = await replayActions(rootDir, readFileSync(currentPath, 'utf-8'), actions);
+  const candidate = await replayActions(rootDir, readFileSync(candidatePath, 'utf-8'), actions);
+
+  const results = actions.map((action, index) => {
+    const before = current[index];
+    const after = candidate[index];
+    let change = 'unchanged';
+    if (!before.blocked && after.blocked) change = 'newly-blocked';
+    else if (before.blocked && !after.blocked) change = 'newly-allowed';
+    return {
+      index,
+      toolName: action.toolName,
+      toolUseId: action.toolUseId,
+      summary: action.summary,
+      event: action.event,
+      current: before,
+      candidate: after,
+      change,
+    };
+  });
+
+  return {
+    transcript: transcriptPath,
+    candidate: candidatePath,
+    actionCount: actions.length,
+    totals: {
+      currentBlocked: current.filter((outcome) => outcome.blocked).length,
+      candidateBlocked: candidate.filter((outcome) => outcome.blocked).length,
+      newlyBlocked: results.filter((result) => result.change === 'newly-blocked').length,
+      newlyAllowed: results.filter((result) => result.change === 'newly-allowed').length,
+    },
+    changed: results.filter((result) => result.change !== 'unchanged'),
+    results,
+  };
+}
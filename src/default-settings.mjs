@@ -8,13 +8,18 @@ export const GUIDANCE_ENV_DEFAULTS = {
   GUIDANCE_AUTOPILOT_AB: '0',
   GUIDANCE_AUTOPILOT_MIN_AB_GAIN: '0.05',
   GUIDANCE_CODEX_SKIP_CF_HOOKS: '0',
+  GUIDANCE_DAEMON_ENABLED: '1',
+  GUIDANCE_DAEMON_AUTOSTART: '1',
+  GUIDANCE_PROMPT_MAX_SHARDS: '3',
+  GUIDANCE_PROMPT_TOKEN_BUDGET: '400',
+  GUIDANCE_FAILURE_REPEAT_LIMIT: '3',
 };
 
 export function buildHookDefaults(hookTimeout = 5000) {
   return {
     PreToolUse: [
       {
-        matcher: 'Write|Edit|MultiEdit',
+        matcher: 'Write|Edit|MultiEdit|NotebookEdit',
         hooks: [
           {
             type: 'command',
@@ -31,6 +36,41 @@ export function buildHookDefaults(hookTimeout = 5000) {
             command: 'node "$CLAUDE_PROJECT_DIR"/.claude/helpers/guidance-enforcement.cjs pre-command',
             timeout: hookTimeout,
           },
+          {
+            type: 'command',
+            command: 'node "$CLAUDE_PROJECT_DIR"/.claude/helpers/guidance-enforcement.cjs pre-fetch',
+            timeout: hookTimeout,
+          },
+        ],
+      },
+      {
+        matcher: 'WebFetch|WebSearch',
+        hooks: [
+          {
+            type: 'command',
+            command: 'node "$CLAUDE_PROJECT_DIR"/.claude/helpers/guidance-enforcement.cjs pre-fetch',
+            timeout: hookTimeout,
+          },
+        ],
+      },
+      {
+        matcher: 'Read|Grep|Glob',
+        hooks: [
+          {
+            type: 'command',
+            command: 'node "$CLAUDE_PROJECT_DIR"/.claude/helpers/guidance-enforcement.cjs pre-read',
+            timeout: hookTimeout,
+          },
+        ],
+      },
+      {
+        matcher: 'mcp__.*',
+        hooks: [
+          {
+            type: 'command',
+            command: 'node "$CLAUDE_PROJECT_DIR"/.claude/helpers/guidance-enforcement.cjs pre-tool',
+            timeout: hookTimeout,
+          },
         ],
       },
       {
@@ -46,7 +86,7 @@ export function buildHookDefaults(hookTimeout = 5000) {
     ],
     PostToolUse: [
       {
-        matcher: 'Write|Edit|MultiEdit',
+        matcher: 'Write|Edit|MultiEdit|NotebookEdit',
         hooks: [
           {
             type: 'command',
@@ -55,6 +95,16 @@ export function buildHookDefaults(hookTimeout = 5000) {
           },
         ],
       },
+      {
+        matcher: 'Bash',
+        hooks: [
+          {
+            type: 'command',
+            command: 'node "$CLAUDE_PROJECT_DIR"/.claude/helpers/guidance-enforcement.cjs post-command',
+            timeout: hookTimeout,
+          },
+        ],
+      },
       {
         matcher: 'Task',
         hooks: [
@@ -169,6 +219,9 @@ export const GUIDANCE_PACKAGE_SCRIPTS = {
   'guidance:conformance': 'cf-guidance run conformance',
   'guidance:evolution': 'cf-guidance run evolution',
   'guidance:runtime': 'cf-guidance runtime demo',
+  'guidance:daemon:start': 'cf-guidance daemon start',
+  'guidance:daemon:stop': 'cf-guidance daemon stop',
+  'guidance:daemon:status': 'cf-guidance daemon status',
   'guidance:codex:status': 'cf-guidance codex status',
   'guidance:codex:pre-command': 'cf-guidance codex pre-command',
   'guidance:codex:pre-edit': 'cf-guidance codex pre-edit',
@@ -248,6 +301,9 @@ export const GUIDANCE_CORE_SCRIPTS = [
   'guidance:all',
   'guidance:hooks',
   'guidance:runtime',
+  'guidance:daemon:start',
+  'guidance:daemon:stop',
+  'guidance:daemon:status',
 ];
 
 export const GUIDANCE_PRESETS = {
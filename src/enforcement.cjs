@@ -7,6 +7,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const net = require('net');
 const { createHash } = require('crypto');
 const { spawn, spawnSync } = require('child_process');
 
@@ -24,6 +25,7 @@ try {
 const prompt = process.env.PROMPT || (stdinData.tool_input && stdinData.tool_input.command) || args.join(' ') || '';
 
 function guidanceWiringEnabled() { return process.env.GUIDANCE_EVENT_WIRING_ENABLED !== '0'; }
+function guidanceDaemonEnabled() { return process.env.GUIDANCE_DAEMON_ENABLED !== '0'; }
 function getProjectDir() { return process.env.CLAUDE_PROJECT_DIR || process.cwd(); }
 function getBundledScriptPath(scriptName) { return path.resolve(__dirname, 'cli', scriptName); }
 
@@ -123,51 +125,275 @@ function getAgentId() { return safeString(process.env.CLAUDE_AGENT_ID || stdinDa
 
 function getFilePath() {
   const toolInput = getToolInput();
-  return safeString(toolInput.file_path || toolInput.path || args[0], '').trim();
+  return safeString(toolInput.file_path || toolInput.notebook_path || toolInput.path || args[0], '').trim();
 }
 
-function getEditContent() {
+// Read/Grep target a file or directory; Grep's `glob` and Glob's `pattern`
+// narrow it to the files actually read or listed.
+function getReadPaths() {
   const toolInput = getToolInput();
-  return safeString(toolInput.content || toolInput.new_string || toolInput.new_content || '', '');
+  // Grep and Glob without a path search the working directory.
+  const searchRoot = ['Grep', 'Glob'].includes(stdinData.tool_name) ? '.' : '';
+  const base = safeString(toolInput.file_path || toolInput.notebook_path || toolInput.path, '').trim() || searchRoot;
+  const pattern = safeString(toolInput.glob || (stdinData.tool_name === 'Glob' ? toolInput.pattern : ''), '').trim();
+  const paths = base ? [base] : [];
+  if (pattern) paths.push(base ? path.join(base, pattern) : pattern);
+  return paths;
 }
 
-function getDiffLines() {
+/**
+ * New content of every file-mutating tool shape, one segment per edit:
+ * Write `content`, Edit `new_string`, MultiEdit `edits[].new_string` and
+ * NotebookEdit `new_source` (nothing for a cell delete).
+ */
+function getEditSegments() {
+  const toolInput = getToolInput();
+  if (Array.isArray(toolInput.edits)) {
+    return toolInput.edits.map((edit) => safeString(edit && edit.new_string, ''));
+  }
+  if (toolInput.edit_mode === 'delete') return [];
+  const key = ['content', 'new_string', 'new_source', 'new_content'].find((name) => toolInput[name] != null);
+  return key ? [safeString(toolInput[key], '')] : [];
+}
+
+function getEditOperation() {
+  const toolInput = getToolInput();
+  if (toolInput.edit_mode === 'delete') return 'delete';
+  return safeString(toolInput.operation, 'modify');
+}
+
+function getToolResponse() {
+  return (stdinData && typeof stdinData.tool_response === 'object' && stdinData.tool_response) || {};
+}
+
+// Line LCS is quadratic; past this many cells only the sizes of the changed
+// middle sections are compared.
+const MAX_DIFF_CELLS = 4000000;
+
+function splitLines(text) {
+  const value = safeString(text, '').replace(/\r\n/g, '\n').replace(/\n$/, '');
+  return value ? value.split('\n') : [];
+}
+
+function diffLineCounts(before, after) {
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) { oldEnd--; newEnd--; }
+  const oldMid = oldLines.slice(start, oldEnd);
+  const newMid = newLines.slice(start, newEnd);
+  if (oldMid.length * newMid.length > MAX_DIFF_CELLS) {
+    return { linesAdded: newMid.length, linesRemoved: oldMid.length };
+  }
+  const row = new Int32Array(newMid.length + 1);
+  for (let i = 1; i <= oldMid.length; i++) {
+    let diagonal = 0;
+    for (let j = 1; j <= newMid.length; j++) {
+      const above = row[j];
+      row[j] = oldMid[i - 1] === newMid[j - 1] ? diagonal + 1 : Math.max(above, row[j - 1]);
+      diagonal = above;
+    }
+  }
+  const common = row[newMid.length];
+  return { linesAdded: newMid.length - common, linesRemoved: oldMid.length - common };
+}
+
+function sumDiffCounts(counts) {
+  return counts.reduce((total, next) => ({
+    linesAdded: total.linesAdded + next.linesAdded,
+    linesRemoved: total.linesRemoved + next.linesRemoved,
+  }), { linesAdded: 0, linesRemoved: 0 });
+}
+
+// Edit carries one old_string/new_string pair, MultiEdit an `edits` array.
+function getToolEdits() {
+  const toolInput = getToolInput();
+  if (Array.isArray(toolInput.edits)) return toolInput.edits.filter((edit) => edit && typeof edit === 'object');
+  if (toolInput.old_string == null && toolInput.new_string == null) return [];
+  return [{ old_string: toolInput.old_string, new_string: toolInput.new_string, replace_all: toolInput.replace_all }];
+}
+
+function applyEdits(content, edits) {
+  return edits.reduce((text, edit) => {
+    const oldString = safeString(edit.old_string, '');
+    const newString = safeString(edit.new_string, '');
+    if (!oldString) return text || newString;
+    if (edit.replace_all) return text.split(oldString).join(newString);
+    return text.replace(oldString, () => newString);
+  }, content);
+}
+
+// NotebookEdit addresses one cell; diff against that cell's current source.
+function notebookCellSource(notebookText, cellId) {
+  try {
+    const cells = JSON.parse(notebookText).cells || [];
+    const cell = cells.find((entry) => entry && entry.id === cellId);
+    if (!cell) return '';
+    return Array.isArray(cell.source) ? cell.source.join('') : safeString(cell.source, '');
+  } catch (e) { return ''; }
+}
+
+function readProjectFile(filePath) {
+  try { return fs.readFileSync(path.resolve(getProjectDir(), filePath), 'utf-8'); } catch (e) { return null; }
+}
+
+/**
+ * Line diff between `original` and the result of the Write/Edit/MultiEdit
+ * call. Without the original text, edits are diffed pair by pair and a
+ * Write counts as all lines added.
+ */
+function diffStatsForToolInput(original) {
   const toolInput = getToolInput();
-  if (toolInput.diff_lines != null) return toPositiveInteger(toolInput.diff_lines, 0);
-  if (toolInput.diffLines != null) return toPositiveInteger(toolInput.diffLines, 0);
-  const content = getEditContent();
-  return content ? content.split('\n').length : 0;
+  const edits = getToolEdits();
+  if (toolInput.content != null) return diffLineCounts(original || '', toolInput.content);
+  if (toolInput.new_source != null || toolInput.edit_mode === 'delete') {
+    const cellSource = toolInput.edit_mode === 'insert' || original == null ? '' : notebookCellSource(original, toolInput.cell_id);
+    return diffLineCounts(cellSource, toolInput.edit_mode === 'delete' ? '' : toolInput.new_source);
+  }
+  if (edits.length === 0) return { linesAdded: 0, linesRemoved: 0 };
+  if (original != null) return diffLineCounts(original, applyEdits(original, edits));
+  return sumDiffCounts(edits.map((edit) => diffLineCounts(edit.old_string, edit.new_string)));
+}
+
+function withDiffLines(stats) {
+  const toolInput = getToolInput();
+  const explicit = toolInput.diff_lines != null ? toolInput.diff_lines : toolInput.diffLines;
+  const diffLines = explicit != null ? toPositiveInteger(explicit, 0) : stats.linesAdded + stats.linesRemoved;
+  return Object.assign({ diffLines }, stats);
+}
+
+/** Diff of the proposed change against the file on disk (PreToolUse). */
+function getEditDiffStats() {
+  return withDiffLines(diffStatsForToolInput(readProjectFile(getFilePath())));
+}
+
+/**
+ * Diff of an applied change (PostToolUse). The file is already rewritten, so
+ * prefer the tool's own patch hunks, then its copy of the original file.
+ */
+function getAppliedDiffStats() {
+  const toolResponse = getToolResponse();
+  if (Array.isArray(toolResponse.structuredPatch) && toolResponse.structuredPatch.length > 0) {
+    const lines = toolResponse.structuredPatch.flatMap((hunk) => (hunk && Array.isArray(hunk.lines) ? hunk.lines : []));
+    return withDiffLines({
+      linesAdded: lines.filter((line) => String(line).startsWith('+')).length,
+      linesRemoved: lines.filter((line) => String(line).startsWith('-')).length,
+    });
+  }
+  const original = typeof toolResponse.originalFile === 'string' ? toolResponse.originalFile : null;
+  return withDiffLines(diffStatsForToolInput(original));
 }
 
 function buildGuidancePayload(overrides) {
   return Object.assign({ taskId: getTaskId('hook-task'), sessionId: getSessionId(), agentId: getAgentId() }, overrides || {});
 }
 
+function getEventTimeout() { return toPositiveInteger(process.env.GUIDANCE_EVENT_SYNC_TIMEOUT_MS, 8000); }
+
+function guidanceFailure(eventName, error) {
+  const failClosed = process.env.GUIDANCE_EVENT_FAIL_CLOSED === '1';
+  return { event: eventName, success: !failClosed, blocked: failClosed, skipped: false, error };
+}
+
+// --- Guidance daemon client ---
+// A running daemon (cf-guidance daemon start) advertises its socket in
+// .claude-flow/guidance/daemon.json. When nothing answers there we fall back
+// to spawning guidance-integrations.js for each event.
+
+function getDaemonSocketPath() {
+  if (!guidanceDaemonEnabled()) return null;
+  const infoPath = path.join(getProjectDir(), '.claude-flow', 'guidance', 'daemon.json');
+  try {
+    const info = JSON.parse(fs.readFileSync(infoPath, 'utf-8'));
+    return info && info.socketPath ? String(info.socketPath) : null;
+  } catch (error) { return null; }
+}
+
+// Resolves with the daemon reply, { unavailable: true } when no daemon is
+// listening, or { timedOut: true } when a connected daemon did not answer.
+function requestGuidanceDaemon(message, timeout) {
+  const socketPath = getDaemonSocketPath();
+  if (!socketPath) return Promise.resolve({ unavailable: true });
+  return new Promise((resolve) => {
+    let buffer = '';
+    let settled = false;
+    let connected = false;
+    const socket = net.createConnection(socketPath);
+    const finish = (value) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(value);
+    };
+    socket.setEncoding('utf-8');
+    socket.setTimeout(timeout, () => finish(connected ? { timedOut: true } : { unavailable: true }));
+    socket.on('error', () => finish({ unavailable: true }));
+    socket.on('end', () => finish({ unavailable: true }));
+    socket.on('connect', () => {
+      connected = true;
+      socket.write(JSON.stringify(message) + '\n');
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline >= 0) finish(parseJsonOutput(buffer.slice(0, newline)) || { unavailable: true });
+    });
+  });
+}
+
 function runGuidanceEventSync(eventName, payload) {
   if (!guidanceWiringEnabled()) return null;
   const scriptPath = getGuidanceScriptPath();
   if (!fs.existsSync(scriptPath)) return null;
-  const timeout = toPositiveInteger(process.env.GUIDANCE_EVENT_SYNC_TIMEOUT_MS, 8000);
   const result = spawnSync(
     process.execPath,
     [scriptPath, 'event', eventName, JSON.stringify(payload || {})],
-    { cwd: getProjectDir(), env: process.env, encoding: 'utf-8', timeout }
+    { cwd: getProjectDir(), env: process.env, encoding: 'utf-8', timeout: getEventTimeout() }
   );
   if (result.error) {
     return { event: eventName, success: true, blocked: false, skipped: true, error: result.error.message };
   }
   if (result.status !== 0) {
-    const failClosed = process.env.GUIDANCE_EVENT_FAIL_CLOSED === '1';
-    return {
-      event: eventName, success: !failClosed, blocked: failClosed, skipped: false,
-      error: safeString(result.stderr, '').trim() || safeString(result.stdout, '').trim(),
-    };
+    return guidanceFailure(eventName, safeString(result.stderr, '').trim() || safeString(result.stdout, '').trim());
   }
   return parseJsonOutput(result.stdout) || { event: eventName, success: true, blocked: false, skipped: true, error: 'Unable to parse guidance event output' };
 }
 
-function launchGuidanceEventAsync(eventName, payload) {
+// Shadow mode answers a block with allow; say what would have happened, on
+// stderr, since stdout may carry the hook's JSON response.
+function noteShadowDecision(result) {
+  const shadow = result && result.shadow;
+  if (!shadow) return result;
+  const messages = Array.isArray(shadow.messages) ? shadow.messages : [];
+  const detail = safeString(shadow.reason, '').trim() || messages.join(' | ') || (shadow.rules || []).join(', ');
+  console.error('[SHADOW] Guidance would ' + (shadow.decision === 'ask' ? 'ask' : 'block') + (detail ? ': ' + detail : ''));
+  return result;
+}
+
+async function runGuidanceEvent(eventName, payload) {
+  return noteShadowDecision(await requestGuidanceEvent(eventName, payload));
+}
+
+async function requestGuidanceEvent(eventName, payload) {
+  if (!guidanceWiringEnabled()) return null;
+  const timeout = getEventTimeout();
+  const reply = await requestGuidanceDaemon({ type: 'event', event: eventName, payload: payload || {} }, timeout);
+  if (reply.timedOut) {
+    return guidanceFailure(eventName, `Guidance daemon did not answer within ${timeout}ms`);
+  }
+  if (!reply.unavailable) {
+    return reply.ok ? reply.result : guidanceFailure(eventName, safeString(reply.error, 'Guidance daemon error'));
+  }
+  return runGuidanceEventSync(eventName, payload);
+}
+
+async function launchGuidanceEventAsync(eventName, payload) {
   if (!guidanceWiringEnabled()) return;
+  const reply = await requestGuidanceDaemon({ type: 'event', event: eventName, payload: payload || {}, async: true }, 1000);
+  if (!reply.unavailable) return;
   const scriptPath = getGuidanceScriptPath();
   if (!fs.existsSync(scriptPath)) return;
   try {
@@ -180,6 +406,19 @@ function launchGuidanceEventAsync(eventName, payload) {
   } catch (error) { /* non-fatal */ }
 }
 
+function launchGuidanceDaemon() {
+  if (!guidanceWiringEnabled() || !guidanceDaemonEnabled()) return;
+  if (process.env.GUIDANCE_DAEMON_AUTOSTART !== '1') return;
+  const scriptPath = resolveGuidanceScriptPath('guidance-daemon.js');
+  if (!fs.existsSync(scriptPath)) return;
+  try {
+    const child = spawn(process.execPath, [scriptPath, 'start'], {
+      cwd: getProjectDir(), env: process.env, detached: true, stdio: 'ignore',
+    });
+    child.unref();
+  } catch (e) { /* non-fatal */ }
+}
+
 function launchGuidanceAutopilot(source) {
   if (process.env.GUIDANCE_AUTOPILOT_ENABLED === '0') return;
   const projectDir = getProjectDir();
@@ -214,15 +453,89 @@ function guidanceBlockMessage(result, fallback) {
   return fragments.length > 0 ? fragments.join(' | ') : fallback;
 }
 
+// --- Claude Code hook output protocol ---
+// Decisions are reported as JSON on stdout with exit code 0. Passing tool
+// calls print nothing structured, so Claude Code's own permission flow still
+// applies; we never emit "allow".
+
+function emitHookOutput(output) { process.stdout.write(JSON.stringify(output) + '\n'); }
+
+function preToolUseOutput(fields) {
+  return { hookSpecificOutput: Object.assign({ hookEventName: 'PreToolUse' }, fields) };
+}
+
+function denyToolUse(reason) {
+  emitHookOutput(preToolUseOutput({ permissionDecision: 'deny', permissionDecisionReason: reason }));
+}
+
+function askToolUse(reason) {
+  emitHookOutput(preToolUseOutput({ permissionDecision: 'ask', permissionDecisionReason: reason }));
+}
+
+function addToolUseContext(additionalContext) {
+  emitHookOutput(Object.assign({ suppressOutput: true }, preToolUseOutput({ additionalContext })));
+}
+
+function addPromptContext(additionalContext) {
+  emitHookOutput({ suppressOutput: true, hookSpecificOutput: { hookEventName: 'UserPromptSubmit', additionalContext } });
+}
+
+function addSessionContext(additionalContext) {
+  emitHookOutput({ suppressOutput: true, hookSpecificOutput: { hookEventName: 'SessionStart', additionalContext } });
+}
+
+function getClassificationLevel(result) {
+  const classification = result && result.classification;
+  if (typeof classification === 'string') return classification;
+  return safeString(classification && classification.classification, 'trivial');
+}
+
+// Commands the irreversibility classifier flags here are confirmed with the
+// user ("ask") even when no gate blocks them.
+const ASK_CLASSIFICATIONS = new Set(['costly-reversible', 'irreversible']);
+
+// Bash commands that can reach the network; anything else skips pre-fetch
+// without a round trip to the guidance runtime.
+const NETWORK_COMMAND_PATTERN = /(^|[\s;&|(`\/])(curl|wget|nc|ncat|netcat|telnet|ssh|scp|sftp|rsync)(\s|$)/;
+
+// Test runners print their summary last; the tail of the output is enough.
+const COMMAND_OUTPUT_TAIL_CHARS = 20000;
+
+function getMatchedPatterns(result) {
+  const classification = result && result.classification;
+  return classification && Array.isArray(classification.matchedPatterns) ? classification.matchedPatterns : [];
+}
+
+// The classifier falls back to costly-reversible when nothing matches, so only
+// an explicit pattern match is worth interrupting the user for.
+function shouldAskForCommand(result) {
+  return Boolean(result) && ASK_CLASSIFICATIONS.has(getClassificationLevel(result)) && getMatchedPatterns(result).length > 0;
+}
+
+function classificationAskReason(result) {
+  return 'Guidance classified this command as ' + getClassificationLevel(result)
+    + ' (matched: ' + getMatchedPatterns(result).join(', ') + '); confirm before running it';
+}
+
+async function printCompactionDigest(trigger, heading) {
+  const guidance = await runGuidanceEvent('pre-compact', buildGuidancePayload({
+    taskId: getTaskId('pre-compact'),
+    trigger: safeString(stdinData.trigger, trigger),
+  }));
+  console.log(heading);
+  const digest = safeString(guidance && guidance.digest, '').trim();
+  console.log(digest || 'Guidance digest unavailable; review CLAUDE.md in project root before continuing.');
+}
+
 // --- Dispatch table ---
 
 const handlers = {
-  'pre-command': () => {
+  'pre-command': async () => {
     const commandText = safeString(getToolInput().command || prompt, '').trim();
-    const guidance = runGuidanceEventSync('pre-command', buildGuidancePayload({ taskId: getTaskId('pre-command'), command: commandText }));
+    const guidance = await runGuidanceEvent('pre-command', buildGuidancePayload({ taskId: getTaskId('pre-command'), command: commandText }));
     if (guidance && guidance.blocked) {
-      console.error('[BLOCKED] ' + guidanceBlockMessage(guidance, 'Command blocked by guidance'));
-      process.exit(1);
+      denyToolUse(guidanceBlockMessage(guidance, 'Command blocked by guidance'));
+      return;
     }
     const dangerousPatterns = [
       /rm\s+-rf\s+\//,
@@ -230,85 +543,226 @@ const handlers = {
       /del\s+\/s\s+\/q\s+c:\\/i,
       /:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/,
     ];
-    for (const pattern of dangerousPatterns) {
-      if (pattern.test(commandText)) {
-        console.error('[BLOCKED] Dangerous command pattern detected');
-        process.exit(1);
+    // The parsed segments have quotes and wrappers removed (`bash -c "r''m -rf /"` -> `rm -rf /`).
+    const segments = guidance && Array.isArray(guidance.segments) ? guidance.segments : [];
+    const candidates = [commandText].concat(segments.map((segment) => safeString(segment && segment.text, '')));
+    for (const text of candidates) {
+      if (dangerousPatterns.some((pattern) => pattern.test(text))) {
+        denyToolUse(text === commandText ? 'Dangerous command pattern detected' : 'Dangerous command pattern detected in "' + text + '"');
+        return;
       }
     }
+    const confirm = guidance && Array.isArray(guidance.confirm) ? guidance.confirm : [];
+    if (confirm.length > 0) {
+      askToolUse('Guidance asks for confirmation before running ' + confirm.join('; '));
+      return;
+    }
+    const approval = guidance && guidance.approval;
+    if (approval && approval.status === 'approved') {
+      console.log('[OK] Command approved by ' + safeString(approval.signedBy, 'a human') + ' (' + approval.id + ')');
+      return;
+    }
+    if (shouldAskForCommand(guidance) && !guidance.shadowMode) {
+      askToolUse(classificationAskReason(guidance));
+      return;
+    }
     console.log('[OK] Command validated');
   },
 
-  'pre-edit': () => {
+  'pre-edit': async () => {
     const filePath = getFilePath();
     if (!filePath) { console.log('[OK] Edit validation skipped (missing file path)'); return; }
-    const guidance = runGuidanceEventSync('pre-edit', buildGuidancePayload({
-      taskId: getTaskId('pre-edit'), filePath, content: getEditContent(),
-      diffLines: getDiffLines(), operation: safeString(getToolInput().operation, 'modify'),
+    const diffStats = getEditDiffStats();
+    const segments = getEditSegments();
+    const guidance = await runGuidanceEvent('pre-edit', buildGuidancePayload({
+      taskId: getTaskId('pre-edit'), filePath, toolName: safeString(stdinData.tool_name, ''),
+      content: segments.join('\n'), edits: segments.length > 1 ? segments : undefined,
+      diffLines: diffStats.diffLines, linesAdded: diffStats.linesAdded, linesRemoved: diffStats.linesRemoved,
+      operation: getEditOperation(),
     }));
     if (guidance && guidance.blocked) {
-      console.error('[BLOCKED] ' + guidanceBlockMessage(guidance, 'Edit blocked by guidance'));
-      process.exit(1);
+      denyToolUse(guidanceBlockMessage(guidance, 'Edit blocked by guidance'));
+      return;
     }
     console.log('[OK] Edit validated');
   },
 
-  'pre-task': () => {
+  'pre-read': async () => {
+    const paths = getReadPaths();
+    if (paths.length === 0) { console.log('[OK] Read validation skipped (missing path)'); return; }
+    const guidance = await runGuidanceEvent('pre-read', buildGuidancePayload({
+      taskId: getTaskId('pre-read'), toolName: safeString(stdinData.tool_name, 'Read'), paths,
+    }));
+    if (guidance && guidance.blocked) {
+      const reason = safeString(guidance.reason, '').trim() || guidanceBlockMessage(guidance, 'Read blocked by guidance');
+      const redacted = safeString(guidance.redactedContent, '');
+      denyToolUse(redacted ? reason + '. Redacted contents:\n' + redacted : reason);
+      return;
+    }
+    if (guidance && guidance.decision === 'ask') {
+      askToolUse(safeString(guidance.reason, '').trim() || 'Guidance asks for confirmation before this search');
+      return;
+    }
+    console.log('[OK] Read validated');
+  },
+
+  'pre-fetch': async () => {
+    const toolName = safeString(stdinData.tool_name, 'WebFetch');
+    const toolInput = getToolInput();
+    const commandText = safeString(toolInput.command, '');
+    if (toolName === 'Bash' && !NETWORK_COMMAND_PATTERN.test(commandText)) {
+      console.log('[OK] Egress validation skipped (no network command)');
+      return;
+    }
+    const guidance = await runGuidanceEvent('pre-fetch', buildGuidancePayload({
+      taskId: getTaskId('pre-fetch'), toolName,
+      url: safeString(toolInput.url, ''), query: safeString(toolInput.query, ''), command: commandText,
+    }));
+    const reason = safeString(guidance && guidance.reason, '').trim();
+    if (guidance && guidance.blocked) {
+      denyToolUse(reason || guidanceBlockMessage(guidance, 'Network request blocked by guidance'));
+      return;
+    }
+    if (guidance && guidance.decision === 'ask') {
+      askToolUse(reason || 'Guidance asks for confirmation before this network request');
+      return;
+    }
+    console.log('[OK] Egress validated');
+  },
+
+  'pre-tool': async () => {
+    const toolName = safeString(stdinData.tool_name, '').trim();
+    if (!toolName) { console.log('[OK] Tool validation skipped (missing tool name)'); return; }
+    const guidance = await runGuidanceEvent('pre-tool', buildGuidancePayload({
+      taskId: getTaskId('pre-tool'), toolName, parameters: getToolInput(),
+    }));
+    const reason = safeString(guidance && guidance.reason, '').trim();
+    if (guidance && guidance.blocked) {
+      denyToolUse(reason ? toolName + ' blocked by guidance: ' + reason : guidanceBlockMessage(guidance, 'Tool call blocked by guidance'));
+      return;
+    }
+    if (guidance && guidance.decision === 'ask') {
+      askToolUse(reason || 'Guidance asks for confirmation before ' + toolName);
+      return;
+    }
+    console.log('[OK] Tool validated');
+  },
+
+  'pre-task': async () => {
     const taskDescription = getTaskDescription();
     const taskId = getTaskId('pre-task');
     rememberTaskContext(taskId, taskDescription);
-    const guidance = runGuidanceEventSync('pre-task', buildGuidancePayload({ taskId, taskDescription }));
+    const guidance = await runGuidanceEvent('pre-task', buildGuidancePayload({ taskId, taskDescription }));
     if (guidance && guidance.blocked) {
-      console.error('[BLOCKED] ' + guidanceBlockMessage(guidance, 'Task blocked by guidance'));
-      process.exit(1);
+      denyToolUse(guidanceBlockMessage(guidance, 'Task blocked by guidance'));
+      return;
+    }
+    const policyText = safeString(guidance && guidance.policyText, '').trim();
+    if (policyText) {
+      addToolUseContext('Guidance policy for this task:\n' + policyText);
+      return;
     }
     console.log('[OK] Task started');
   },
 
-  'post-edit': () => {
-    launchGuidanceEventAsync('post-edit', buildGuidancePayload({ taskId: getTaskId('post-edit'), filePath: getFilePath() }));
+  'post-edit': async () => {
+    const diffStats = getAppliedDiffStats();
+    await launchGuidanceEventAsync('post-edit', buildGuidancePayload({
+      taskId: getTaskId('post-edit'), filePath: getFilePath(),
+      linesAdded: diffStats.linesAdded, linesRemoved: diffStats.linesRemoved,
+    }));
     console.log('[OK] Edit recorded');
   },
 
-  'post-task': () => {
+  'post-command': async () => {
+    const toolResponse = getToolResponse();
+    const exitCode = [toolResponse.exit_code, toolResponse.exitCode, stdinData.exit_code]
+      .find((value) => Number.isInteger(value));
+    const output = [toolResponse.stdout, toolResponse.stderr].map((part) => safeString(part, '')).join('\n');
+    await launchGuidanceEventAsync('post-command', buildGuidancePayload({
+      taskId: getTaskId('post-command'),
+      command: safeString(getToolInput().command, ''),
+      exitCode: exitCode === undefined ? null : exitCode,
+      output: output.slice(-COMMAND_OUTPUT_TAIL_CHARS),
+    }));
+    console.log('[OK] Command recorded');
+  },
+
+  'post-task': async () => {
     const remembered = getRememberedTaskContext();
     const taskId = getExplicitTaskId() || (remembered && remembered.taskId) || getTaskId('post-task');
     const taskDescription = getTaskDescription() || (remembered && remembered.taskDescription) || '';
-    launchGuidanceEventAsync('post-task', buildGuidancePayload({
+    await launchGuidanceEventAsync('post-task', buildGuidancePayload({
       taskId, taskDescription, status: safeString(getToolInput().status, 'completed'), toolsUsed: [], filesTouched: [],
     }));
     console.log('[OK] Task completed');
   },
 
-  'session-end': () => {
-    launchGuidanceEventAsync('session-end', buildGuidancePayload({ taskId: getTaskId('session-end') }));
+  'session-end': async () => {
+    await launchGuidanceEventAsync('session-end', buildGuidancePayload({ taskId: getTaskId('session-end') }));
     launchGuidanceAutopilot('session-end');
     console.log('[OK] Session ended');
   },
 
-  'compact-manual': () => {
-    console.log('PreCompact Guidance:');
-    console.log('IMPORTANT: Review CLAUDE.md in project root for:');
-    console.log('   - Available agents and concurrent usage patterns');
-    console.log('   - Swarm coordination strategies (hierarchical, mesh, adaptive)');
-    console.log('   - Critical concurrent execution rules (1 MESSAGE = ALL OPERATIONS)');
-    console.log('Ready for compact operation');
-  },
+  'compact-manual': async () => { await printCompactionDigest('manual', 'PreCompact Guidance:'); },
+  'compact-auto': async () => { await printCompactionDigest('auto', 'Auto-Compact Guidance (Context Window Full):'); },
 
-  'compact-auto': () => {
-    console.log('Auto-Compact Guidance (Context Window Full):');
-    console.log('CRITICAL: Before compacting, ensure you understand:');
-    console.log('   - All agents available in .claude/agents/ directory');
-    console.log('   - Concurrent execution patterns from CLAUDE.md');
-    console.log('   - Swarm coordination strategies for complex tasks');
-    console.log('Apply GOLDEN RULE: Always batch operations in single messages');
-    console.log('Auto-compact proceeding with full agent context');
+  'user-prompt': async () => {
+    const promptText = safeString(stdinData.prompt || process.env.PROMPT, '').trim();
+    const guidance = await runGuidanceEvent('user-prompt', buildGuidancePayload({
+      taskId: getTaskId('user-prompt'),
+      prompt: promptText,
+      maxShards: toPositiveInteger(process.env.GUIDANCE_PROMPT_MAX_SHARDS, 3),
+      tokenBudget: toPositiveInteger(process.env.GUIDANCE_PROMPT_TOKEN_BUDGET, 400),
+    }));
+    const additionalContext = safeString(guidance && guidance.additionalContext, '').trim();
+    if (additionalContext) {
+      addPromptContext(additionalContext);
+      return;
+    }
+    console.log('[OK] User prompt received');
+  },
+  'post-tool-failure': async () => {
+    const toolInput = getToolInput();
+    const toolResponse = getToolResponse();
+    const guidance = await runGuidanceEvent('post-tool-failure', buildGuidancePayload({
+      taskId: getTaskId('post-tool-failure'),
+      toolName: safeString(stdinData.tool_name, 'unknown'),
+      error: safeString(stdinData.error || toolResponse.error || toolResponse.stderr, ''),
+      command: safeString(toolInput.command, ''),
+      filePath: getFilePath(),
+      repeatLimit: toPositiveInteger(process.env.GUIDANCE_FAILURE_REPEAT_LIMIT, 3),
+    }));
+    if (guidance && guidance.paused) {
+      emitHookOutput({ continue: false, stopReason: safeString(guidance.reason, 'Guidance paused the agent after repeated failures') });
+      return;
+    }
+    console.log('[OK] Tool failure noted');
+  },
+  'stop': async () => {
+    const guidance = await runGuidanceEvent('stop', buildGuidancePayload({
+      taskId: getTaskId('stop'),
+      stopHookActive: Boolean(stdinData.stop_hook_active),
+    }));
+    if (guidance && guidance.blocked) {
+      emitHookOutput({ decision: 'block', reason: safeString(guidance.reason, '').trim() || 'Guidance found unfinished work' });
+      return;
+    }
+    console.log('[OK] Stop acknowledged');
+  },
+  'session-restore': async () => {
+    launchGuidanceDaemon();
+    const guidance = await runGuidanceEvent('session-start', buildGuidancePayload({
+      taskId: getTaskId('session-start'),
+      source: safeString(stdinData.source, 'startup'),
+    }));
+    const briefing = safeString(guidance && guidance.briefing, '').trim();
+    if (briefing) {
+      addSessionContext(briefing);
+      return;
+    }
+    console.log('[OK] Session restored');
   },
-
-  'user-prompt': () => { console.log('[OK] User prompt received'); },
-  'post-tool-failure': () => { console.log('[OK] Tool failure noted'); },
-  'stop': () => { console.log('[OK] Stop acknowledged'); },
-  'session-restore': () => { console.log('[OK] Session restored'); },
 };
 
 async function main() {
@@ -319,7 +773,7 @@ async function main() {
     return;
   }
   if (command) { console.log('[OK] Hook: ' + command); return; }
-  console.log('Usage: guidance-enforcement.cjs <pre-command|pre-edit|pre-task|post-edit|post-task|session-end|compact-manual|compact-auto|user-prompt|post-tool-failure|stop|session-restore>');
+  console.log('Usage: guidance-enforcement.cjs <pre-command|pre-edit|pre-read|pre-fetch|pre-tool|pre-task|post-edit|post-command|post-task|session-end|compact-manual|compact-auto|user-prompt|post-tool-failure|stop|session-restore>');
 }
 
 main();
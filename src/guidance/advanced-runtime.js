@@ -22,6 +22,8 @@ import { createArtifactLedger } from '@claude-flow/guidance/artifacts';
 import { createManifestValidator } from '@claude-flow/guidance/manifest-validator';
 
 import { createGuidancePhase1Runtime } from './phase1-runtime.js';
+import { loadKeyring } from './keyring.js';
+import { createProofStore, firstBrokenEnvelope } from './proof-store.js';
 import { buildRunEvent, createIntegrationRunners, runAllIntegrations } from './integration-runners.js';
 import { ensureDir, readJson, writeJson, nowIso } from '../utils.mjs';
 import {
@@ -64,6 +66,7 @@ const DEFAULT_OPTIONS = {
   rootDir: process.cwd(),
   dataDir: '.claude-flow/guidance/advanced',
   signingKey: process.env.GUIDANCE_PROOF_KEY || 'local-guidance-dev-signing-key',
+  proofSegmentSize: 1000,
   authority: DEFAULT_AUTHORITY,
   collusionRingMinLength: 3,
   collusionFrequencyThreshold: 5,
@@ -175,10 +178,15 @@ export class GuidanceAdvancedRuntime {
     this.rootDir = resolve(this.options.rootDir);
     this.dataDir = resolve(this.rootDir, this.options.dataDir);
     this.statePath = resolve(this.dataDir, 'advanced-state.json');
-    this.proofPath = resolve(this.dataDir, 'proof-chain.json');
+    this.proofPath = resolve(this.dataDir, 'proof-chain');
 
     this.phase1 = createGuidancePhase1Runtime({ rootDir: this.rootDir });
 
+    // Each subsystem signs with its own key from the keyring; without a
+    // keyring file they all use options.signingKey.
+    this.keyring = loadKeyring(this.rootDir, { fallbackKey: this.options.signingKey });
+    const keyFor = (subsystem) => this.keyring.active(subsystem).secret;
+
     this._enabledComponents = this._loadEnabledComponents();
 
     this.trustSystem = this._enabledComponents.has('trust')
@@ -201,15 +209,23 @@ export class GuidanceAdvancedRuntime {
       : createNullMemoryQuorum();
 
     this.proofChain = this._enabledComponents.has('proof')
-      ? createProofChain({ signingKey: this.options.signingKey })
+      ? createProofChain({ signingKey: keyFor('proof') })
       : createNullProofChain();
+    this.proofStore = createProofStore({
+      dir: this.proofPath,
+      keys: this.keyring.keysFor('proof'),
+      segmentSize: this.options.proofSegmentSize,
+      legacyPath: resolve(this.dataDir, 'proof-chain.json'),
+    });
+    this.unpersistedEnvelopes = [];
+    this.unpersistedRecords = new Map();
 
     this.evolutionPipeline = this._enabledComponents.has('evolution')
-      ? createEvolutionPipeline({ signingKey: this.options.signingKey })
+      ? createEvolutionPipeline({ signingKey: keyFor('evolution') })
       : createNullEvolutionPipeline();
 
     this.conformanceRunner = this._enabledComponents.has('conformance')
-      ? createConformanceRunner(this.options.authority, this.options.signingKey)
+      ? createConformanceRunner(this.options.authority, keyFor('proof'))
       : createNullConformanceRunner();
 
     // --- Phase A: Production Hardening ---
@@ -244,7 +260,7 @@ export class GuidanceAdvancedRuntime {
       : createNullIrreversibilityClassifier();
 
     this.authorityGate = this._enabledComponents.has('authority')
-      ? createAuthorityGate({ signatureSecret: this.options.signingKey })
+      ? createAuthorityGate({ signatureSecret: keyFor('authority') })
       : createNullAuthorityGate();
 
     this.metaGovernor = this._enabledComponents.has('meta-governance')
@@ -252,7 +268,7 @@ export class GuidanceAdvancedRuntime {
           supermajorityThreshold: this.options.supermajorityThreshold,
           maxAmendmentsPerWindow: this.options.maxAmendmentsPerWindow,
           amendmentWindowMs: this.options.amendmentWindowMs,
-          signingKey: this.options.signingKey,
+          signingKey: keyFor('meta-governance'),
         })
       : createNullMetaGovernor();
 
@@ -270,7 +286,7 @@ export class GuidanceAdvancedRuntime {
 
     this.truthAnchorStore = this._enabledComponents.has('truth-anchors')
       ? createTruthAnchorStore({
-          signingKey: this.options.signingKey,
+          signingKey: keyFor('truth-anchors'),
           maxAnchors: this.options.maxAnchors,
         })
       : createNullTruthAnchorStore();
@@ -310,7 +326,7 @@ export class GuidanceAdvancedRuntime {
 
     this.artifactLedger = this._enabledComponents.has('artifacts')
       ? createArtifactLedger({
-          signingKey: this.options.signingKey,
+          signingKey: keyFor('artifacts'),
           maxArtifacts: this.options.maxArtifacts,
         })
       : createNullArtifactLedger();
@@ -320,6 +336,7 @@ export class GuidanceAdvancedRuntime {
       : createNullManifestValidator();
 
     this.stepCounter = 0;
+    this.lastProof = null;
 
     this.initialized = false;
 
@@ -368,7 +385,7 @@ export class GuidanceAdvancedRuntime {
 
     ensureDir(this.dataDir);
 
-    if (!process.env.GUIDANCE_PROOF_KEY) {
+    if (!process.env.GUIDANCE_PROOF_KEY && !this.keyring.stored) {
       console.warn('[WARN] GUIDANCE_PROOF_KEY not set, using insecure dev signing key');
     }
 
@@ -387,13 +404,9 @@ export class GuidanceAdvancedRuntime {
       this.trustSystem.ledger.importRecords(trustRecords);
     }
 
-    const exportedProof = readJson(this.proofPath, null);
-    if (exportedProof?.envelopes) {
-      try {
-        this.proofChain.import(exportedProof);
-      } catch {
-        // Ignore corrupted proof file and continue with a fresh chain.
-      }
+    // Throws ProofTamperError rather than starting over on a damaged chain.
+    if (this._enabledComponents.has('proof')) {
+      await this.proofStore.load(this.proofChain);
     }
 
     // Register constitutional invariants for meta-governance
@@ -436,7 +449,24 @@ export class GuidanceAdvancedRuntime {
       ...extra,
     });
 
-    writeJson(this.proofPath, this.proofChain.export());
+    await this.persistProof();
+    await this.phase1.flushRolloutEvents();
+  }
+
+  /** Append the envelopes created since the last persist to the proof store. */
+  async persistProof() {
+    if (!this._enabledComponents.has('proof')) return;
+    await this.proofStore.append(this.proofChain, this.unpersistedEnvelopes, this.unpersistedRecords);
+    this.unpersistedEnvelopes = [];
+    this.unpersistedRecords = new Map();
+  }
+
+  /**
+   * Verify the in-memory chain with the key each envelope names, so
+   * envelopes signed before a key rotation still verify.
+   */
+  verifyProofChain(envelopes = this.proofChain.export().envelopes) {
+    return firstBrokenEnvelope(envelopes, this.keyring.keysFor('proof')) === -1;
   }
 
   getGuidanceHash() {
@@ -465,19 +495,31 @@ export class GuidanceAdvancedRuntime {
     durationMs = 0,
     memoryOps = [],
     details = {},
+    parentEnvelopeId,
+    annotations = {},
+    logToLedger = false,
   }) {
-    const runEvent = buildRunEvent({
-      taskId,
-      guidanceHash: this.getGuidanceHash(),
-      intent,
-      toolsUsed,
-      filesTouched: details.filesTouched ?? [],
-      violations,
-      outcomeAccepted,
-      durationMs,
-      reworkLines: details.reworkLines ?? 0,
-      sessionId: details.sessionId,
-    });
+    const runEvent = {
+      ...buildRunEvent({
+        taskId,
+        guidanceHash: this.getGuidanceHash(),
+        intent,
+        toolsUsed,
+        filesTouched: details.filesTouched ?? [],
+        violations,
+        outcomeAccepted,
+        durationMs,
+        reworkLines: details.reworkLines ?? 0,
+        sessionId: details.sessionId,
+        testResults: details.testResults,
+        diffSummary: details.diffSummary,
+      }),
+      ...annotations,
+    };
+    this.phase1.recordRolloutEvent(runEvent);
+    if (logToLedger) {
+      this.phase1.ledger.logEvent(runEvent);
+    }
 
     const toolCallRecords = toolsUsed.map((toolName, index) => ({
       callId: `${taskId}-${index + 1}`,
@@ -488,10 +530,22 @@ export class GuidanceAdvancedRuntime {
       durationMs: 0,
     }));
 
-    return this.proofChain.append(runEvent, toolCallRecords, memoryOps, {
+    const envelope = this.proofChain.append(runEvent, toolCallRecords, memoryOps, {
       agentId,
       sessionId: details.sessionId ?? 'guidance-session',
+      parentEnvelopeId,
     });
+    if (envelope.metadata) {
+      // The key id is part of the signed metadata.
+      envelope.metadata.keyId = this.keyring.active('proof').keyId;
+      envelope.signature = this.proofChain.signEnvelope(envelope);
+    }
+    this.unpersistedEnvelopes.push(envelope);
+    this.unpersistedRecords.set(envelope.envelopeId, { event: runEvent, toolCalls: toolCallRecords });
+    // Kept for the shadow-mode pass of runEvent, which needs the violations
+    // behind the decision it may override.
+    this.lastProof = { envelope, taskId, agentId, sessionId: details.sessionId, violations };
+    return envelope;
   }
 
   getStatus() {
@@ -0,0 +1,157 @@
+/**
+ * Approvals — human sign-off for commands the agent has no authority to run.
+ *
+ * When pre-command finds a costly-reversible or irreversible command that
+ * `authorityGate.canPerform('agent', ...)` refuses, it files a request under
+ * .claude-flow/guidance/approvals/<id>.json and blocks with the id. A human
+ * runs `cf-guidance approve <id>` (or `deny <id>`), which signs the decision
+ * with `authorityGate.recordIntervention` and stores the token on the request.
+ *
+ * An approval is matched to the command by hash, expires after its TTL and
+ * is used up by the first command it lets through. Tokens are HMAC-signed
+ * with GUIDANCE_PROOF_KEY, so a request file edited by hand is ignored.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { readdirSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { ensureDir, nowIso, readJson, safeString, writeJson } from '../utils.mjs';
+
+export const APPROVAL_TTL_MS = 15 * 60 * 1000;
+
+// Unanswered requests are replaced by a new one after this long.
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000;
+
+const APPROVAL_ID_PATTERN = /^apr-[0-9a-f]{8}$/;
+
+// `cf-guidance approve|deny` run by the agent itself would grant its own approvals.
+const APPROVAL_CLI_PATTERN = /(^|\/)(cf-guidance(-impl)?|claude-flow-guidance|guidance\.mjs|guidance-approvals\.js)$/;
+
+export function approvalsDir(rootDir) {
+  return resolve(rootDir, '.claude-flow/guidance/approvals');
+}
+
+export function hashCommand(command) {
+  return createHash('sha256').update(safeString(command, '').trim()).digest('hex');
+}
+
+function approvalPath(rootDir, id) {
+  return resolve(approvalsDir(rootDir), `${id}.json`);
+}
+
+export function readApproval(rootDir, id) {
+  if (!APPROVAL_ID_PATTERN.test(safeString(id, ''))) return null;
+  return readJson(approvalPath(rootDir, id), null);
+}
+
+/** Every request on disk, newest first. */
+export function listApprovals(rootDir) {
+  let files = [];
+  try {
+    files = readdirSync(approvalsDir(rootDir)).filter((file) => file.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  return files
+    .map((file) => readJson(resolve(approvalsDir(rootDir), file), null))
+    .filter((approval) => approval && APPROVAL_ID_PATTERN.test(approval.id))
+    .sort((a, b) => b.requestedAt - a.requestedAt);
+}
+
+function tokenIsValid(approval, authorityGate) {
+  const token = approval.token;
+  const metadata = token?.metadata;
+  if (!metadata || metadata.approvalId !== approval.id || metadata.commandHash !== approval.commandHash
+    || metadata.decision !== approval.status) {
+    return false;
+  }
+  try {
+    return authorityGate.verifyIntervention(token) === true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The live decision for a command: an unused, unexpired, validly signed
+ * approval; an unexpired denial; or a pending request. Null when there is none.
+ */
+export function findApproval(rootDir, command, { authorityGate, now = Date.now() }) {
+  const commandHash = hashCommand(command);
+  for (const approval of listApprovals(rootDir).filter((entry) => entry.commandHash === commandHash)) {
+    if (approval.status === 'pending' && now < approval.requestedAt + PENDING_TTL_MS) return approval;
+    if (approval.status !== 'approved' && approval.status !== 'denied') continue;
+    if (!tokenIsValid(approval, authorityGate) || now >= approval.token.metadata.expiresAt) continue;
+    return approval;
+  }
+  return null;
+}
+
+export function requestApproval(rootDir, { command, classification, agentId, sessionId, now = Date.now() }) {
+  const approval = {
+    id: `apr-${randomBytes(4).toString('hex')}`,
+    status: 'pending',
+    command: safeString(command, '').trim(),
+    commandHash: hashCommand(command),
+    classification,
+    agentId,
+    sessionId,
+    requestedAt: now,
+  };
+  ensureDir(approvalsDir(rootDir));
+  writeJson(approvalPath(rootDir, approval.id), approval);
+  return approval;
+}
+
+/**
+ * Approve or deny a pending request as `signedBy`. The signed intervention
+ * is stored on the request as its token; approvals expire after `ttlMs`.
+ */
+export function decideApproval(rootDir, id, {
+  decision,
+  authorityGate,
+  signedBy,
+  reason = '',
+  ttlMs = APPROVAL_TTL_MS,
+  now = Date.now(),
+}) {
+  if (decision !== 'approved' && decision !== 'denied') {
+    throw new Error(`Unknown approval decision: ${decision}`);
+  }
+  const approval = readApproval(rootDir, id);
+  if (!approval) throw new Error(`No approval request ${id}`);
+  if (approval.status !== 'pending') throw new Error(`Approval ${id} is already ${approval.status}`);
+
+  const token = authorityGate.recordIntervention({
+    timestamp: now,
+    authorityLevel: 'human',
+    action: approval.command,
+    reason,
+    signedBy,
+    metadata: {
+      approvalId: approval.id,
+      commandHash: approval.commandHash,
+      decision,
+      expiresAt: now + ttlMs,
+    },
+  });
+  const decided = { ...approval, status: decision, decidedAt: nowIso(), token: token ?? null };
+  writeJson(approvalPath(rootDir, id), decided);
+  return decided;
+}
+
+/** Mark an approval used so it cannot let the command through again. */
+export function consumeApproval(rootDir, approval) {
+  const used = { ...approval, status: 'used', usedAt: nowIso() };
+  writeJson(approvalPath(rootDir, approval.id), used);
+  return used;
+}
+
+/** Block the agent from running the approval CLI itself. */
+export function findApprovalCliRisks(segment) {
+  const words = segment.words ?? [];
+  const cli = words.findIndex((word) => APPROVAL_CLI_PATTERN.test(word));
+  if (cli === -1 || !['approve', 'deny'].includes(words[cli + 1])) return [];
+  return [{ severity: 'block', reason: 'approvals are decided by a human, not by the agent' }];
+}
@@ -0,0 +1,342 @@
+/**
+ * Compliance Report — what the agents did over a window, and what was
+ * blocked.
+ *
+ * Aggregates, for [since, until]:
+ *
+ *   - the proof chain: decisions, and blocks grouped by the rules behind
+ *     them, plus the chain's verification and git anchor status
+ *   - the persistent ledger: decisions shadow mode would have blocked
+ *   - advanced-state.json: threat detections and trust score trajectories
+ *   - autopilot.log: CLAUDE.md promotions and the ADRs written for them
+ *
+ * A chain that does not verify is reported as broken; its decisions are
+ * left out rather than read unverified.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { relative, resolve } from 'node:path';
+
+import { verifyProofAnchors } from './proof-anchor.js';
+import { readProofEntries, summarizeProofEntry, verifyProofStore } from './proof-audit.js';
+import { buildShadowReport, decisionRules } from './shadow-mode.js';
+import { nowIso, readJson, safeArray, safeString, severityFromThreat } from '../utils.mjs';
+
+export const REPORT_FORMATS = ['md', 'html', 'json'];
+
+const MAX_EXAMPLES = 5;
+const MAX_DETECTIONS = 20;
+
+const APPLIED_LINE = /^\[([^\]]+)\] applied: promoted=(\d+) delta=(-?[\d.]+) adr=(.+)$/;
+
+function inWindow(timestamp, since, until) {
+  const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return time >= since && time <= until;
+}
+
+function iso(timestamp) {
+  return new Date(timestamp).toISOString();
+}
+
+function round(score) {
+  return Number(Number(score).toFixed(4));
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/** Denied decisions grouped by rule, most frequent first. */
+export function summarizeBlocked(entries) {
+  const rules = new Map();
+  for (const entry of entries) {
+    const summary = summarizeProofEntry(entry);
+    if (summary.decision !== 'deny') continue;
+    const entryRules = decisionRules(entry.record?.event?.violations);
+    for (const rule of entryRules.length > 0 ? entryRules : [`${summary.hook ?? 'unknown'}-deny`]) {
+      const group = rules.get(rule) ?? { rule, blocked: 0, hooks: {}, targets: [], lastAt: null };
+      group.blocked += 1;
+      group.hooks[summary.hook] = (group.hooks[summary.hook] ?? 0) + 1;
+      if (summary.target && !group.targets.includes(summary.target) && group.targets.length < MAX_EXAMPLES) {
+        group.targets.push(summary.target);
+      }
+      if (!group.lastAt || summary.timestamp > group.lastAt) group.lastAt = summary.timestamp;
+      rules.set(rule, group);
+    }
+  }
+  return [...rules.values()].sort((a, b) => b.blocked - a.blocked || a.rule.localeCompare(b.rule));
+}
+
+/** Threat signals by category, and the most recent detections. */
+export function summarizeThreats(threatHistory, { since, until }) {
+  const detections = safeArray(threatHistory)
+    .filter((signal) => signal && inWindow(signal.timestamp, since, until))
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  const categories = new Map();
+  for (const signal of detections) {
+    const entry = categories.get(signal.category) ?? { category: signal.category, detections: 0, maxSeverity: 0 };
+    entry.detections += 1;
+    entry.maxSeverity = Math.max(entry.maxSeverity, signal.severity ?? 0);
+    categories.set(signal.category, entry);
+  }
+
+  return {
+    total: detections.length,
+    byCategory: [...categories.values()]
+      .sort((a, b) => b.detections - a.detections || a.category.localeCompare(b.category))
+      .map((entry) => ({ ...entry, level: severityFromThreat({ severity: entry.maxSeverity }) })),
+    recent: detections.slice(0, MAX_DETECTIONS).map((signal) => ({
+      timestamp: iso(signal.timestamp),
+      category: signal.category,
+      agentId: signal.source ?? null,
+      severity: signal.severity ?? 0,
+      level: severityFromThreat(signal),
+      description: safeString(signal.description, ''),
+    })),
+  };
+}
+
+/** Each agent's trust score over the window, from the trust ledger records. */
+export function summarizeTrust(trustRecords, { since, until }) {
+  const agents = new Map();
+  const records = safeArray(trustRecords)
+    .filter((record) => record?.agentId && inWindow(record.timestamp, since, until))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const record of records) {
+    const previous = round(record.previousScore);
+    const score = round(record.newScore);
+    const agent = agents.get(record.agentId) ?? {
+      agentId: record.agentId,
+      start: previous,
+      end: previous,
+      low: previous,
+      high: previous,
+      updates: 0,
+      points: [],
+    };
+    agent.end = score;
+    agent.low = Math.min(agent.low, score);
+    agent.high = Math.max(agent.high, score);
+    agent.updates += 1;
+    agent.points.push({ timestamp: iso(record.timestamp), score, reason: record.reason ?? null });
+    agents.set(record.agentId, agent);
+  }
+
+  return [...agents.values()]
+    .map((agent) => ({ ...agent, change: round(agent.end - agent.start) }))
+    .sort((a, b) => a.change - b.change || a.agentId.localeCompare(b.agentId));
+}
+
+function adrTitle(path) {
+  if (!existsSync(path)) return null;
+  const heading = readFileSync(path, 'utf-8').split('\n').find((line) => line.startsWith('# '));
+  return heading ? heading.slice(2).trim() : null;
+}
+
+/** Promotions the autopilot applied, from its log, with their ADRs. */
+export function readAutopilotPromotions(rootDir, { since, until }) {
+  const logPath = resolve(rootDir, '.claude-flow/guidance/autopilot.log');
+  if (!existsSync(logPath)) return [];
+  return readFileSync(logPath, 'utf-8').split('\n').flatMap((line) => {
+    const match = APPLIED_LINE.exec(line.trim());
+    if (!match || !inWindow(match[1], since, until)) return [];
+    const adrPath = resolve(rootDir, match[4]);
+    return [{
+      timestamp: match[1],
+      promoted: Number(match[2]),
+      delta: Number(match[3]),
+      adr: relative(rootDir, adrPath),
+      adrTitle: adrTitle(adrPath),
+    }];
+  });
+}
+
+/**
+ * The report for `runtime`'s project over [since, until]. The runtime is
+ * only used for its paths and keyring; it is not initialized, so a broken
+ * chain is reported rather than thrown.
+ */
+export async function buildComplianceReport(runtime, { since = 0, until = Date.now(), env = process.env } = {}) {
+  const { rootDir } = runtime;
+  const store = { dir: runtime.proofPath, keys: runtime.keyring.keysFor('proof') };
+  const state = readJson(runtime.statePath, {}) ?? {};
+
+  const verification = verifyProofStore(store);
+  const anchors = verifyProofAnchors(rootDir, store.dir);
+  const entries = verification.valid
+    ? readProofEntries(store).filter((entry) => inWindow(entry.envelope.timestamp, since, until))
+    : null;
+  const decisions = entries && entries.map(summarizeProofEntry);
+  const { shadowMode, rules: wouldBlockRules, wouldBlock, wouldAsk } = await buildShadowReport(rootDir, { since, until, env });
+
+  return {
+    generatedAt: nowIso(),
+    since: iso(since),
+    until: iso(until),
+    chain: { ...verification, valid: verification.valid && anchors.valid, anchors },
+    decisions: decisions && {
+      total: decisions.length,
+      allowed: decisions.filter((decision) => decision.decision === 'allow').length,
+      denied: decisions.filter((decision) => decision.decision === 'deny').length,
+      agents: [...new Set(decisions.map((decision) => decision.agentId).filter(Boolean))].sort(),
+    },
+    blocked: entries && summarizeBlocked(entries),
+    shadow: { enabled: shadowMode.enabled, wouldBlock, wouldAsk, rules: wouldBlockRules },
+    threats: summarizeThreats(state.threatHistory, { since, until }),
+    trust: summarizeTrust(state.trustRecords, { since, until }),
+    promotions: readAutopilotPromotions(rootDir, { since, until }),
+  };
+}
+
+function chainLines(chain) {
+  const lines = chain.broken
+    ? [`**Broken** at ${chain.broken.file}:${chain.broken.line}: ${chain.broken.reason}`]
+    : [`Verified: ${plural(chain.envelopes, 'envelope')} in ${plural(chain.segments, 'segment')}, tip \`${chain.tip ?? 'none'}\``];
+  if (chain.anchors.anchors === null) {
+    lines.push('Git anchors: none recorded');
+  } else if (chain.anchors.valid) {
+    lines.push(`Git anchors: all ${chain.anchors.anchors} match`);
+  } else {
+    lines.push(`Git anchors: **${chain.anchors.mismatched.length} of ${chain.anchors.anchors} do not match**`);
+  }
+  return lines;
+}
+
+// The report as titled sections of lines and one table each; cells are
+// text or { text, href }.
+function reportSections(report) {
+  const hooks = (counts) => Object.entries(counts).map(([hook, count]) => `${hook} ${count}`).join(', ');
+  const unread = 'Not read: the proof chain does not verify.';
+  return [
+    { title: 'Proof chain', lines: chainLines(report.chain) },
+    {
+      title: 'Decisions',
+      lines: report.decisions
+        ? [`${plural(report.decisions.total, 'decision')} by ${plural(report.decisions.agents.length, 'agent')}: `
+          + `${report.decisions.allowed} allowed, ${report.decisions.denied} blocked.`]
+        : [unread],
+    },
+    {
+      title: 'Blocked by rule',
+      lines: report.blocked ? [] : [unread],
+      columns: ['Rule', 'Blocked', 'Hooks', 'Last blocked', 'Examples'],
+      rows: safeArray(report.blocked).map((group) => [
+        group.rule, String(group.blocked), hooks(group.hooks), group.lastAt, group.targets.join('; '),
+      ]),
+    },
+    {
+      title: 'Would block (shadow mode)',
+      lines: [`Shadow mode ${report.shadow.enabled ? 'on for every decision' : 'off or per rule'}: `
+        + `${report.shadow.wouldBlock} would-block, ${report.shadow.wouldAsk} would-ask.`],
+      columns: ['Rule', 'Would block', 'Would ask', 'Last'],
+      rows: report.shadow.rules.map((rule) => [rule.rule, String(rule.wouldBlock), String(rule.wouldAsk), rule.lastAt]),
+    },
+    {
+      title: 'Threat detections',
+      lines: report.threats.byCategory.map((entry) => `${entry.category}: ${entry.detections} (highest severity ${entry.level})`),
+      columns: ['Time', 'Agent', 'Category', 'Severity', 'Description'],
+      rows: report.threats.recent.map((signal) => [
+        signal.timestamp, signal.agentId ?? '', signal.category, signal.level, signal.description,
+      ]),
+    },
+    {
+      title: 'Trust trajectories',
+      columns: ['Agent', 'Start', 'End', 'Change', 'Low', 'High', 'Updates'],
+      rows: report.trust.map((agent) => [
+        agent.agentId, String(agent.start), String(agent.end), String(agent.change),
+        String(agent.low), String(agent.high), String(agent.updates),
+      ]),
+    },
+    {
+      title: 'Autopilot promotions',
+      columns: ['Time', 'Rules promoted', 'Delta', 'ADR'],
+      rows: report.promotions.map((promotion) => [
+        promotion.timestamp, String(promotion.promoted), String(promotion.delta),
+        { text: promotion.adrTitle ?? promotion.adr, href: promotion.adr },
+      ]),
+    },
+  ];
+}
+
+function markdownCell(cell) {
+  const escape = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return typeof cell === 'object' ? `[${escape(cell.text)}](${encodeURI(cell.href)})` : escape(cell);
+}
+
+function formatMarkdown(report) {
+  const out = ['# Guidance compliance report', '', `${report.since} to ${report.until} (generated ${report.generatedAt})`];
+  for (const section of reportSections(report)) {
+    out.push('', `## ${section.title}`, '');
+    for (const line of section.lines ?? []) out.push(`- ${line}`);
+    if (!section.columns) continue;
+    if (section.rows.length === 0) {
+      if (!section.lines?.length) out.push('None in this window.');
+      continue;
+    }
+    if (section.lines?.length) out.push('');
+    out.push(`| ${section.columns.join(' | ')} |`, `|${section.columns.map(() => ' --- |').join('')}`);
+    for (const row of section.rows) out.push(`| ${row.map(markdownCell).join(' | ')} |`);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function htmlCell(cell) {
+  return typeof cell === 'object'
+    ? `<a href="${escapeHtml(encodeURI(cell.href))}">${escapeHtml(cell.text)}</a>`
+    : escapeHtml(cell);
+}
+
+// Markdown emphasis and code in section lines, as HTML.
+function htmlLine(line) {
+  return escapeHtml(line).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>').replace(/`(.+?)`/g, '<code>$1</code>');
+}
+
+function formatHtml(report) {
+  const out = [
+    '<!doctype html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Guidance compliance report</title>',
+    '<style>body{font-family:system-ui,sans-serif;margin:2rem;max-width:72rem}'
+      + 'table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:.25rem .5rem;text-align:left;vertical-align:top}</style>',
+    '</head>',
+    '<body>',
+    '<h1>Guidance compliance report</h1>',
+    `<p>${escapeHtml(`${report.since} to ${report.until} (generated ${report.generatedAt})`)}</p>`,
+  ];
+  for (const section of reportSections(report)) {
+    out.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    if (section.lines?.length) out.push(`<ul>${section.lines.map((line) => `<li>${htmlLine(line)}</li>`).join('')}</ul>`);
+    if (!section.columns) continue;
+    if (section.rows.length === 0) {
+      if (!section.lines?.length) out.push('<p>None in this window.</p>');
+      continue;
+    }
+    out.push('<table>', `<tr>${section.columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('')}</tr>`);
+    for (const row of section.rows) out.push(`<tr>${row.map((cell) => `<td>${htmlCell(cell)}</td>`).join('')}</tr>`);
+    out.push('</table>');
+  }
+  out.push('</body>', '</html>');
+  return `${out.join('\n')}\n`;
+}
+
+/** Render a report as md, html or json. */
+export function formatComplianceReport(report, format = 'md') {
+  switch (format) {
+    case 'md':
+      return formatMarkdown(report);
+    case 'html':
+      return formatHtml(report);
+    case 'json':
+      return `${JSON.stringify(report, null, 2)}\n`;
+    default:
+      throw new Error(`Unknown report format "${format}"; use ${REPORT_FORMATS.join(', ')}`);
+  }
+}
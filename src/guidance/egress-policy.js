@@ -0,0 +1,339 @@
+/**
+ * Egress Policy — network governance for WebFetch, WebSearch and Bash
+ * network commands (curl, wget, nc, ssh, scp, ...).
+ *
+ * Domains are decided from two sources:
+ *
+ *   1. .claude-flow/guidance/egress-policy.json
+ *        { "allow": ["api.internal.example"], "deny": ["*.example.net"], "unlisted": "ask" }
+ *   2. Built-in defaults (package registries and code hosts allowed, paste
+ *      and request-capture services denied)
+ *
+ * `example.com` covers the domain and its subdomains, `*.example.com` only
+ * the subdomains. Hosts on neither list get the `unlisted` decision
+ * (`ask` by default). Independently of the lists, a request shaped like
+ * exfiltration — uploading a local file, piping file contents or secrets
+ * into a network command, or carrying a credential in the URL — is denied.
+ */
+
+import { appendFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+import { ensureDir, nowIso, safeArray, safeString, readJson } from '../utils.mjs';
+import { parseShellCommand } from './shell-parser.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DEFAULT_ALLOW = [
+  'localhost',
+  '127.0.0.1',
+  'github.com',
+  'githubusercontent.com',
+  'gitlab.com',
+  'npmjs.org',
+  'npmjs.com',
+  'yarnpkg.com',
+  'pypi.org',
+  'pythonhosted.org',
+  'crates.io',
+  'nodejs.org',
+  'developer.mozilla.org',
+  'docs.python.org',
+  'stackoverflow.com',
+];
+
+const DEFAULT_DENY = [
+  'pastebin.com',
+  'paste.ee',
+  'hastebin.com',
+  'transfer.sh',
+  'file.io',
+  '0x0.st',
+  'webhook.site',
+  'requestbin.com',
+  'pipedream.net',
+  'ngrok.io',
+  'ngrok-free.app',
+  'interact.sh',
+  'oast.fun',
+  'burpcollaborator.net',
+];
+
+const UNLISTED_DECISIONS = new Set(['allow', 'ask', 'deny']);
+
+const NETWORK_COMMANDS = new Set([
+  'curl', 'wget', 'nc', 'ncat', 'netcat', 'telnet', 'ssh', 'scp', 'sftp', 'rsync',
+]);
+
+// Options of the network commands that take a separate value argument, so
+// the value is not mistaken for the destination.
+const VALUE_OPTIONS = {
+  curl: ['-d', '--data', '--data-binary', '--data-raw', '--data-urlencode', '-F', '--form', '-H', '--header',
+    '-o', '--output', '-X', '--request', '-u', '--user', '-A', '--user-agent', '-e', '--referer', '-T',
+    '--upload-file', '-x', '--proxy', '-b', '--cookie', '-c', '--cookie-jar', '-m', '--max-time', '--connect-timeout'],
+  wget: ['-O', '--output-document', '-o', '--output-file', '-P', '--directory-prefix', '--header',
+    '--post-data', '--post-file', '--body-data', '--body-file', '-U', '--user-agent', '--method'],
+  nc: ['-p', '-s', '-w', '-i', '-x', '-X'],
+  ssh: ['-p', '-i', '-l', '-o', '-F', '-J', '-L', '-R', '-D', '-b', '-c', '-E', '-m', '-S', '-W', '-w'],
+  scp: ['-P', '-i', '-o', '-F', '-J', '-c', '-l', '-S'],
+  sftp: ['-P', '-i', '-o', '-F', '-J', '-c', '-l', '-S', '-b'],
+  rsync: ['-e', '--rsh', '--exclude', '--include', '--port'],
+};
+VALUE_OPTIONS.ncat = VALUE_OPTIONS.nc;
+VALUE_OPTIONS.netcat = VALUE_OPTIONS.nc;
+
+// Options that send a local file as the request body.
+const UPLOAD_OPTIONS = {
+  curl: ['-T', '--upload-file'],
+  wget: ['--post-file', '--body-file'],
+};
+// Options whose value uploads a file when it starts with `@` (curl -d @file, -F f=@file).
+const AT_FILE_OPTIONS = ['-d', '--data', '--data-binary', '--data-urlencode', '-F', '--form'];
+
+// Commands whose output is file contents or environment, i.e. worth
+// stopping when piped into a network command.
+const DATA_SOURCE_COMMANDS = new Set([
+  'cat', 'base64', 'tar', 'zip', 'gzip', 'xxd', 'od', 'head', 'tail', 'env', 'printenv', 'openssl', 'gpg',
+]);
+
+const SECRET_PATTERNS = [
+  { name: 'AWS access key', regex: /\bAKIA[0-9A-Z]{16}\b/ },
+  { name: 'GitHub token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,})\b/ },
+  { name: 'Slack token', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { name: 'API secret key', regex: /\bsk-[A-Za-z0-9_-]{20,}/ },
+  { name: 'private key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+  { name: 'secret environment variable', regex: /\$\{?[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|PRIVATE_KEY)[A-Z0-9_]*\}?/ },
+];
+
+// A query string value this long is more likely an encoded payload than a parameter.
+const MAX_QUERY_VALUE_CHARS = 256;
+
+// ============================================================================
+// Compilation
+// ============================================================================
+
+function normalizeDomain(domain) {
+  return safeString(domain, '').trim().toLowerCase().replace(/^\.+/, '');
+}
+
+function compileDomain(domain, decision, source) {
+  const pattern = normalizeDomain(domain);
+  if (!pattern) return null;
+  return { pattern, decision, source, subdomainsOnly: pattern.startsWith('*.'), domain: pattern.replace(/^\*\./, '') };
+}
+
+/**
+ * Compile the egress policy for a project from its optional
+ * egress-policy.json and the built-in defaults.
+ */
+export function compileEgressPolicy({ rootDir }) {
+  const config = readJson(resolve(rootDir, '.claude-flow/guidance/egress-policy.json'), {}) ?? {};
+  const fromConfig = (key) => safeArray(config[key]).map((domain) => compileDomain(domain, key, 'config'));
+  const fromDefaults = (domains, decision) => domains.map((domain) => compileDomain(domain, decision, 'default'));
+  const unlisted = safeString(config.unlisted, 'ask').toLowerCase();
+
+  return {
+    // Config entries come first so a project can allow a default-denied host.
+    domains: [
+      ...fromConfig('deny'),
+      ...fromConfig('allow'),
+      ...fromDefaults(DEFAULT_DENY, 'deny'),
+      ...fromDefaults(DEFAULT_ALLOW, 'allow'),
+    ].filter(Boolean),
+    unlisted: UNLISTED_DECISIONS.has(unlisted) ? unlisted : 'ask',
+  };
+}
+
+// ============================================================================
+// Target extraction
+// ============================================================================
+
+function hostFromUrl(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  } catch {
+    return null;
+  }
+}
+
+function hostFromRemote(remote) {
+  // user@host, host:path, user@host:path
+  const match = remote.match(/^(?:[^@/\s]+@)?([A-Za-z0-9.-]+|\[[0-9a-fA-F:]+\])(?::|$)/);
+  return match ? match[1].toLowerCase().replace(/^\[|\]$/g, '') : null;
+}
+
+/**
+ * Network commands of a command line, from the shell parser (so `sh -c`,
+ * `sudo` and `$(...)` wrappers are seen through). `--option=value` is read
+ * the same as `--option value`.
+ */
+function networkSegments(command) {
+  return parseShellCommand(command)
+    .filter((segment) => NETWORK_COMMANDS.has(segment.name))
+    .map((segment) => ({
+      ...segment,
+      args: segment.args.flatMap((word) => {
+        const match = word.match(/^(--[a-z-]+)=(.*)$/);
+        return match ? [match[1], match[2]] : [word];
+      }),
+    }));
+}
+
+function positionalArgs(name, args) {
+  const valueOptions = VALUE_OPTIONS[name] ?? [];
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('-')) {
+      if (valueOptions.includes(arg)) i++;
+      continue;
+    }
+    positional.push(arg);
+  }
+  return positional;
+}
+
+function commandTargets(name, args) {
+  const positional = positionalArgs(name, args);
+  if (name === 'curl' || name === 'wget') {
+    return positional
+      .filter((arg) => /^[a-z][a-z0-9+.-]*:\/\//i.test(arg) || /^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+(?::\d+)?(\/|$)/.test(arg))
+      .map((arg) => {
+        const url = /^[a-z][a-z0-9+.-]*:\/\//i.test(arg) ? arg : `http://${arg}`;
+        return { url: arg, host: hostFromUrl(url) };
+      });
+  }
+  if (name === 'scp' || name === 'rsync') {
+    return positional.filter((arg) => /^(?:[^@/\s]+@)?[^/\s:]+:/.test(arg)).map((arg) => ({ url: arg, host: hostFromRemote(arg) }));
+  }
+  // nc/telnet/ssh/sftp: the first positional argument is the host.
+  return positional.length > 0 ? [{ url: positional[0], host: hostFromRemote(positional[0]) }] : [];
+}
+
+/**
+ * Network destinations of a tool call. WebSearch has no destination of its
+ * own; only its query is checked for exfiltration.
+ */
+export function extractEgressTargets({ toolName, url, command }) {
+  if (toolName === 'WebSearch') return [];
+  if (toolName !== 'Bash') {
+    const target = safeString(url, '').trim();
+    return target ? [{ tool: toolName, url: target, host: hostFromUrl(target) }] : [];
+  }
+  return networkSegments(command).flatMap((segment) => commandTargets(segment.name, segment.args)
+    .map((target) => ({ tool: segment.name, ...target })));
+}
+
+// ============================================================================
+// Exfiltration detection
+// ============================================================================
+
+function findSecrets(text) {
+  return SECRET_PATTERNS.filter(({ regex }) => regex.test(text)).map(({ name }) => name);
+}
+
+function oversizedQueryValue(url) {
+  try {
+    return [...new URL(url).searchParams.values()].some((value) => value.length > MAX_QUERY_VALUE_CHARS);
+  } catch {
+    return false;
+  }
+}
+
+function uploadedFiles({ name, args, redirects }) {
+  const files = redirects.filter((redirect) => redirect.op === '<').map((redirect) => redirect.target);
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = args[i + 1] ?? '';
+    if (safeArray(UPLOAD_OPTIONS[name]).includes(arg)) files.push(value);
+    if (name === 'curl' && AT_FILE_OPTIONS.includes(arg) && /(^|=)@/.test(value)) {
+      files.push(value.replace(/^[^@]*@/, ''));
+    }
+  }
+  if (name === 'scp' || name === 'rsync') {
+    // Copying a local path to a remote destination uploads it.
+    const positional = positionalArgs(name, args);
+    const last = positional[positional.length - 1] ?? '';
+    if (/^(?:[^@/\s]+@)?[^/\s:]+:/.test(last)) {
+      files.push(...positional.slice(0, -1).filter((arg) => !/^(?:[^@/\s]+@)?[^/\s:]+:/.test(arg)));
+    }
+  }
+  // `@-` reads stdin, which the pipeline check covers.
+  return files.filter((file) => file && file !== '-');
+}
+
+/**
+ * Reasons a request looks like data exfiltration; empty when it does not.
+ */
+export function detectExfiltration({ toolName, url, query, command }) {
+  const reasons = [];
+  if (toolName !== 'Bash') {
+    const text = safeString(toolName === 'WebSearch' ? query : url, '');
+    for (const secret of findSecrets(text)) reasons.push(`${toolName} request carries a secret (${secret})`);
+    if (toolName !== 'WebSearch' && oversizedQueryValue(text)) {
+      reasons.push(`${toolName} URL carries an encoded payload longer than ${MAX_QUERY_VALUE_CHARS} characters`);
+    }
+    return reasons;
+  }
+
+  for (const segment of networkSegments(command)) {
+    const { name, args, pipedFrom } = segment;
+    for (const file of uploadedFiles(segment)) reasons.push(`${name} uploads local file ${file}`);
+    if (pipedFrom && DATA_SOURCE_COMMANDS.has(pipedFrom.name)) reasons.push(`${pipedFrom.name} output is piped into ${name}`);
+    if (segment.substitutions.length > 0) reasons.push(`${name} sends the output of a command substitution`);
+    for (const secret of findSecrets(segment.text)) reasons.push(`${name} request carries a secret (${secret})`);
+    for (const target of commandTargets(name, args)) {
+      if (target.url && oversizedQueryValue(target.url)) {
+        reasons.push(`${name} URL carries an encoded payload longer than ${MAX_QUERY_VALUE_CHARS} characters`);
+      }
+    }
+  }
+  return [...new Set(reasons)];
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+function matchesDomain(entry, host) {
+  if (host === entry.domain) return !entry.subdomainsOnly;
+  return host.endsWith(`.${entry.domain}`);
+}
+
+function decideHost(policy, host) {
+  if (!host) return { decision: policy.unlisted, pattern: null, source: 'unlisted' };
+  const entry = policy.domains.find((candidate) => matchesDomain(candidate, host));
+  return entry
+    ? { decision: entry.decision, pattern: entry.pattern, source: entry.source }
+    : { decision: policy.unlisted, pattern: null, source: 'unlisted' };
+}
+
+const DECISION_RANK = { allow: 0, ask: 1, deny: 2 };
+
+/**
+ * Decide a network request. Exfiltration always denies; otherwise the most
+ * restrictive host decision wins. `network` is false for Bash commands that
+ * make no network call.
+ */
+export function evaluateEgress(policy, request) {
+  const targets = extractEgressTargets(request).map((target) => ({ ...target, ...decideHost(policy, target.host) }));
+  const exfiltration = detectExfiltration(request);
+  const network = request.toolName !== 'Bash' || targets.length > 0;
+
+  if (exfiltration.length > 0) {
+    return { decision: 'deny', network: true, targets, exfiltration, target: targets[0] ?? null };
+  }
+  const target = targets.reduce(
+    (worst, next) => (worst && DECISION_RANK[worst.decision] >= DECISION_RANK[next.decision] ? worst : next),
+    null
+  );
+  return { decision: target?.decision ?? 'allow', network, targets, exfiltration, target };
+}
+
+/** Append one egress decision to the JSONL egress log. */
+export function appendEgressLog(logPath, entry) {
+  ensureDir(dirname(logPath));
+  appendFileSync(logPath, `${JSON.stringify({ recordedAt: nowIso(), ...entry })}\n`);
+}
@@ -0,0 +1,501 @@
+/**
+ * Evolution Proposals — CLAUDE.md rule changes taken through the evolution
+ * pipeline from the command line and kept across processes.
+ *
+ * Each proposal is stored as .claude-flow/guidance/evolution/<proposalId>.json
+ * together with its simulation, comparison and rollout. The upstream pipeline
+ * keeps these in memory only, so every operation restores the record into
+ * `runtime.evolutionPipeline` first, after checking the proposal signature
+ * with the evolution key it names (`keyId`), which may since have been
+ * rotated.
+ *
+ * While a rollout is in progress, evolution/active-rollout.json names the
+ * proposal, its current stage and its cohort. GuidancePhase1Runtime reads it,
+ * uses the candidate rules for hooks in the canary cohort and logs every run
+ * event, tagged canary or control, to the rollout's own ledger under
+ * evolution/ledgers/<proposalId>/. Stages graduate when the canary cohort
+ * shows no regression against the control cohort; when the last stage
+ * passes, the change is written to CLAUDE.md.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readdirSync, readFileSync, unlinkSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { createEvolutionPipeline } from '@claude-flow/guidance/evolution';
+import { createEventStore, createPersistentLedger } from '@claude-flow/guidance/persistence';
+
+import {
+  applyProposalToGuidance,
+  buildGoldenTraces,
+  compileCandidateBundle,
+  createRuleReplayEvaluator,
+  loadGoldenTraces,
+  readGoldenTraceSteps,
+} from './golden-traces.js';
+import { ensureDir, nowIso, readJson, safeArray, safeString, writeJson } from '../utils.mjs';
+
+const RULE_KINDS = ['rule-add', 'rule-modify', 'rule-remove'];
+
+const COHORT_KINDS = ['session', 'agent', 'agents'];
+
+// Events each cohort needs in a stage before it can be compared, and the
+// largest rise in a canary metric (as a percentage of the control value, or
+// of 1 when that is smaller) that is not a regression.
+const MIN_COHORT_EVENTS = 20;
+const MAX_COHORT_REGRESSION_PCT = 5;
+
+const RISK_FACTORS = {
+  'rule-add': ['new restriction', 'possible false positives'],
+  'rule-modify': ['changed rule wording', 'possible false positives or negatives'],
+  'rule-remove': ['removed restriction'],
+};
+
+export function evolutionDir(rootDir) {
+  return resolve(rootDir, '.claude-flow/guidance/evolution');
+}
+
+export function activeRolloutPath(rootDir) {
+  return resolve(evolutionDir(rootDir), 'active-rollout.json');
+}
+
+/** Storage path of the ledger that holds a rollout's canary and control events. */
+export function rolloutLedgerPath(rootDir, proposalId) {
+  return resolve(evolutionDir(rootDir), 'ledgers', proposalId);
+}
+
+function recordPath(rootDir, proposalId) {
+  return resolve(evolutionDir(rootDir), `${proposalId}.json`);
+}
+
+/** Every stored proposal record, newest first. */
+export function listEvolutionRecords(rootDir) {
+  let files = [];
+  try {
+    files = readdirSync(evolutionDir(rootDir))
+      .filter((file) => file.endsWith('.json') && file !== 'active-rollout.json');
+  } catch {
+    return [];
+  }
+  return files
+    .map((file) => readJson(resolve(evolutionDir(rootDir), file), null))
+    .filter((record) => record?.proposal?.proposalId)
+    .sort((a, b) => b.proposal.createdAt - a.proposal.createdAt);
+}
+
+/** The record for a proposal id, or for a unique prefix of one. */
+export function readEvolutionRecord(rootDir, id) {
+  const prefix = safeString(id, '').trim();
+  if (!prefix) return null;
+  const matches = listEvolutionRecords(rootDir).filter((record) => record.proposal.proposalId.startsWith(prefix));
+  if (matches.length > 1) throw new Error(`Proposal id ${prefix} is ambiguous`);
+  return matches[0] ?? null;
+}
+
+/** The rollout GuidancePhase1Runtime should apply, or null. */
+export function readActiveRollout(rootDir) {
+  const rollout = readJson(activeRolloutPath(rootDir), null);
+  return rollout?.proposalId && RULE_KINDS.includes(rollout.kind) ? rollout : null;
+}
+
+function saveEvolutionRecord(rootDir, record) {
+  ensureDir(evolutionDir(rootDir));
+  writeJson(recordPath(rootDir, record.proposal.proposalId), record);
+
+  const { proposal, rollout } = record;
+  if (rollout?.status === 'in-progress') {
+    const stage = rollout.stages[rollout.currentStage];
+    writeJson(activeRolloutPath(rootDir), {
+      proposalId: proposal.proposalId,
+      rolloutId: rollout.rolloutId,
+      kind: proposal.kind,
+      diff: proposal.diff,
+      stage: stage.name,
+      percentage: stage.percentage,
+      stageStartedAt: stage.startedAt,
+      cohort: record.cohort,
+    });
+  } else if (readActiveRollout(rootDir)?.proposalId === proposal.proposalId) {
+    unlinkSync(activeRolloutPath(rootDir));
+  }
+  return record;
+}
+
+/**
+ * Check a cohort spec from the command line: `session` buckets sessions,
+ * `agent` buckets agent ids, and `agents` puts only the listed agents in the
+ * canary cohort until the last stage.
+ */
+export function normalizeCohort({ by = 'session', agents = [] } = {}) {
+  const list = safeArray(agents).map((agent) => safeString(agent, '').trim()).filter(Boolean);
+  const kind = by === 'session' && list.length > 0 ? 'agents' : by;
+  if (!COHORT_KINDS.includes(kind)) throw new Error(`Unknown cohort "${by}"; use session, agent or agents`);
+  if (kind === 'agents' && list.length === 0) throw new Error('An agents cohort needs at least one agent id');
+  return { by: kind, agents: list };
+}
+
+/**
+ * Which cohort of a rollout a hook call belongs to: 'canary' gets the
+ * candidate rules, 'control' keeps the CLAUDE.md rules. Sessions or agents
+ * are bucketed by a hash salted with the proposal id, so each rollout samples
+ * a different set and a session or agent keeps its bucket across stages.
+ */
+export function rolloutCohort(rollout, { sessionId, agentId } = {}) {
+  const cohort = rollout.cohort ?? { by: 'session', agents: [] };
+  if (rollout.percentage >= 100 || safeArray(cohort.agents).includes(agentId)) return 'canary';
+  if (cohort.by === 'agents') return 'control';
+  const key = safeString(cohort.by === 'agent' ? agentId : sessionId, '');
+  const digest = createHash('sha256').update(`${rollout.proposalId}:${key}`).digest('hex');
+  return parseInt(digest.slice(0, 8), 16) % 100 < rollout.percentage ? 'canary' : 'control';
+}
+
+/** Append run events, already tagged with their cohort, to a rollout's ledger. */
+export async function appendRolloutEvents(rootDir, proposalId, events) {
+  const store = createEventStore(rolloutLedgerPath(rootDir, proposalId));
+  for (const event of events) {
+    await store.append(event);
+  }
+}
+
+async function requireEvolution(runtime) {
+  await runtime.initialize();
+  if (!runtime.isComponentEnabled('evolution')) {
+    throw new Error('The evolution component is disabled in .claude-flow/guidance/components.json');
+  }
+}
+
+async function requireRecord(runtime, id) {
+  await requireEvolution(runtime);
+  const record = readEvolutionRecord(runtime.rootDir, id);
+  if (!record) throw new Error(`No proposal ${id}`);
+
+  // The upstream pipeline has no import; put the record back in its maps.
+  const pipeline = runtime.evolutionPipeline;
+  const { keyId } = runtime.keyring.active('evolution');
+  const secret = runtime.keyring.secret('evolution', record.keyId);
+  const signer = record.keyId === keyId || secret === null
+    ? pipeline
+    : createEvolutionPipeline({ signingKey: secret });
+  if (signer.signProposal(record.proposal) !== record.proposal.signature) {
+    throw new Error(`Proposal ${record.proposal.proposalId} signature does not match; was it signed with another GUIDANCE_PROOF_KEY?`);
+  }
+  pipeline.proposals.set(record.proposal.proposalId, record.proposal);
+  if (record.simulation) pipeline.simulations.set(record.proposal.proposalId, record.simulation);
+  if (record.rollout) pipeline.rollouts.set(record.rollout.rolloutId, record.rollout);
+  return record;
+}
+
+function logAction(record, action, detail = {}) {
+  record.history.push({ at: nowIso(), action, status: record.proposal.status, ...detail });
+}
+
+function guidancePath(runtime) {
+  return resolve(runtime.rootDir, runtime.phase1.options.rootGuidancePath);
+}
+
+function ruleLines(content) {
+  return content.split('\n').filter((line) => /^\s*[-*]\s/.test(line));
+}
+
+/**
+ * File a rule-add, rule-modify or rule-remove proposal against CLAUDE.md.
+ * Rules named for modification or removal must appear in CLAUDE.md; a rule
+ * to add must not.
+ */
+export async function proposeRuleChange(runtime, {
+  kind,
+  rule,
+  to = '',
+  title = null,
+  description = '',
+  rationale = '',
+  author = 'human',
+  risk = null,
+}) {
+  await requireEvolution(runtime);
+  if (!RULE_KINDS.includes(kind)) throw new Error(`Unknown proposal kind: ${kind}`);
+  const ruleText = safeString(rule, '').trim();
+  const replacement = safeString(to, '').trim();
+  if (!ruleText) throw new Error('A proposal needs the text of the rule it changes');
+  if (kind === 'rule-modify' && !replacement) throw new Error('rule-modify needs the new rule text');
+
+  const content = existsSync(guidancePath(runtime)) ? readFileSync(guidancePath(runtime), 'utf-8') : '';
+  const present = ruleLines(content).some((line) => line.includes(ruleText));
+  if (kind === 'rule-add' && present) throw new Error(`CLAUDE.md already has the rule "${ruleText}"`);
+  if (kind !== 'rule-add' && !present) throw new Error(`No rule in CLAUDE.md contains "${ruleText}"`);
+
+  const diff = {
+    'rule-add': { before: null, after: { rule: ruleText } },
+    'rule-modify': { before: { rule: ruleText }, after: { rule: replacement } },
+    'rule-remove': { before: { rule: ruleText }, after: null },
+  }[kind];
+  const proposal = runtime.evolutionPipeline.propose({
+    kind,
+    title: safeString(title, `${kind}: ${replacement || ruleText}`),
+    description: safeString(description, ''),
+    author: safeString(author, 'human'),
+    targetPath: runtime.phase1.options.rootGuidancePath,
+    diff,
+    rationale: safeString(rationale, ''),
+    riskAssessment: {
+      level: risk ?? (kind === 'rule-remove' ? 'high' : 'medium'),
+      factors: RISK_FACTORS[kind],
+    },
+  });
+
+  const record = {
+    proposal,
+    keyId: runtime.keyring.active('evolution').keyId,
+    simulation: null,
+    comparison: null,
+    cohort: null,
+    rollout: null,
+    history: [],
+  };
+  logAction(record, 'propose');
+  return saveEvolutionRecord(runtime.rootDir, record);
+}
+
+/** Replay golden traces under the current and proposed rules, then compare. */
+export async function simulateProposal(runtime, id) {
+  const record = await requireRecord(runtime, id);
+  const { proposal } = record;
+  if (!['signed', 'compared', 'rejected'].includes(proposal.status)) {
+    throw new Error(`Proposal ${proposal.proposalId} is ${proposal.status}; only unstaged proposals can be simulated`);
+  }
+
+  const goldenTraces = loadGoldenTraces(runtime);
+  const simulation = runtime.evolutionPipeline.simulate(
+    proposal.proposalId,
+    goldenTraces,
+    createRuleReplayEvaluator({
+      rootDir: runtime.rootDir,
+      gateConfig: runtime.phase1.options.gateConfig,
+      baselineBundle: runtime.phase1.getBundle(),
+      candidateBundle: compileCandidateBundle(runtime, proposal),
+    })
+  );
+  record.simulation = simulation;
+  record.comparison = runtime.evolutionPipeline.compare(proposal.proposalId, simulation);
+  logAction(record, 'simulate', {
+    goldenTraceCount: goldenTraces.length,
+    divergenceScore: simulation.divergenceScore,
+    reason: record.comparison.reason,
+  });
+  return saveEvolutionRecord(runtime.rootDir, record);
+}
+
+/**
+ * Start a staged rollout of a proposal whose simulation was approved.
+ * `cohort` picks who gets the candidate rules; see normalizeCohort.
+ */
+export async function stageProposal(runtime, id, { cohort = {} } = {}) {
+  const record = await requireRecord(runtime, id);
+  const { proposal } = record;
+  if (proposal.status !== 'compared' || !record.comparison?.approved) {
+    throw new Error(`Proposal ${proposal.proposalId} is ${proposal.status}; run "evolution simulate" until it is approved`);
+  }
+  const active = readActiveRollout(runtime.rootDir);
+  if (active) throw new Error(`Proposal ${active.proposalId} is already rolling out; advance or roll it back first`);
+
+  record.cohort = normalizeCohort(cohort);
+  record.rollout = runtime.evolutionPipeline.stage(proposal.proposalId);
+  logAction(record, 'stage', { stage: record.rollout.stages[0].name, cohort: record.cohort });
+  return saveEvolutionRecord(runtime.rootDir, record);
+}
+
+/**
+ * How the candidate rules would have decided the verified hook steps
+ * recorded since the current stage started: the share of changed decisions
+ * (`divergence`) and the candidate's allow rate and rule coverage.
+ */
+export function measureRolloutStage(runtime, record) {
+  const stage = record.rollout.stages[record.rollout.currentStage];
+  const traces = buildGoldenTraces({
+    steps: readGoldenTraceSteps(runtime.dataDir).filter((step) => step.recordedAt >= stage.startedAt),
+    envelopes: runtime.proofChain.export().envelopes,
+    ledgerEvents: runtime.phase1.ledger.getEvents?.() ?? [],
+    maxTraces: Infinity,
+  });
+  const evaluator = createRuleReplayEvaluator({
+    rootDir: runtime.rootDir,
+    gateConfig: runtime.phase1.options.gateConfig,
+    baselineBundle: runtime.phase1.getBundle(),
+    candidateBundle: compileCandidateBundle(runtime, record.proposal),
+  });
+
+  let steps = 0;
+  let changed = 0;
+  let allowed = 0;
+  let restricted = 0;
+  let covered = 0;
+  for (const trace of traces) {
+    const baseline = evaluator(trace, 'baseline').decisions;
+    const candidate = evaluator(trace, 'candidate').decisions;
+    candidate.forEach((decision, index) => {
+      steps += 1;
+      if (JSON.stringify(decision) !== JSON.stringify(baseline[index])) changed += 1;
+      if (decision.decision === 'allow') allowed += 1;
+      else {
+        restricted += 1;
+        if (decision.rules.length > 0) covered += 1;
+      }
+    });
+  }
+  return {
+    replayedSteps: steps,
+    divergence: steps > 0 ? changed / steps : 0,
+    allowRate: steps > 0 ? allowed / steps : 1,
+    ruleCoverage: restricted > 0 ? covered / restricted : 1,
+  };
+}
+
+function cohortMetrics(ledger, events) {
+  return {
+    events: events.length,
+    violationRate: ledger.computeMetrics(events).violationRate,
+    blockRate: events.length > 0 ? events.filter((event) => event.outcomeAccepted === false).length / events.length : 0,
+  };
+}
+
+/**
+ * Violation and block rates of the canary and control cohorts since the
+ * current stage started, read from the rollout's ledger. The last stage has
+ * no control cohort, so it is compared against the control metrics of the
+ * latest earlier stage that had enough events.
+ */
+export async function compareRolloutCohorts(runtime, record, { now = Date.now() } = {}) {
+  const { rollout } = record;
+  const stage = rollout.stages[rollout.currentStage];
+  const ledger = createPersistentLedger({ storagePath: rolloutLedgerPath(runtime.rootDir, record.proposal.proposalId) });
+  await ledger.load();
+  const events = ledger.getEventsInRange(stage.startedAt, now);
+
+  const canary = cohortMetrics(ledger, events.filter((event) => event.cohort === 'canary'));
+  let control = cohortMetrics(ledger, events.filter((event) => event.cohort === 'control'));
+  if (control.events < MIN_COHORT_EVENTS) {
+    const earlier = rollout.stages
+      .slice(0, rollout.currentStage)
+      .reverse()
+      .find((entry) => entry.metrics?.controlEvents >= MIN_COHORT_EVENTS);
+    if (earlier) {
+      control = {
+        events: earlier.metrics.controlEvents,
+        violationRate: earlier.metrics.controlViolationRate,
+        blockRate: earlier.metrics.controlBlockRate,
+      };
+    }
+  }
+
+  const regressions = ['violationRate', 'blockRate']
+    .map((metric) => ({ metric, risePct: ((canary[metric] - control[metric]) / Math.max(control[metric], 1)) * 100 }))
+    .filter(({ risePct }) => risePct > MAX_COHORT_REGRESSION_PCT)
+    .map(({ metric, risePct }) => `canary ${metric} ${canary[metric].toFixed(2)} is ${risePct.toFixed(1)}% above control ${control[metric].toFixed(2)}`);
+
+  return {
+    canary,
+    control,
+    regressions,
+    sufficient: canary.events >= MIN_COHORT_EVENTS && control.events >= MIN_COHORT_EVENTS,
+  };
+}
+
+/**
+ * Close the current stage: roll back when the canary cohort regressed,
+ * otherwise let the pipeline advance (it still rolls back on its own when
+ * the replayed divergence exceeds the stage threshold). Passing the last
+ * stage promotes the proposal and writes the change to CLAUDE.md.
+ */
+function completeStage(runtime, record, cohorts) {
+  const { rollout } = record;
+  const stage = rollout.stages[rollout.currentStage];
+  const metrics = {
+    ...measureRolloutStage(runtime, record),
+    canaryEvents: cohorts.canary.events,
+    canaryViolationRate: cohorts.canary.violationRate,
+    canaryBlockRate: cohorts.canary.blockRate,
+    controlEvents: cohorts.control.events,
+    controlViolationRate: cohorts.control.violationRate,
+    controlBlockRate: cohorts.control.blockRate,
+  };
+
+  let result;
+  if (cohorts.regressions.length > 0) {
+    const reason = `Canary cohort regressed in stage "${stage.name}": ${cohorts.regressions.join('; ')}`;
+    stage.metrics = metrics;
+    stage.passed = false;
+    stage.completedAt = Date.now();
+    runtime.evolutionPipeline.rollback(rollout.rolloutId, reason);
+    result = { advanced: false, rolledBack: true, reason };
+  } else {
+    result = runtime.evolutionPipeline.advanceStage(rollout.rolloutId, metrics);
+  }
+  logAction(record, result.rolledBack ? 'rollback' : 'advance', { stage: stage.name, metrics, reason: result.reason });
+
+  if (rollout.status === 'completed') {
+    const content = existsSync(guidancePath(runtime)) ? readFileSync(guidancePath(runtime), 'utf-8') : '';
+    writeFileSync(guidancePath(runtime), applyProposalToGuidance(content, record.proposal));
+    logAction(record, 'apply', { targetPath: record.proposal.targetPath });
+  }
+  saveEvolutionRecord(runtime.rootDir, record);
+  return { record, result };
+}
+
+/**
+ * Move a rollout past its current stage once the stage has run for its
+ * duration and both cohorts have enough events, or right away with `force`.
+ */
+export async function advanceRollout(runtime, id, { force = false, now = Date.now() } = {}) {
+  const record = await requireRecord(runtime, id);
+  const { rollout } = record;
+  if (rollout?.status !== 'in-progress') {
+    throw new Error(`Proposal ${record.proposal.proposalId} has no rollout in progress`);
+  }
+  const stage = rollout.stages[rollout.currentStage];
+  const remainingMs = stage.startedAt + stage.durationMs - now;
+  if (remainingMs > 0 && !force) {
+    throw new Error(`Stage "${stage.name}" needs ${Math.ceil(remainingMs / 1000)}s more; pass --force to advance now`);
+  }
+  const cohorts = await compareRolloutCohorts(runtime, record, { now });
+  if (!cohorts.sufficient && !force) {
+    throw new Error(`Stage "${stage.name}" has ${cohorts.canary.events} canary and ${cohorts.control.events} control events; `
+      + `each cohort needs ${MIN_COHORT_EVENTS}. Pass --force to advance now`);
+  }
+  return completeStage(runtime, record, cohorts);
+}
+
+/**
+ * Graduate the active rollout without a human: once both cohorts have enough
+ * events, roll back as soon as the canary cohort regresses, and advance when
+ * the stage has run for its duration without regression. Returns null when
+ * no rollout is active.
+ */
+export async function graduateRollout(runtime, { now = Date.now() } = {}) {
+  await requireEvolution(runtime);
+  const active = readActiveRollout(runtime.rootDir);
+  if (!active) return null;
+
+  const record = await requireRecord(runtime, active.proposalId);
+  const stage = record.rollout.stages[record.rollout.currentStage];
+  const cohorts = await compareRolloutCohorts(runtime, record, { now });
+  const waiting = !cohorts.sufficient
+    || (cohorts.regressions.length === 0 && stage.startedAt + stage.durationMs > now);
+  if (waiting) {
+    return {
+      record,
+      result: { advanced: false, rolledBack: false, reason: `Waiting in stage "${stage.name}"` },
+    };
+  }
+  return completeStage(runtime, record, cohorts);
+}
+
+/** Abandon a rollout; every session goes back to the CLAUDE.md rules. */
+export async function rollbackRollout(runtime, id, { reason = 'Rolled back by hand' } = {}) {
+  const record = await requireRecord(runtime, id);
+  if (record.rollout?.status !== 'in-progress') {
+    throw new Error(`Proposal ${record.proposal.proposalId} has no rollout in progress`);
+  }
+  runtime.evolutionPipeline.rollback(record.rollout.rolloutId, reason);
+  logAction(record, 'rollback', { stage: record.rollout.stages[record.rollout.currentStage].name, reason });
+  return saveEvolutionRecord(runtime.rootDir, record);
+}
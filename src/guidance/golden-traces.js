@@ -0,0 +1,239 @@
+/**
+ * Golden Traces — real hook history replayed against candidate rules.
+ *
+ * The proof chain stores only hashes of what the hooks saw, so pre-command,
+ * pre-edit and pre-read also append each step (the exact toolParams and
+ * toolResults handed to appendProof) to golden-traces.jsonl in the runtime
+ * data dir. A step becomes part of a golden trace only when its hash matches
+ * the toolCallHashes of its proof envelope, and not when it ran inside a task
+ * the persistent ledger recorded as rejected.
+ *
+ * The rule-replay evaluator recompiles CLAUDE.md with a proposal applied and
+ * re-runs every step through fresh gates and the read policy, once with the
+ * current bundle ('baseline') and once with the candidate, which is what
+ * `evolutionPipeline.simulate` compares.
+ */
+
+import { createHash } from 'node:crypto';
+import { appendFileSync, existsSync, readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+import { createCompiler } from '@claude-flow/guidance/compiler';
+import { createGates } from '@claude-flow/guidance/gates';
+
+import { compileReadPolicy, evaluateReadAccess } from './read-policy.js';
+import { ensureDir, parseJson, safeArray, safeString } from '../utils.mjs';
+
+// The upstream divergence score assumes about five decisions per trace, so
+// each session is cut into windows of that length.
+const TRACE_LENGTH = 5;
+const MAX_TRACES = 200;
+
+const REPLAYED_TOOLS = new Set(['PreCommand', 'PreEdit', 'PreRead']);
+
+export function goldenTracePath(dataDir) {
+  return resolve(dataDir, 'golden-traces.jsonl');
+}
+
+/** Append one hook step; `params` and `result` must be what appendProof hashed. */
+export function appendGoldenTraceStep(dataDir, step) {
+  const tracePath = goldenTracePath(dataDir);
+  ensureDir(dirname(tracePath));
+  appendFileSync(tracePath, `${JSON.stringify({ recordedAt: Date.now(), ...step })}\n`);
+}
+
+export function readGoldenTraceSteps(dataDir) {
+  const tracePath = goldenTracePath(dataDir);
+  if (!existsSync(tracePath)) return [];
+  return readFileSync(tracePath, 'utf-8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => parseJson(line, null))
+    .filter((step) => step && REPLAYED_TOOLS.has(step.toolName));
+}
+
+function toolCallHash(step) {
+  return createHash('sha256')
+    .update(step.toolName + JSON.stringify(step.params) + JSON.stringify(step.result))
+    .digest('hex');
+}
+
+/**
+ * Keep the steps the proof chain vouches for, drop those that ran during a
+ * rejected ledger task, and cut each session into traces, newest last.
+ */
+export function buildGoldenTraces({ steps, envelopes, ledgerEvents = [], maxTraces = MAX_TRACES }) {
+  const envelopesById = new Map(safeArray(envelopes).map((envelope) => [envelope.envelopeId, envelope]));
+  const rejectedTasks = safeArray(ledgerEvents).filter((event) => event?.outcomeAccepted === false);
+
+  const sessions = new Map();
+  for (const step of safeArray(steps)) {
+    const envelope = envelopesById.get(step.envelopeId);
+    if (!envelope || envelope.toolCallHashes?.[step.callId] !== toolCallHash(step)) continue;
+    if (rejectedTasks.some((event) => step.recordedAt >= event.timestamp
+      && step.recordedAt <= event.timestamp + (event.durationMs ?? 0))) {
+      continue;
+    }
+    const sessionId = safeString(step.sessionId, 'unknown-session');
+    if (!sessions.has(sessionId)) sessions.set(sessionId, []);
+    sessions.get(sessionId).push(step);
+  }
+
+  const traces = [];
+  for (const [sessionId, sessionSteps] of sessions) {
+    for (let start = 0; start < sessionSteps.length; start += TRACE_LENGTH) {
+      traces.push({
+        id: `${sessionId}#${start / TRACE_LENGTH + 1}`,
+        sessionId,
+        recordedAt: sessionSteps[start].recordedAt,
+        steps: sessionSteps.slice(start, start + TRACE_LENGTH),
+      });
+    }
+  }
+  return traces.sort((a, b) => a.recordedAt - b.recordedAt).slice(-maxTraces);
+}
+
+/** Golden traces from a runtime's trace log, proof chain and persistent ledger. */
+export function loadGoldenTraces(runtime, options = {}) {
+  return buildGoldenTraces({
+    steps: readGoldenTraceSteps(runtime.dataDir),
+    envelopes: runtime.proofChain.export().envelopes,
+    ledgerEvents: runtime.phase1.ledger.getEvents?.() ?? [],
+    ...options,
+  });
+}
+
+// ============================================================================
+// Candidate rules
+// ============================================================================
+
+function proposalRuleText(value) {
+  return typeof value === 'string' ? value : safeString(value?.rule, '');
+}
+
+/**
+ * CLAUDE.md content with a rule-add, rule-modify or rule-remove proposal
+ * applied. Other proposal kinds leave the rules unchanged.
+ */
+export function applyProposalToGuidance(content, proposal) {
+  const before = proposalRuleText(proposal?.diff?.before).trim();
+  const after = proposalRuleText(proposal?.diff?.after).trim();
+  const text = safeString(content, '');
+  const lines = text.split('\n');
+
+  switch (proposal?.kind) {
+    case 'rule-add':
+      return after ? `${text.trimEnd()}\n- ${after}\n` : text;
+    case 'rule-modify':
+      if (!before || !after) return text;
+      return lines.map((line) => (line.includes(before) ? line.replace(before, after) : line)).join('\n');
+    case 'rule-remove':
+      if (!before) return text;
+      return lines.filter((line) => !line.includes(before)).join('\n');
+    default:
+      return text;
+  }
+}
+
+function readGuidanceFile(rootDir, filePath) {
+  const fullPath = filePath ? resolve(rootDir, filePath) : null;
+  return fullPath && existsSync(fullPath) ? readFileSync(fullPath, 'utf-8') : null;
+}
+
+/** Compile the project's CLAUDE.md (and CLAUDE.local.md) with `proposal` applied. */
+export function compileCandidateBundle(runtime, proposal) {
+  const { rootGuidancePath, localGuidancePath } = runtime.phase1.options;
+  const rootContent = readGuidanceFile(runtime.rootDir, rootGuidancePath) ?? '';
+  const localContent = readGuidanceFile(runtime.rootDir, localGuidancePath);
+  return createCompiler().compile(applyProposalToGuidance(rootContent, proposal), localContent ?? undefined);
+}
+
+// ============================================================================
+// Replay
+// ============================================================================
+
+function bundleRules(bundle) {
+  return [
+    ...safeArray(bundle?.constitution?.rules),
+    ...safeArray(bundle?.shards).map((shard) => shard.rule),
+  ];
+}
+
+function createReplayContext({ rootDir, gateConfig, bundle }) {
+  const rules = bundleRules(bundle);
+  const gates = createGates(gateConfig);
+  gates.setActiveRules(rules);
+  return {
+    gates,
+    readPolicy: compileReadPolicy({ rootDir, bundle }),
+    // Rule ids are positional, so decisions cite rules by text.
+    ruleText: new Map(rules.map((rule) => [rule.id, rule.text])),
+  };
+}
+
+function gateDecision(context, results) {
+  const ruleIds = new Set(results.flatMap((result) => safeArray(result.triggeredRules)));
+  return {
+    decision: results.length > 0 ? context.gates.aggregateDecision(results) : 'allow',
+    rules: [...ruleIds].map((id) => context.ruleText.get(id) ?? id).sort(),
+  };
+}
+
+/**
+ * What the rules in `context` decide for one recorded step. Edit content is
+ * not recorded, so the secrets gate is not replayed.
+ */
+export function replayStep(context, step) {
+  const params = step.params ?? {};
+  switch (step.toolName) {
+    case 'PreCommand':
+      return gateDecision(context, context.gates.evaluateCommand(safeString(params.command, '')));
+    case 'PreEdit':
+      return gateDecision(
+        context,
+        context.gates.evaluateEdit(safeString(params.filePath, ''), '', Number(params.diffLines) || 0)
+      );
+    case 'PreRead': {
+      const access = evaluateReadAccess(context.readPolicy, safeArray(params.paths));
+      return {
+        decision: access.decision,
+        rules: access.ruleId ? [context.ruleText.get(access.ruleId) ?? access.ruleId] : [],
+      };
+    }
+    default:
+      return { decision: 'allow', rules: [] };
+  }
+}
+
+function traceMetrics(decisions) {
+  const restricted = decisions.filter((entry) => entry.decision !== 'allow');
+  return {
+    // Share of past actions the rules still let through.
+    allowRate: decisions.length > 0 ? 1 - restricted.length / decisions.length : 1,
+    // Share of restricted actions that cite a CLAUDE.md rule.
+    ruleCoverage: restricted.length > 0
+      ? restricted.filter((entry) => entry.rules.length > 0).length / restricted.length
+      : 1,
+  };
+}
+
+/**
+ * Synchronous evaluator for `evolutionPipeline.simulate`: replays a golden
+ * trace under the baseline or candidate bundle.
+ */
+export function createRuleReplayEvaluator({ rootDir, gateConfig = {}, baselineBundle, candidateBundle }) {
+  const contexts = {
+    baseline: createReplayContext({ rootDir, gateConfig, bundle: baselineBundle }),
+    candidate: createReplayContext({ rootDir, gateConfig, bundle: candidateBundle }),
+  };
+
+  return (trace, config) => {
+    const context = contexts[config] ?? contexts.baseline;
+    const decisions = safeArray(trace.steps).map((step) => replayStep(context, step));
+    return {
+      traceHash: createHash('sha256').update(JSON.stringify(decisions)).digest('hex'),
+      metrics: traceMetrics(decisions),
+      decisions,
+    };
+  };
+}
@@ -2,6 +2,7 @@ import { createHash, randomUUID } from 'node:crypto';
 
 import { createProofChain } from '@claude-flow/guidance/proof';
 
+import { compileCandidateBundle, createRuleReplayEvaluator, loadGoldenTraces } from './golden-traces.js';
 import { nowIso, outcomeFromHookResult, severityFromThreat } from '../utils.mjs';
 
 function buildRunEvent({
@@ -15,6 +16,8 @@ function buildRunEvent({
   reworkLines = 0,
   durationMs = 0,
   sessionId,
+  testResults = null,
+  diffSummary = null,
 }) {
   return {
     eventId: `evt-${randomUUID()}`,
@@ -24,15 +27,15 @@ function buildRunEvent({
     toolsUsed,
     filesTouched,
     diffSummary: {
-      linesAdded: 0,
-      linesRemoved: 0,
+      linesAdded: diffSummary?.linesAdded ?? 0,
+      linesRemoved: diffSummary?.linesRemoved ?? 0,
       filesChanged: filesTouched.length,
     },
     testResults: {
-      ran: false,
-      passed: 0,
-      failed: 0,
-      skipped: 0,
+      ran: Boolean(testResults?.ran),
+      passed: testResults?.passed ?? 0,
+      failed: testResults?.failed ?? 0,
+      skipped: testResults?.skipped ?? 0,
     },
     violations,
     outcomeAccepted,
@@ -300,12 +303,12 @@ export function createIntegrationRunners(runtime) {
       ],
     });
 
-    const chainValid = runtime.proofChain.verifyChain();
+    const chainValid = runtime.verifyProofChain();
 
     const exported = runtime.proofChain.export();
-    const importedChain = createProofChain({ signingKey: runtime.options.signingKey });
+    const importedChain = createProofChain({ signingKey: runtime.keyring.active('proof').secret });
     importedChain.import(exported);
-    const importedValid = importedChain.verifyChain();
+    const importedValid = runtime.verifyProofChain(importedChain.export().envelopes);
 
     const summary = {
       integration: 'proof',
@@ -363,36 +366,14 @@ export function createIntegrationRunners(runtime) {
       },
     });
 
-    const goldenTraces = [
-      { id: 'trace-1', decisions: ['allow', 'allow', 'allow'] },
-      { id: 'trace-2', decisions: ['allow', 'require-confirmation', 'allow'] },
-      { id: 'trace-3', decisions: ['allow', 'allow', 'warn'] },
-    ];
-
-    const evaluator = (trace, config) => {
-      const sourceDecisions = Array.isArray(trace.decisions) ? trace.decisions : [];
-      const decisions =
-        config === 'candidate'
-          ? sourceDecisions.map((decision, index) =>
-              index === 1 && decision === 'allow' ? 'require-confirmation' : decision
-            )
-          : [...sourceDecisions];
-
-      const traceHash = createHash('sha256')
-        .update(JSON.stringify({ traceId: trace.id, config, decisions }))
-        .digest('hex');
-
-      const metrics =
-        config === 'candidate'
-          ? { successRate: 0.96, complianceScore: 0.94 }
-          : { successRate: 0.93, complianceScore: 0.91 };
-
-      return {
-        traceHash,
-        metrics,
-        decisions,
-      };
-    };
+    // Past hook decisions, replayed under the current and the proposed rules.
+    const goldenTraces = loadGoldenTraces(runtime);
+    const evaluator = createRuleReplayEvaluator({
+      rootDir: runtime.rootDir,
+      gateConfig: runtime.phase1.options.gateConfig,
+      baselineBundle: runtime.phase1.getBundle(),
+      candidateBundle: compileCandidateBundle(runtime, proposal),
+    });
 
     const simulation = runtime.evolutionPipeline.simulate(
       proposal.proposalId,
@@ -429,7 +410,11 @@ export function createIntegrationRunners(runtime) {
       proposalId: proposal.proposalId,
       proposalStatus: finalProposal?.status ?? proposal.status,
       simulation: {
+        goldenTraceCount: goldenTraces.length,
+        replayedSteps: goldenTraces.reduce((count, trace) => count + trace.steps.length, 0),
         divergenceScore: simulation.divergenceScore,
+        decisionDiffCount: simulation.decisionDiffs.length,
+        metrics: simulation.metricsComparison,
         passed: simulation.passed,
         reason: simulation.reason,
       },
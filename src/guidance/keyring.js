@@ -0,0 +1,196 @@
+/**
+ * Keyring — per-subsystem signing keys with rotation.
+ *
+ * Stored in .claude-flow/guidance/keys/keyring.json (mode 0600):
+ *
+ *   { "version": 1, "subsystems": { "proof": {
+ *       "active": "<keyId>", "legacy": "<keyId>",
+ *       "keys": { "<keyId>": { "secret": "...", "createdAt": "...", "retiredAt": null } } } } }
+ *
+ * A key id is the first 16 hex digits of the SHA-256 of the secret. Each
+ * subsystem signs with its active key; retired keys stay in the keyring so
+ * whatever they signed still verifies by id. `legacy` is the key that signed
+ * before key ids were recorded (envelopes without metadata.keyId).
+ *
+ * Without a keyring file, each subsystem signs with its own key derived from
+ * the runtime's signingKey (GUIDANCE_PROOF_KEY or the dev key): the HMAC of
+ * `cf-guidance:<subsystem>` under it. Processes sharing a signingKey agree on
+ * the keys without writing anything, and one subsystem's key does not sign
+ * for another. The signingKey itself is the legacy key, for whatever was
+ * signed before the keys were split. The first rotation writes the file,
+ * keeping every existing key.
+ *
+ * The keys directory holds plaintext secrets; the installer gitignores it.
+ */
+
+import { createHash, createHmac, randomBytes } from 'node:crypto';
+import { chmodSync, existsSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+import { ensureDir, readJson } from '../utils.mjs';
+
+export const KEY_SUBSYSTEMS = ['proof', 'evolution', 'authority', 'truth-anchors', 'artifacts', 'meta-governance'];
+
+export function keyringPath(rootDir) {
+  return resolve(rootDir, '.claude-flow/guidance/keys/keyring.json');
+}
+
+export function keyIdFor(secret) {
+  return createHash('sha256').update(secret).digest('hex').slice(0, 16);
+}
+
+function keyEntry(secret, createdAt) {
+  return { secret, createdAt, retiredAt: null };
+}
+
+/** The key a subsystem signs with before the keyring file exists. */
+export function derivedSubsystemKey(signingKey, name) {
+  return createHmac('sha256', signingKey).update(`cf-guidance:${name}`).digest('hex');
+}
+
+export class Keyring {
+  constructor({ path, fallbackKey }) {
+    this.path = path;
+    this.fallbackKey = fallbackKey;
+    this.reload();
+  }
+
+  reload() {
+    const data = readJson(this.path, null);
+    this.stored = Boolean(data?.subsystems);
+    this.subsystems = data?.subsystems ?? {};
+  }
+
+  subsystem(name) {
+    if (!KEY_SUBSYSTEMS.includes(name)) throw new Error(`Unknown key subsystem "${name}"`);
+    const entry = this.subsystems[name];
+    if (entry?.keys?.[entry.active]) return entry;
+    // Not in the keyring (yet): a key derived for this subsystem is active,
+    // and the fallback key itself verifies what it signed before.
+    const derived = derivedSubsystemKey(this.fallbackKey, name);
+    const activeId = keyIdFor(derived);
+    const legacyId = keyIdFor(this.fallbackKey);
+    return {
+      active: activeId,
+      legacy: legacyId,
+      keys: {
+        [activeId]: keyEntry(derived, null),
+        [legacyId]: keyEntry(this.fallbackKey, null),
+      },
+    };
+  }
+
+  /** { keyId, secret } of the key a subsystem signs with. */
+  active(name) {
+    const entry = this.subsystem(name);
+    return { keyId: entry.active, secret: entry.keys[entry.active].secret };
+  }
+
+  /**
+   * The secret for a key id, the legacy key when keyId is missing, or null
+   * for an unknown id. Another process may have rotated since this keyring
+   * was read, so an unknown id re-reads the file once.
+   */
+  secret(name, keyId) {
+    const lookup = () => {
+      const entry = this.subsystem(name);
+      return entry.keys[keyId ?? entry.legacy]?.secret ?? null;
+    };
+    const secret = lookup();
+    if (secret !== null || !existsSync(this.path)) return secret;
+    this.reload();
+    return lookup();
+  }
+
+  /** The { active(), secret(keyId) } view the proof store verifies with. */
+  keysFor(name) {
+    return {
+      active: () => this.active(name),
+      secret: (keyId) => this.secret(name, keyId),
+    };
+  }
+
+  /** Key ids and dates per subsystem, without secrets. */
+  list() {
+    return KEY_SUBSYSTEMS.map((name) => {
+      const entry = this.subsystem(name);
+      return {
+        subsystem: name,
+        active: entry.active,
+        legacy: entry.legacy,
+        keys: Object.entries(entry.keys).map(([keyId, key]) => ({
+          keyId,
+          createdAt: key.createdAt,
+          retiredAt: key.retiredAt,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Subsystem entries with a fresh active key for each of `names`, and the
+   * old ids retired. Nothing changes until `save` writes them.
+   */
+  rotated(names, { now = new Date().toISOString() } = {}) {
+    const subsystems = {};
+    const changes = [];
+    for (const name of KEY_SUBSYSTEMS) {
+      const entry = this.subsystem(name);
+      if (!names.includes(name)) {
+        subsystems[name] = entry;
+        continue;
+      }
+      const secret = randomBytes(32).toString('hex');
+      const keyId = keyIdFor(secret);
+      subsystems[name] = {
+        active: keyId,
+        legacy: entry.legacy,
+        keys: {
+          ...entry.keys,
+          [entry.active]: { ...entry.keys[entry.active], retiredAt: now },
+          [keyId]: keyEntry(secret, now),
+        },
+      };
+      changes.push({ subsystem: name, from: entry.active, to: keyId });
+    }
+    return { subsystems, changes };
+  }
+
+  save(subsystems) {
+    ensureDir(dirname(this.path));
+    const tempPath = `${this.path}.tmp`;
+    writeFileSync(tempPath, `${JSON.stringify({ version: 1, subsystems }, null, 2)}\n`, { mode: 0o600 });
+    chmodSync(tempPath, 0o600);
+    renameSync(tempPath, this.path);
+    this.reload();
+  }
+}
+
+export function loadKeyring(rootDir, { fallbackKey }) {
+  return new Keyring({ path: keyringPath(rootDir), fallbackKey });
+}
+
+/**
+ * Rotate the keys of `subsystems` (default: all). The rotation is recorded
+ * first as a KeyRotation proof envelope, signed with the outgoing proof key
+ * and naming the old and new key ids; then the new keyring is written.
+ */
+export async function rotateSigningKeys(runtime, { subsystems = KEY_SUBSYSTEMS, reason = null } = {}) {
+  for (const name of subsystems) runtime.keyring.subsystem(name);
+  await runtime.initialize();
+
+  const next = runtime.keyring.rotated(subsystems);
+  const envelope = runtime.appendProof({
+    taskId: `key-rotation-${Date.now()}`,
+    agentId: 'cf-guidance',
+    toolsUsed: ['KeyRotation'],
+    annotations: { keyRotation: next.changes },
+    details: {
+      toolParams: { KeyRotation: { subsystems, reason } },
+      toolResults: { KeyRotation: { rotated: next.changes } },
+    },
+  });
+  await runtime.persistProof();
+  runtime.keyring.save(next.subsystems);
+  return { envelopeId: envelope.envelopeId, changes: next.changes };
+}
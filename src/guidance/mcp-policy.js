@@ -0,0 +1,113 @@
+/**
+ * MCP Policy — per-server governance for MCP tool calls (`mcp__<server>__<tool>`).
+ *
+ * Read from .claude-flow/guidance/mcp-policy.json:
+ *
+ *   {
+ *     "unlisted": "allow",                 // servers without an entry: allow | ask | deny
+ *     "requireCapabilities": false,        // deny tools the agent holds no capability for
+ *     "grants": { "claude-main": ["mcp__github__get_issue"] },
+ *     "servers": {
+ *       "github": {
+ *         "allow": ["get_*", "list_*"],    // when present, every other tool is denied
+ *         "deny": ["delete_*"],
+ *         "ask": ["create_*"],
+ *         "maxCalls": 200,                 // per-server tool call budget, per session
+ *         "schemas": { "create_issue": { "requiredParams": ["title"], "paramTypes": { "title": "string" } } }
+ *       }
+ *     }
+ *   }
+ *
+ * Budgets are counted per session in session-tool-calls.json and schemas
+ * are enforced by a gateway per server (see GuidancePhase1Runtime.preToolUse);
+ * this module only decides by name.
+ */
+
+import { resolve } from 'node:path';
+
+import { safeArray, safeString, readJson } from '../utils.mjs';
+
+const SERVER_DECISIONS = new Set(['allow', 'ask', 'deny']);
+
+const MCP_TOOL_PATTERN = /^mcp__(.+?)__(.+)$/;
+
+function globToRegExp(glob) {
+  const source = safeString(glob, '').split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(patterns, tool) {
+  return patterns.some((pattern) => pattern.test(tool));
+}
+
+/** Split `mcp__server__tool`; non-MCP tools have no server. */
+export function parseMcpToolName(toolName) {
+  const name = safeString(toolName, '');
+  const match = name.match(MCP_TOOL_PATTERN);
+  return match ? { toolName: name, server: match[1], tool: match[2] } : { toolName: name, server: null, tool: name };
+}
+
+function compileSchemas(server, schemas) {
+  return Object.entries(schemas && typeof schemas === 'object' ? schemas : {}).map(([tool, schema]) => ({
+    toolName: `mcp__${server}__${tool}`,
+    requiredParams: safeArray(schema?.requiredParams),
+    optionalParams: safeArray(schema?.optionalParams),
+    paramTypes: schema?.paramTypes && typeof schema.paramTypes === 'object' ? schema.paramTypes : {},
+    maxParamSize: Number.isFinite(schema?.maxParamSize) ? schema.maxParamSize : Infinity,
+    ...(schema?.allowedValues ? { allowedValues: schema.allowedValues } : {}),
+  }));
+}
+
+function compileServer(server, config) {
+  const maxCalls = Number(config?.maxCalls);
+  return {
+    server,
+    allow: config?.allow == null ? null : safeArray(config.allow).map(globToRegExp),
+    deny: safeArray(config?.deny).map(globToRegExp),
+    ask: safeArray(config?.ask).map(globToRegExp),
+    gateway: {
+      schemas: compileSchemas(server, config?.schemas),
+      maxCalls: Number.isInteger(maxCalls) && maxCalls > 0 ? maxCalls : null,
+    },
+  };
+}
+
+/** Compile the MCP policy for a project; an absent file allows every server. */
+export function compileMcpPolicy({ rootDir }) {
+  const config = readJson(resolve(rootDir, '.claude-flow/guidance/mcp-policy.json'), {}) ?? {};
+  const unlisted = safeString(config.unlisted, 'allow').toLowerCase();
+  const servers = config.servers && typeof config.servers === 'object' ? config.servers : {};
+  const grants = config.grants && typeof config.grants === 'object' ? config.grants : {};
+
+  return {
+    unlisted: SERVER_DECISIONS.has(unlisted) ? unlisted : 'allow',
+    requireCapabilities: config.requireCapabilities === true,
+    grants: Object.fromEntries(Object.entries(grants).map(([agentId, tools]) => [agentId, safeArray(tools).map(String)])),
+    servers: new Map(Object.entries(servers).map(([server, entry]) => [server, compileServer(server, entry)])),
+  };
+}
+
+/**
+ * Decide an MCP tool by server and tool name. Deny entries win over ask,
+ * ask over allow; a server with an `allow` list denies everything else.
+ */
+export function evaluateMcpTool(policy, toolName) {
+  const { server, tool } = parseMcpToolName(toolName);
+  if (!server) return { decision: 'allow', server, tool, reason: '', gateway: null };
+
+  const entry = policy.servers.get(server);
+  if (!entry) {
+    const reason = policy.unlisted === 'allow' ? '' : `MCP server ${server} is not listed in mcp-policy.json`;
+    return { decision: policy.unlisted, server, tool, reason, gateway: null };
+  }
+  if (matchesAny(entry.deny, tool)) {
+    return { decision: 'deny', server, tool, reason: `${server} tool ${tool} is on the deny list`, gateway: entry.gateway };
+  }
+  if (matchesAny(entry.ask, tool)) {
+    return { decision: 'ask', server, tool, reason: `${server} tool ${tool} needs confirmation`, gateway: entry.gateway };
+  }
+  if (entry.allow && !matchesAny(entry.allow, tool)) {
+    return { decision: 'deny', server, tool, reason: `${server} tool ${tool} is not on the allow list`, gateway: entry.gateway };
+  }
+  return { decision: 'allow', server, tool, reason: '', gateway: entry.gateway };
+}
@@ -10,6 +10,8 @@ import { createPersistentLedger } from '@claude-flow/guidance/persistence';
 import { createToolGateway } from '@claude-flow/guidance/gateway';
 import { createNullPersistentLedger } from './observation-layer.js';
 import { createNullToolGateway } from './enforcement-layer.js';
+import { appendRolloutEvents, readActiveRollout, rolloutCohort } from './evolution-proposals.js';
+import { applyProposalToGuidance } from './golden-traces.js';
 import { HookEvent, HookExecutor, HookRegistry } from '@claude-flow/hooks';
 
 const DEFAULT_OPTIONS = {
@@ -46,6 +48,13 @@ function readOptionalFile(filePath) {
   return readFileSync(filePath, 'utf-8');
 }
 
+function bundleRules(bundle) {
+  return [
+    ...bundle.constitution.rules,
+    ...bundle.shards.map((entry) => entry.rule),
+  ];
+}
+
 export class GuidancePhase1Runtime {
   constructor(options = {}) {
     this.options = { ...DEFAULT_OPTIONS, ...options };
@@ -70,11 +79,20 @@ export class GuidancePhase1Runtime {
         })
       : createNullToolGateway();
 
+    // One gateway per MCP server, so budgets and schemas stay per server
+    this.serverGateways = new Map();
+
     this.registry = new HookRegistry();
     this.executor = new HookExecutor(this.registry);
 
     this.bundle = null;
+    this.activeBundle = null;
+    this.activeRetriever = this.retriever;
+    this.rollout = null;
+    this.activeCohort = null;
+    this.rolloutEvents = [];
     this.hookIds = [];
+    this.hookProvider = null;
     this.initialized = false;
   }
 
@@ -94,6 +112,21 @@ export class GuidancePhase1Runtime {
 
     this.bundle = this.compiler.compile(rootContent, localContent ?? undefined);
 
+    // An in-progress evolution rollout carries CLAUDE.md with its proposal
+    // applied; useRulesFor picks it, and its retriever, for hooks in the
+    // canary cohort. Rules the current CLAUDE.md does not have are tagged canary.
+    const rollout = readActiveRollout(this.options.rootDir);
+    if (rollout) {
+      const bundle = this.compiler.compile(applyProposalToGuidance(rootContent, rollout), localContent ?? undefined);
+      const currentRules = new Set(bundleRules(this.bundle).map((rule) => rule.text));
+      for (const rule of bundleRules(bundle)) {
+        if (!currentRules.has(rule.text)) rule.canary = true;
+      }
+      const retriever = createRetriever();
+      await retriever.loadBundle(bundle);
+      this.rollout = { ...rollout, bundle, retriever };
+    }
+
     // Initialize persistent ledger (loads existing events from disk)
     if (this.ledger.init) {
       await this.ledger.init();
@@ -101,19 +134,22 @@ export class GuidancePhase1Runtime {
 
     await this.retriever.loadBundle(this.bundle);
 
-    const rules = [
-      ...this.bundle.constitution.rules,
-      ...this.bundle.shards.map((entry) => entry.rule),
-    ];
-    this.gates.setActiveRules(rules);
+    this.gates.setActiveRules(bundleRules(this.bundle));
+    this.activeBundle = this.bundle;
 
+    // The hooks retrieve through whichever bundle useRulesFor selected.
+    const retriever = {
+      classifyIntent: (...args) => this.activeRetriever.classifyIntent(...args),
+      retrieve: (...args) => this.activeRetriever.retrieve(...args),
+    };
     const registration = createGuidanceHooks(
       this.gates,
-      this.retriever,
+      retriever,
       this.ledger,
       this.registry
     );
     this.hookIds = registration.hookIds;
+    this.hookProvider = registration.provider;
     this.initialized = true;
   }
 
@@ -130,8 +166,19 @@ export class GuidancePhase1Runtime {
     });
   }
 
-  async postTask({ taskId, status = 'completed', toolsUsed = [], filesTouched = [] }) {
+  async postTask({ taskId, status = 'completed', toolsUsed = [], filesTouched = [], testResults = null }) {
     this.ensureInitialized();
+    // The upstream PostTask hook finalizes the run event created at PreTask
+    // but has no way to receive test outcomes; attach them beforehand.
+    const activeRun = this.hookProvider?.activeRuns.get(taskId);
+    if (activeRun && testResults?.ran) {
+      activeRun.testResults = {
+        ran: true,
+        passed: testResults.passed ?? 0,
+        failed: testResults.failed ?? 0,
+        skipped: testResults.skipped ?? 0,
+      };
+    }
     return this.executor.execute(HookEvent.PostTask, {
       task: { id: taskId, status },
       metadata: { toolsUsed, filesTouched },
@@ -162,12 +209,50 @@ export class GuidancePhase1Runtime {
     });
   }
 
-  async preToolUse(toolName, parameters = {}) {
+  /**
+   * Gateway for one MCP server, created on first use, for schemas and the
+   * gates. The `maxCalls` budget is checked in preToolUse against a count the
+   * caller keeps across processes; a gateway lives only as long as this
+   * runtime. Idempotency caching is off: it would skip the checks.
+   */
+  getServerGateway(server, { schemas = [] } = {}) {
+    if (!this.serverGateways.has(server)) {
+      this.serverGateways.set(server, this.options.enableGateway
+        ? createToolGateway({
+            gateConfig: this.options.gateConfig,
+            schemas,
+            ...this.options.gatewayConfig,
+            maxCacheSize: 0,
+          })
+        : createNullToolGateway());
+    }
+    return this.serverGateways.get(server);
+  }
+
+  /**
+   * `callsUsed` is how many calls `server` has already had in this session
+   * (session-records getSessionToolCalls); at `serverConfig.maxCalls` the
+   * call is blocked.
+   */
+  async preToolUse(toolName, parameters = {}, { server = null, serverConfig = {}, callsUsed = 0 } = {}) {
     this.ensureInitialized();
 
+    if (server && serverConfig.maxCalls && callsUsed >= serverConfig.maxCalls) {
+      return {
+        success: false,
+        aborted: true,
+        reason: `Budget exceeded: ${server} allows ${serverConfig.maxCalls} tool calls per session`,
+        gatewayBlocked: true,
+        gate: 'budget',
+        cached: false,
+      };
+    }
+
+    const gateway = server ? this.getServerGateway(server, serverConfig) : this.gateway;
+
     // Gateway evaluation if available
-    if (this.gateway && this.options.enableGateway) {
-      const evaluation = this.gateway.evaluate(toolName, parameters, {
+    if (gateway && this.options.enableGateway) {
+      const evaluation = gateway.evaluate(toolName, parameters, {
         agentId: this.options.agentId ?? 'claude-main',
       });
       if (!evaluation.allowed) {
@@ -176,6 +261,7 @@ export class GuidancePhase1Runtime {
           aborted: true,
           reason: evaluation.reason,
           gatewayBlocked: true,
+          gate: evaluation.gate,
           cached: evaluation.cached ?? false,
         };
       }
@@ -194,6 +280,17 @@ export class GuidancePhase1Runtime {
     });
   }
 
+  /** Run the content gates (secrets) over a single edit, without the hook pipeline. */
+  scanEditContent(filePath, content) {
+    this.ensureInitialized();
+    return this.gates.evaluateEdit(filePath, content, 0);
+  }
+
+  async retrievePolicy({ taskDescription, maxShards = 5, intent } = {}) {
+    this.ensureInitialized();
+    return this.activeRetriever.retrieve({ taskDescription, maxShards, intent });
+  }
+
   extractPolicyText(hookExecutionResult) {
     return hookExecutionResult?.finalContext?.metadata?.policyText ?? null;
   }
@@ -206,6 +303,49 @@ export class GuidancePhase1Runtime {
     return this.bundle;
   }
 
+  /**
+   * Point the gates and policy retrieval at the rules in effect for a hook
+   * call: the candidate rules of an in-progress evolution rollout when the
+   * session or agent is in its canary cohort, the compiled CLAUDE.md rules
+   * otherwise. Returns the bundle in effect.
+   */
+  useRulesFor({ sessionId, agentId } = {}) {
+    this.ensureInitialized();
+    this.activeCohort = this.rollout ? rolloutCohort(this.rollout, { sessionId, agentId }) : null;
+    const canary = this.activeCohort === 'canary';
+    const bundle = canary ? this.rollout.bundle : this.bundle;
+    if (bundle !== this.activeBundle) {
+      this.gates.setActiveRules(bundleRules(bundle));
+      this.activeBundle = bundle;
+    }
+    this.activeRetriever = canary ? this.rollout.retriever : this.retriever;
+    return bundle;
+  }
+
+  /**
+   * Queue a run event for the rollout ledger, tagged with the cohort of the
+   * last useRulesFor call. No-op without an active rollout.
+   */
+  recordRolloutEvent(runEvent) {
+    if (!this.rollout || !this.activeCohort) {
+      return;
+    }
+    this.rolloutEvents.push({
+      ...runEvent,
+      cohort: this.activeCohort,
+      proposalId: this.rollout.proposalId,
+      stage: this.rollout.stage,
+    });
+  }
+
+  async flushRolloutEvents() {
+    if (this.rolloutEvents.length === 0) {
+      return;
+    }
+    const events = this.rolloutEvents.splice(0);
+    await appendRolloutEvents(this.options.rootDir, this.rollout.proposalId, events);
+  }
+
   getStatus() {
     return {
       initialized: this.initialized,
@@ -220,6 +360,15 @@ export class GuidancePhase1Runtime {
       storageStats: this.ledger.getStorageStats ? this.ledger.getStorageStats() : null,
       gatewayEnabled: Boolean(this.options.enableGateway),
       gatewayBudget: this.gateway?.getBudget ? this.gateway.getBudget() : null,
+      rollout: this.rollout
+        ? {
+            proposalId: this.rollout.proposalId,
+            stage: this.rollout.stage,
+            percentage: this.rollout.percentage,
+            cohort: this.rollout.cohort ?? { by: 'session', agents: [] },
+            canaryRules: bundleRules(this.rollout.bundle).filter((rule) => rule.canary).map((rule) => rule.text),
+          }
+        : null,
     };
   }
 
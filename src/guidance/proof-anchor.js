@@ -0,0 +1,119 @@
+/**
+ * Proof Anchor — tie the proof chain to repository history with git notes.
+ *
+ * `anchorProofTip` records the chain tip on a commit (HEAD by default) as a
+ * line in its note under refs/notes/guidance-proof:
+ *
+ *   {"version":1,"length":42,"envelopeId":"...","tipHash":"...","chainDigest":"...","keyId":"...","anchoredAt":"..."}
+ *
+ * `chainDigest` is a running sha256 over every stored line up to `length`,
+ * envelope and record, in order. Envelope content hashes do not cover the
+ * envelopes before them, so the tip hash alone would not notice an earlier
+ * envelope rewritten and its successor relinked; the digest does.
+ *
+ * Re-anchoring the same commit appends a line; an unchanged tip is not
+ * anchored twice. Once the notes are pushed, anyone with the repository can
+ * run `verifyProofAnchors`: it recomputes the digest, from the stored lines
+ * alone and without the signing keys, for every anchored length.
+ */
+
+import { spawnSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+
+import { readProofEntries } from './proof-audit.js';
+import { readProofEnvelopes } from './proof-store.js';
+import { nowIso } from '../utils.mjs';
+
+export const PROOF_NOTES_REF = 'refs/notes/guidance-proof';
+
+const GENESIS_DIGEST = '0'.repeat(64);
+
+function git(rootDir, args, input) {
+  const result = spawnSync('git', args, { cwd: rootDir, encoding: 'utf-8', input });
+  return { ok: result.status === 0, stdout: (result.stdout ?? '').trim(), stderr: (result.stderr ?? '').trim() };
+}
+
+function parseAnchors(text) {
+  return text.split('\n').flatMap((line) => {
+    try {
+      const anchor = JSON.parse(line);
+      return anchor?.version === 1 ? [anchor] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/** Running digests of stored proof lines: digests[i] covers lines [0, i]. */
+export function proofChainDigests(lines) {
+  let digest = GENESIS_DIGEST;
+  return lines.map((line) => {
+    digest = createHash('sha256').update(`${digest}\n${JSON.stringify(line)}`).digest('hex');
+    return digest;
+  });
+}
+
+/** Anchors recorded on one commit, oldest first. */
+export function readCommitAnchors(rootDir, commit) {
+  const note = git(rootDir, ['notes', `--ref=${PROOF_NOTES_REF}`, 'show', commit]);
+  return note.ok ? parseAnchors(note.stdout) : [];
+}
+
+/**
+ * Anchor the verified chain tip in `store` ({ dir, keys }) to `commit`.
+ * Returns { anchored, commit, anchor } or { anchored: false, reason }.
+ */
+export function anchorProofTip(rootDir, store, { commit = 'HEAD', now = nowIso() } = {}) {
+  const head = git(rootDir, ['rev-parse', '--verify', `${commit}^{commit}`]);
+  if (!head.ok) return { anchored: false, reason: `${commit} is not a commit in ${rootDir}` };
+
+  const entries = readProofEntries(store);
+  if (entries.length === 0) return { anchored: false, reason: 'The proof chain is empty' };
+  const tip = entries.at(-1).envelope;
+  // The lines just verified; appends since then are left for the next anchor.
+  const chainDigest = proofChainDigests(readProofEnvelopes(store.dir).slice(0, entries.length)).at(-1);
+
+  const existing = readCommitAnchors(rootDir, head.stdout);
+  if (existing.at(-1)?.chainDigest === chainDigest) {
+    return { anchored: false, commit: head.stdout, reason: 'The chain tip is already anchored on this commit' };
+  }
+
+  const anchor = {
+    version: 1,
+    length: entries.length,
+    envelopeId: tip.envelopeId,
+    tipHash: tip.contentHash,
+    chainDigest,
+    keyId: tip.metadata?.keyId ?? null,
+    anchoredAt: now,
+  };
+  const note = [...existing, anchor].map((entry) => JSON.stringify(entry)).join('\n');
+  const written = git(rootDir, ['notes', `--ref=${PROOF_NOTES_REF}`, 'add', '-f', '-F', '-', head.stdout], `${note}\n`);
+  if (!written.ok) throw new Error(`git notes failed: ${written.stderr}`);
+  return { anchored: true, commit: head.stdout, anchor };
+}
+
+/**
+ * Check every anchor in refs/notes/guidance-proof against the chain in
+ * `dir`: `missing` when the chain is shorter than the anchored length,
+ * `mismatch` when any line up to it has changed. Needs no keys. `anchors`
+ * is null outside a git repository or when nothing has been anchored.
+ */
+export function verifyProofAnchors(rootDir, dir) {
+  const listed = git(rootDir, ['notes', `--ref=${PROOF_NOTES_REF}`, 'list']);
+  if (!listed.ok || !listed.stdout) return { valid: true, anchors: null, mismatched: [] };
+
+  const digests = proofChainDigests(readProofEnvelopes(dir));
+
+  const results = listed.stdout.split('\n').flatMap((line) => {
+    const commit = line.split(' ')[1];
+    return readCommitAnchors(rootDir, commit).map((anchor) => {
+      let status = 'ok';
+      if (anchor.length > digests.length) status = 'missing';
+      else if (digests[anchor.length - 1] !== anchor.chainDigest) status = 'mismatch';
+      return { commit, length: anchor.length, tipHash: anchor.tipHash, anchoredAt: anchor.anchoredAt, status };
+    });
+  });
+  const mismatched = results.filter((result) => result.status !== 'ok');
+  return { valid: mismatched.length === 0, anchors: results.length, mismatched };
+}
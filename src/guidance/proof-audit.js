@@ -0,0 +1,155 @@
+/**
+ * Proof Audit — read-only inspection of the persisted proof chain.
+ *
+ * Reads the segments under advanced/proof-chain/ without taking the store
+ * lock, so audits run while hooks keep appending. Every envelope is
+ * verified as it is read; a half-written last line from a running hook is
+ * ignored.
+ *
+ * Entries pair an envelope with its record (run event and tool calls) where
+ * the runtime stored one. Chains migrated from proof-chain.json carry no
+ * records, so only envelope fields are available for them.
+ */
+
+import { resolve } from 'node:path';
+
+import { ProofTamperError, scanProofStore } from './proof-store.js';
+import { safeArray, safeString } from '../utils.mjs';
+
+export const PROOF_EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+const CSV_COLUMNS = [
+  'envelopeId', 'timestamp', 'agentId', 'sessionId', 'taskId', 'hook',
+  'decision', 'violations', 'target', 'contentHash', 'previousHash', 'keyId',
+];
+
+// `keys` is a keyring view (keyring.keysFor('proof')); `signingKey` alone
+// verifies a chain signed with one key.
+function scan({ dir, keys, signingKey }) {
+  return scanProofStore({ dir, keys, signingKey, withRecords: true });
+}
+
+/**
+ * Verify every envelope, hash link and segment tip. On failure, `broken`
+ * names the first segment and line that does not verify.
+ */
+export function verifyProofStore(store) {
+  try {
+    const { entries, segments } = scan(store);
+    return {
+      valid: true,
+      envelopes: entries.length,
+      segments: segments.length,
+      tip: entries.at(-1)?.envelope.contentHash ?? null,
+      broken: null,
+    };
+  } catch (error) {
+    if (!(error instanceof ProofTamperError)) throw error;
+    return {
+      valid: false,
+      envelopes: null,
+      segments: null,
+      tip: null,
+      broken: { file: error.file, line: error.line, reason: error.message },
+    };
+  }
+}
+
+/** The verified entries of a proof store; throws ProofTamperError. */
+export function readProofEntries(store) {
+  return scan(store).entries;
+}
+
+function decisionOf(event) {
+  if (!event) return null;
+  if (event.wouldBlock) return `would-${event.shadowDecision ?? 'deny'}`;
+  return event.outcomeAccepted === false ? 'deny' : 'allow';
+}
+
+// What the decision was about: the command, file, paths or hosts in the
+// first tool call, which is the hook's own.
+function targetOf(record) {
+  const params = record?.toolCalls?.[0]?.params ?? {};
+  if (params.command) return params.command;
+  if (params.filePath) return params.filePath;
+  if (safeArray(params.paths).length > 0) return params.paths.join(', ');
+  if (safeArray(params.hosts).length > 0) return params.hosts.join(', ');
+  return record?.event?.filesTouched?.[0] ?? params.toolName ?? null;
+}
+
+/** One flat row per entry, for list, search and csv export. */
+export function summarizeProofEntry({ envelope, record }) {
+  const event = record?.event ?? null;
+  return {
+    envelopeId: envelope.envelopeId,
+    timestamp: envelope.timestamp,
+    agentId: envelope.metadata?.agentId ?? null,
+    sessionId: envelope.metadata?.sessionId ?? null,
+    parentEnvelopeId: envelope.metadata?.parentEnvelopeId ?? null,
+    keyId: envelope.metadata?.keyId ?? null,
+    taskId: event?.taskId ?? null,
+    hook: event?.hookEvent ?? event?.toolsUsed?.[0] ?? null,
+    decision: decisionOf(event),
+    violations: safeArray(event?.violations).map((violation) => violation?.ruleId).filter(Boolean),
+    target: targetOf(record),
+  };
+}
+
+function touchesFile(record, file, rootDir) {
+  const wanted = resolve(rootDir, file);
+  const params = record?.toolCalls?.[0]?.params ?? {};
+  const paths = [
+    ...safeArray(record?.event?.filesTouched),
+    ...safeArray(params.paths),
+    params.filePath,
+  ].filter((path) => typeof path === 'string' && path);
+  return paths.some((path) => resolve(rootDir, path) === wanted);
+}
+
+/**
+ * Entries matching every given filter, oldest first. `since` is a timestamp
+ * in ms; `violation` matches a rule id by prefix when it ends in `*`;
+ * `command` matches a substring of the command.
+ */
+export function searchProofEntries(entries, {
+  agent, task, since, violation, file, command, rootDir = process.cwd(),
+} = {}) {
+  return entries.filter((entry) => {
+    const summary = summarizeProofEntry(entry);
+    if (agent && summary.agentId !== agent) return false;
+    if (task && summary.taskId !== task) return false;
+    if (since != null && Date.parse(summary.timestamp) < since) return false;
+    if (violation) {
+      const match = violation.endsWith('*')
+        ? (ruleId) => ruleId.startsWith(violation.slice(0, -1))
+        : (ruleId) => ruleId === violation;
+      if (!summary.violations.some(match)) return false;
+    }
+    if (file && !touchesFile(entry.record, file, rootDir)) return false;
+    if (command && !safeString(entry.record?.toolCalls?.[0]?.params?.command, '').includes(command)) return false;
+    return true;
+  });
+}
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Serialize entries as json, csv (one summary row each) or ndjson. */
+export function formatProofExport(entries, format = 'json') {
+  const full = (entry) => ({ ...entry.envelope, record: entry.record ?? undefined });
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify({ version: 1, envelopes: entries.map(full) }, null, 2)}\n`;
+    case 'ndjson':
+      return entries.map((entry) => `${JSON.stringify(full(entry))}\n`).join('');
+    case 'csv':
+      return [CSV_COLUMNS.join(','), ...entries.map((entry) => {
+        const row = { ...summarizeProofEntry(entry), contentHash: entry.envelope.contentHash, previousHash: entry.envelope.previousHash };
+        return CSV_COLUMNS.map((column) => csvCell(row[column])).join(',');
+      })].join('\n') + '\n';
+    default:
+      throw new Error(`Unknown export format "${format}"; use ${PROOF_EXPORT_FORMATS.join(', ')}`);
+  }
+}
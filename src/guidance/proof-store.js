@@ -0,0 +1,516 @@
+/**
+ * Proof Store — append-only, segmented storage for the proof chain.
+ *
+ * Envelopes are appended, one JSON line each, to
+ * advanced/proof-chain/segment-000001.ndjson, segment-000002.ndjson, ...
+ * and fsynced. A segment holds `segmentSize` envelopes. tips.json records,
+ * for every segment, its envelope count and the contentHash of its last
+ * envelope, signed with the proof key, so a truncated or deleted segment is
+ * caught even where the hash chain alone cannot tell.
+ *
+ * Loading verifies every envelope signature and hash link and every tip:
+ *
+ *   - A last line with no newline is a write cut short by a crash (a torn
+ *     tail). It is truncated away, under the store lock.
+ *   - A tip behind its segment is a crash between the two writes; the tip
+ *     is brought up to date.
+ *   - Anything else that does not verify throws ProofTamperError. The store
+ *     never starts a fresh chain over a damaged one.
+ *
+ * Envelopes name the key that signed them in metadata.keyId (see
+ * keyring.js); the store verifies each envelope, record and tip with the key
+ * of that id, so a chain stays verifiable across key rotations.
+ *
+ * A line may also carry a `record`: the run event and tool calls behind the
+ * envelope, which the envelope itself only holds hashes of. The record is
+ * signed together with the envelope id, so audits can search and show it.
+ *
+ * Writers take proof-chain/.lock. A process that finds envelopes another
+ * process appended since it loaded verifies them, then re-links and re-signs
+ * its own pending envelopes on top before writing them.
+ *
+ * proof-chain.json from earlier versions is imported on first load and
+ * renamed to proof-chain.json.migrated.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import {
+  closeSync,
+  existsSync,
+  fsyncSync,
+  openSync,
+  readdirSync,
+  readFileSync,
+  readSync,
+  renameSync,
+  statSync,
+  truncateSync,
+  unlinkSync,
+  writeFileSync,
+  writeSync,
+} from 'node:fs';
+import { resolve } from 'node:path';
+
+import { createProofChain } from '@claude-flow/guidance/proof';
+
+import { keyIdFor } from './keyring.js';
+import { ensureDir, readJson, safeArray } from '../utils.mjs';
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_SEGMENT_SIZE = 1000;
+const SEGMENT_PATTERN = /^segment-(\d{6})\.ndjson$/;
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 5000;
+
+export class ProofTamperError extends Error {
+  constructor(message, { file = null, line = null } = {}) {
+    super(message);
+    this.name = 'ProofTamperError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+export function segmentFileName(index) {
+  return `segment-${String(index).padStart(6, '0')}.ndjson`;
+}
+
+function listSegmentIndexes(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .map((file) => SEGMENT_PATTERN.exec(file))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+function signTip(signingKey, { segment, count, tipHash }) {
+  return createHmac('sha256', signingKey).update(`${segment}:${count}:${tipHash}`).digest('hex');
+}
+
+function signRecord(signingKey, envelopeId, { event, toolCalls }) {
+  return createHmac('sha256', signingKey)
+    .update(`${envelopeId}:${JSON.stringify({ event, toolCalls })}`)
+    .digest('hex');
+}
+
+// The content hash ProofChain.append computes for a run event.
+function eventContentHash(event) {
+  return createHash('sha256').update(JSON.stringify(event, Object.keys(event).sort())).digest('hex');
+}
+
+function signatureMatches(expected, signature) {
+  const actual = Buffer.from(String(signature ?? ''));
+  return actual.length === expected.length && timingSafeEqual(Buffer.from(expected), actual);
+}
+
+// ProofChain.signEnvelope is bound to the chain's key; one chain per key
+// signs for verification.
+const signers = new Map();
+
+function envelopeSignature(secret, envelope) {
+  if (!signers.has(secret)) signers.set(secret, createProofChain({ signingKey: secret }));
+  return signers.get(secret).signEnvelope(envelope);
+}
+
+/** The keys view of a single signing key, for stores without a keyring. */
+export function staticProofKeys(signingKey) {
+  const keyId = keyIdFor(signingKey);
+  return {
+    active: () => ({ keyId, secret: signingKey }),
+    secret: (id) => (id === undefined || id === keyId ? signingKey : null),
+  };
+}
+
+/**
+ * Why an envelope does not verify after `previousHash`, or null when it
+ * does. `keys.secret(keyId)` resolves the key named in its metadata.
+ */
+export function checkEnvelope(envelope, previousHash, keys) {
+  const keyId = envelope?.metadata?.keyId;
+  const secret = keys.secret(keyId);
+  if (secret === null) return `is signed with key ${keyId}, which is not in the keyring`;
+  if (!signatureMatches(envelopeSignature(secret, envelope), envelope.signature)) {
+    return 'has an invalid signature; was it signed with another GUIDANCE_PROOF_KEY?';
+  }
+  if (envelope.previousHash !== previousHash) return 'does not link to the envelope before it';
+  return null;
+}
+
+/** Index of the first envelope that does not verify, or -1. */
+export function firstBrokenEnvelope(envelopes, keys) {
+  let previousHash = GENESIS_HASH;
+  for (const [index, envelope] of envelopes.entries()) {
+    if (checkEnvelope(envelope, previousHash, keys) !== null) return index;
+    previousHash = envelope.contentHash;
+  }
+  return -1;
+}
+
+function fsyncPath(path, flags = 'r') {
+  const fd = openSync(path, flags);
+  try {
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function appendDurably(path, text) {
+  const fd = openSync(path, 'a');
+  try {
+    writeSync(fd, text);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function writeDurably(path, text) {
+  const tempPath = `${path}.tmp`;
+  writeFileSync(tempPath, text);
+  fsyncPath(tempPath, 'r+');
+  renameSync(tempPath, path);
+}
+
+function readFrom(path, offset) {
+  if (!existsSync(path)) return '';
+  const size = statSync(path).size;
+  if (size <= offset) return '';
+  const buffer = Buffer.alloc(size - offset);
+  const fd = openSync(path, 'r');
+  try {
+    readSync(fd, buffer, 0, buffer.length, offset);
+  } finally {
+    closeSync(fd);
+  }
+  return buffer.toString('utf-8');
+}
+
+/**
+ * The stored lines of a proof store (envelopes, with their `record` where
+ * one was written) in chain order, without verifying them. A torn tail is
+ * skipped.
+ */
+export function readProofEnvelopes(dir) {
+  return listSegmentIndexes(dir).flatMap((index) => readFrom(resolve(dir, segmentFileName(index)), 0)
+    .split('\n')
+    .slice(0, -1)
+    .map((line) => JSON.parse(line)));
+}
+
+/**
+ * Read, verify and (with `repair`) recover the segments of a proof store.
+ * `keys` resolves key ids (staticProofKeys(signingKey) for one key). Read-only
+ * callers pass `repair: false`; a torn tail is then left on disk and not
+ * returned, since another process may still be writing it. With
+ * `withRecords`, `entries` lists each envelope with its record and where it
+ * is stored.
+ */
+export function scanProofStore({
+  dir,
+  signingKey,
+  keys = staticProofKeys(signingKey),
+  repair = false,
+  from = null,
+  withRecords = false,
+}) {
+  const tips = new Map(safeArray(readJson(resolve(dir, 'tips.json'), {})?.segments)
+    .map((tip) => [tip.segment, tip]));
+  const indexes = listSegmentIndexes(dir);
+  const start = from ?? { segment: indexes[0] ?? 1, bytes: 0, line: 0, previousHash: GENESIS_HASH };
+
+  const envelopes = [];
+  const entries = [];
+  const segments = [];
+  const recovered = [];
+  let previousHash = start.previousHash;
+
+  indexes.forEach((index, position) => {
+    if (index !== position + 1) {
+      throw new ProofTamperError(`${segmentFileName(position + 1)} is missing from the proof store`, {
+        file: segmentFileName(position + 1),
+      });
+    }
+  });
+
+  for (const index of indexes.filter((entry) => entry >= start.segment)) {
+    const file = segmentFileName(index);
+    const path = resolve(dir, file);
+    const offset = index === start.segment ? start.bytes : 0;
+    const firstLine = index === start.segment ? start.line : 0;
+    const text = readFrom(path, offset);
+    const isLast = index === indexes.at(-1);
+
+    let complete = text;
+    if (text && !text.endsWith('\n')) {
+      if (!isLast) {
+        throw new ProofTamperError(`${file} ends in the middle of an envelope but is not the last segment`, { file });
+      }
+      complete = text.slice(0, text.lastIndexOf('\n') + 1);
+      const tornBytes = Buffer.byteLength(text) - Buffer.byteLength(complete);
+      if (repair) {
+        truncateSync(path, offset + Buffer.byteLength(complete));
+        recovered.push({ file, truncatedBytes: tornBytes });
+      }
+    }
+
+    const lines = complete.split('\n').slice(0, -1);
+    lines.forEach((line, lineIndex) => {
+      const lineNumber = firstLine + lineIndex + 1;
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch {
+        throw new ProofTamperError(`${file} line ${lineNumber} is not a proof envelope`, { file, line: lineNumber });
+      }
+      if (!parsed || typeof parsed !== 'object') {
+        throw new ProofTamperError(`${file} line ${lineNumber} is not a proof envelope`, { file, line: lineNumber });
+      }
+      const { record, ...envelope } = parsed;
+      const problem = checkEnvelope(envelope, previousHash, keys);
+      if (problem) {
+        throw new ProofTamperError(`${file} line ${lineNumber} ${problem}`, { file, line: lineNumber });
+      }
+      const secret = keys.secret(envelope.metadata?.keyId);
+      if (record && (!signatureMatches(signRecord(secret, envelope.envelopeId, record), record.signature)
+        || eventContentHash(record.event ?? {}) !== envelope.contentHash)) {
+        throw new ProofTamperError(`${file} line ${lineNumber} has a run event that does not match its envelope`, {
+          file,
+          line: lineNumber,
+        });
+      }
+      previousHash = envelope.contentHash;
+      envelopes.push(envelope);
+      if (withRecords) entries.push({ envelope, record: record ?? null, file, line: lineNumber });
+    });
+
+    const count = firstLine + lines.length;
+    const tip = tips.get(index);
+    segments.push({ index, file, count, bytes: offset + Buffer.byteLength(complete), tipHash: previousHash, tip });
+    const tipKey = tip ? keys.secret(tip.keyId) : null;
+    if (tip && (tipKey === null || !signatureMatches(signTip(tipKey, tip), tip.signature))) {
+      throw new ProofTamperError(`The tip of ${file} in tips.json has an invalid signature`, { file });
+    }
+    if (tip && (tip.count > count || (tip.count === count && tip.tipHash !== previousHash))) {
+      throw new ProofTamperError(`${file} has ${count} envelopes, but its signed tip records ${tip.count}`, { file });
+    }
+    if (!tip && !isLast && count > 0) {
+      throw new ProofTamperError(`${file} has no signed tip in tips.json`, { file });
+    }
+  }
+
+  const lastIndex = indexes.at(-1) ?? 0;
+  for (const segment of tips.keys()) {
+    if (segment > lastIndex) {
+      throw new ProofTamperError(`${segmentFileName(segment)} has a signed tip but is missing from the proof store`, {
+        file: segmentFileName(segment),
+      });
+    }
+  }
+
+  return { envelopes, entries, segments, recovered, previousHash };
+}
+
+export class ProofStore {
+  constructor({ dir, signingKey, keys = staticProofKeys(signingKey), segmentSize = DEFAULT_SEGMENT_SIZE, legacyPath = null }) {
+    this.dir = dir;
+    this.keys = keys;
+    this.segmentSize = segmentSize;
+    this.legacyPath = legacyPath;
+    this.lockPath = resolve(dir, '.lock');
+    this.tipsPath = resolve(dir, 'tips.json');
+    // Position of the end of the chain on disk, as far as this process knows.
+    this.position = { segment: 1, bytes: 0, line: 0, previousHash: GENESIS_HASH };
+    this.tips = new Map();
+    this.length = 0;
+  }
+
+  async withLock(fn) {
+    ensureDir(this.dir);
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const holder = Number(readFileSync(this.lockPath, 'utf-8').trim());
+        if (!this.isAlive(holder)) {
+          try { unlinkSync(this.lockPath); } catch { /* another process removed it */ }
+          continue;
+        }
+        if (Date.now() > deadline) throw new Error(`Proof store is locked by process ${holder}`);
+        await new Promise((done) => setTimeout(done, LOCK_RETRY_MS));
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      try { unlinkSync(this.lockPath); } catch { /* already removed */ }
+    }
+  }
+
+  isAlive(pid) {
+    if (!pid || !Number.isFinite(pid)) return false;
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /** Fold scanned segments into the known position and tips. */
+  advance(scan) {
+    for (const segment of scan.segments) {
+      this.tips.set(segment.index, segment.tip?.count === segment.count ? segment.tip : this.signedTip(segment));
+    }
+    const last = scan.segments.at(-1);
+    if (last) {
+      this.position = { segment: last.index, bytes: last.bytes, line: last.count, previousHash: scan.previousHash };
+    }
+    this.length += scan.envelopes.length;
+    return scan.segments.some((segment) => segment.tip?.count !== segment.count);
+  }
+
+  signedTip({ index, count, tipHash }) {
+    const { keyId, secret } = this.keys.active();
+    const tip = { segment: index, count, tipHash, keyId };
+    return { ...tip, signature: signTip(secret, tip) };
+  }
+
+  writeTips() {
+    writeDurably(this.tipsPath, `${JSON.stringify({
+      version: 1,
+      segments: [...this.tips.values()].sort((a, b) => a.segment - b.segment),
+    }, null, 2)}\n`);
+  }
+
+  /**
+   * Load the stored chain into `chain`, recovering a torn tail, and import
+   * a legacy proof-chain.json into an empty store. Returns what was
+   * recovered or migrated.
+   */
+  async load(chain) {
+    return this.withLock(async () => {
+      const scan = scanProofStore({ dir: this.dir, keys: this.keys, repair: true });
+      this.position = { segment: 1, bytes: 0, line: 0, previousHash: GENESIS_HASH };
+      this.tips = new Map();
+      this.length = 0;
+      if (this.advance(scan)) this.writeTips();
+      chain.import({ ...chain.export(), envelopes: scan.envelopes });
+
+      let migrated = 0;
+      if (scan.envelopes.length === 0 && this.legacyPath && existsSync(this.legacyPath)) {
+        migrated = this.migrate(chain);
+      }
+      return { length: this.length, recovered: scan.recovered, migrated };
+    });
+  }
+
+  migrate(chain) {
+    let legacy;
+    try {
+      legacy = JSON.parse(readFileSync(this.legacyPath, 'utf-8'));
+    } catch {
+      throw new ProofTamperError(`${this.legacyPath} is not a proof chain export; move it aside to start a new chain`, {
+        file: this.legacyPath,
+      });
+    }
+    const envelopes = safeArray(legacy?.envelopes);
+    const valid = envelopes.every((envelope) => envelope && typeof envelope === 'object')
+      && firstBrokenEnvelope(envelopes, this.keys) === -1;
+    if (!valid) {
+      throw new ProofTamperError(`${this.legacyPath} does not verify; move it aside to start a new chain`, {
+        file: this.legacyPath,
+      });
+    }
+    chain.import({ ...chain.export(), envelopes });
+    this.write(envelopes);
+    renameSync(this.legacyPath, `${this.legacyPath}.migrated`);
+    return envelopes.length;
+  }
+
+  /**
+   * Append envelopes that `chain.append` produced. When another process
+   * appended since this one last read the store, its envelopes are verified
+   * and imported first and `envelopes` are re-linked and re-signed on top.
+   * `records` maps envelope ids to the { event, toolCalls } to store with
+   * them.
+   */
+  async append(chain, envelopes, records = new Map()) {
+    if (envelopes.length === 0) return;
+    await this.withLock(async () => {
+      const foreign = scanProofStore({
+        dir: this.dir,
+        keys: this.keys,
+        repair: true,
+        from: this.position,
+      });
+      if (foreign.envelopes.length > 0) {
+        const pending = new Set(envelopes.map((envelope) => envelope.envelopeId));
+        const known = chain.export().envelopes.filter((envelope) => !pending.has(envelope.envelopeId));
+        let previousHash = foreign.previousHash;
+        for (const envelope of envelopes) {
+          envelope.previousHash = previousHash;
+          envelope.signature = chain.signEnvelope(envelope);
+          previousHash = envelope.contentHash;
+        }
+        chain.import({ ...chain.export(), envelopes: [...known, ...foreign.envelopes, ...envelopes] });
+      }
+      this.advance(foreign);
+      this.write(envelopes, records);
+    });
+  }
+
+  line(envelope, record) {
+    if (!record) return envelope;
+    const { event, toolCalls = [] } = record;
+    return {
+      ...envelope,
+      record: {
+        event,
+        toolCalls,
+        signature: signRecord(this.keys.secret(envelope.metadata?.keyId), envelope.envelopeId, { event, toolCalls }),
+      },
+    };
+  }
+
+  write(envelopes, records = new Map()) {
+    ensureDir(this.dir);
+    let batch = [];
+    const flush = () => {
+      if (batch.length === 0) return;
+      const path = resolve(this.dir, segmentFileName(this.position.segment));
+      const created = !existsSync(path);
+      const text = batch.map((envelope) => `${JSON.stringify(this.line(envelope, records.get(envelope.envelopeId)))}\n`).join('');
+      appendDurably(path, text);
+      if (created) fsyncPath(this.dir);
+      this.position.bytes += Buffer.byteLength(text);
+      this.tips.set(this.position.segment, this.signedTip({
+        index: this.position.segment,
+        count: this.position.line,
+        tipHash: this.position.previousHash,
+      }));
+      batch = [];
+    };
+
+    for (const envelope of envelopes) {
+      if (this.position.line >= this.segmentSize) {
+        flush();
+        this.position = { segment: this.position.segment + 1, bytes: 0, line: 0, previousHash: this.position.previousHash };
+      }
+      batch.push(envelope);
+      this.position.line += 1;
+      this.position.previousHash = envelope.contentHash;
+      this.length += 1;
+    }
+    flush();
+    this.writeTips();
+  }
+}
+
+export function createProofStore(options) {
+  return new ProofStore(options);
+}
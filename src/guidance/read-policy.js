@@ -0,0 +1,326 @@
+/**
+ * Read Policy — sensitive-path governance for Read, Grep and Glob.
+ *
+ * The policy is compiled from three sources, in priority order:
+ *
+ *   1. .claude-flow/guidance/read-policy.json  { "allow": [], "deny": [], "redact": [] }
+ *   2. CLAUDE.md rules that forbid reading paths, e.g.
+ *        - NEVER read `config/prod.yml` or `secrets/**` (critical)
+ *        - Always redact `.env.local` when reading it
+ *   3. Built-in defaults (private keys, ~/.ssh, cloud credentials, .env files)
+ *
+ * Patterns are globs. A pattern without a slash matches any path segment
+ * (`.ssh` covers everything under a .ssh directory); a pattern with a slash
+ * matches the project-relative path (any tail of the path for files outside
+ * the project), or the absolute path when it starts with `/` or `~/`.
+ * `deny` refuses the read; `redact` refuses the raw read and hands back a
+ * copy with every value masked. A search (Grep, Glob) over a directory with
+ * restricted files beneath it is an `ask`.
+ */
+
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { isAbsolute, relative, resolve, sep } from 'node:path';
+
+import { safeArray, safeString, readJson } from '../utils.mjs';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DEFAULT_ALLOW = ['.env.example', '.env.sample', '.env.template', '*.pub'];
+
+const DEFAULT_DENY = [
+  '.ssh',
+  '.gnupg',
+  'id_rsa*',
+  'id_dsa*',
+  'id_ecdsa*',
+  'id_ed25519*',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  '*.keystore',
+  '.aws/credentials',
+  '.netrc',
+  '.pgpass',
+  '.git-credentials',
+];
+
+const DEFAULT_REDACT = ['.env', '.env.*', '.npmrc', '.pypirc', '*.tfvars'];
+
+// A read or redact verb followed directly by the paths it governs:
+// "never read `a` or `b`", "do not open files under `c/`", "redact `d`".
+const READ_DIRECTIVE = /\b(?:never|do not|don't|must not)\s+(?:\w+ly\s+)?(?:read|open|view|cat|grep|search)\s+(.+)$/i;
+const REDACT_DIRECTIVE = /\b(?:redact|mask)\s+(.+)$/i;
+// Words allowed between the verb and its first path, and between paths.
+const OBJECT_FILLERS = new Set(['the', 'any', 'file', 'files', 'anything', 'contents', 'of', 'in', 'under', 'inside', 'from']);
+const PATH_CONNECTORS = new Set(['or', 'and', 'nor']);
+
+// A search root is walked breadth first for restricted entries, up to this
+// many directory entries; .git and node_modules are not entered.
+const MAX_SEARCH_ENTRIES = 5000;
+const UNSEARCHED_DIRS = new Set(['.git', 'node_modules']);
+const MAX_LISTED_MATCHES = 5;
+
+const MAX_REDACTED_BYTES = 64 * 1024;
+const MAX_REDACTED_LINES = 200;
+
+// ============================================================================
+// Glob matching
+// ============================================================================
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` spans any number of directories, a trailing `**` anything.
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function toPosix(path) {
+  return path.split(sep).join('/');
+}
+
+function compilePattern(pattern, decision, source) {
+  const glob = safeString(pattern, '').trim().replace(/\/+$/, '');
+  if (!glob) return null;
+  const anchored = glob.startsWith('/') || glob.startsWith('~/');
+  const expanded = glob.startsWith('~/') ? `${toPosix(homedir())}${glob.slice(1)}` : glob;
+  return {
+    pattern: glob,
+    decision,
+    source,
+    ruleId: null,
+    anchored,
+    bySegment: !glob.includes('/'),
+    regex: globToRegExp(expanded),
+  };
+}
+
+/** The path itself or any directory above it matches. */
+function matchesPath(entry, path) {
+  const parts = path.split('/');
+  for (let end = parts.length; end > 0; end--) {
+    if (entry.regex.test(parts.slice(0, end).join('/'))) return true;
+  }
+  return false;
+}
+
+function matchesEntry(entry, target) {
+  if (entry.bySegment) {
+    return target.segments.some((segment) => entry.regex.test(segment));
+  }
+  if (entry.anchored) return matchesPath(entry, target.absolute);
+  if (target.relative != null) return matchesPath(entry, target.relative);
+  // Outside the project a relative pattern (`.aws/credentials`) may sit at any depth.
+  return target.segments.some((_, start) => matchesPath(entry, target.segments.slice(start).join('/')));
+}
+
+function describeTarget(rootDir, path) {
+  const absolute = toPosix(resolve(rootDir, path.startsWith('~/') ? resolve(homedir(), path.slice(2)) : path));
+  const rel = toPosix(relative(rootDir, absolute));
+  const inside = rel && !rel.startsWith('..') && !isAbsolute(rel);
+  return {
+    path,
+    absolute,
+    relative: inside ? rel : null,
+    segments: (inside ? rel : absolute).split('/').filter(Boolean),
+  };
+}
+
+// ============================================================================
+// Compilation
+// ============================================================================
+
+function pathToken(word) {
+  const bare = word.replace(/^["'(]+|["'),;:.]+$/g, '');
+  const quoted = bare.match(/^`([^`]+)`$/);
+  if (quoted) return quoted[1].trim();
+  return /^(~\/|\.{0,2}\/|\.[\w-])|\*/.test(bare) ? bare : null;
+}
+
+/** The paths that open `text`, past filler words and between connectors. */
+function governedPaths(text) {
+  const paths = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const path = pathToken(word);
+    const bare = word.replace(/[,;:]+$/, '').toLowerCase();
+    if (path) paths.push(path);
+    else if (paths.length === 0 ? !OBJECT_FILLERS.has(bare) : !PATH_CONNECTORS.has(bare)) break;
+  }
+  return paths;
+}
+
+/**
+ * Pull read restrictions out of compiled CLAUDE.md rules: a prohibition on
+ * reading (or an instruction to redact) whose verb governs one or more
+ * paths. "Never print debug output from `src/server.js`" restricts nothing.
+ */
+export function extractReadRules(rules) {
+  const entries = [];
+  for (const rule of safeArray(rules)) {
+    const text = safeString(rule?.text, '');
+    const redact = text.match(REDACT_DIRECTIVE);
+    const read = redact ? null : text.match(READ_DIRECTIVE);
+    if (!redact && !read) continue;
+    for (const token of governedPaths((redact ?? read)[1])) {
+      const entry = compilePattern(token, redact ? 'redact' : 'deny', 'claude-md');
+      if (entry) entries.push({ ...entry, ruleId: rule.id ?? null });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Compile the sensitive-path policy for a project from its guidance bundle
+ * and optional read-policy.json.
+ */
+export function compileReadPolicy({ rootDir, bundle }) {
+  const config = readJson(resolve(rootDir, '.claude-flow/guidance/read-policy.json'), {}) ?? {};
+  const fromConfig = (key) => safeArray(config[key]).map((pattern) => compilePattern(pattern, key, 'config'));
+  const fromDefaults = (patterns, decision) => patterns.map((pattern) => compilePattern(pattern, decision, 'default'));
+  const rules = [
+    ...safeArray(bundle?.constitution?.rules),
+    ...safeArray(bundle?.shards).map((shard) => shard.rule),
+  ];
+
+  return {
+    rootDir: resolve(rootDir),
+    allow: [...fromConfig('allow'), ...fromDefaults(DEFAULT_ALLOW, 'allow')].filter(Boolean),
+    restricted: [
+      ...fromConfig('deny'),
+      ...fromConfig('redact'),
+      ...extractReadRules(rules),
+      ...fromDefaults(DEFAULT_DENY, 'deny'),
+      ...fromDefaults(DEFAULT_REDACT, 'redact'),
+    ].filter(Boolean),
+  };
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+function restrictionFor(policy, target) {
+  if (policy.allow.some((entry) => matchesEntry(entry, target))) return null;
+  return policy.restricted.find((entry) => matchesEntry(entry, target)) ?? null;
+}
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Restricted entries beneath a directory, with the restriction that caught
+ * the first, in breadth-first order. A restricted directory is not entered.
+ */
+function findRestrictedBeneath(policy, directory) {
+  const found = [];
+  let first = null;
+  const queue = [directory];
+  let seen = 0;
+  while (queue.length > 0 && seen < MAX_SEARCH_ENTRIES && found.length < MAX_LISTED_MATCHES) {
+    const current = queue.shift();
+    let children;
+    try {
+      children = readdirSync(current, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const child of children) {
+      if (++seen > MAX_SEARCH_ENTRIES || found.length >= MAX_LISTED_MATCHES) break;
+      const absolute = resolve(current, child.name);
+      const target = describeTarget(policy.rootDir, absolute);
+      const match = restrictionFor(policy, target);
+      if (match) {
+        found.push(target.relative ?? target.absolute);
+        first ??= match;
+      } else if (child.isDirectory() && !UNSEARCHED_DIRS.has(child.name)) {
+        queue.push(absolute);
+      }
+    }
+  }
+  return { found, match: first };
+}
+
+/**
+ * Decide whether any of `paths` may be read. The first restricted target
+ * wins; an allow entry exempts a target from every restriction. With
+ * `search`, a directory is also checked for restricted entries beneath it,
+ * which the search would read too: finding one makes the decision `ask`,
+ * with the entries in `covers`.
+ */
+export function evaluateReadAccess(policy, paths, { search = false } = {}) {
+  const targets = safeArray(paths).filter(Boolean);
+  for (const path of targets) {
+    const target = describeTarget(policy.rootDir, path);
+    const match = restrictionFor(policy, target);
+    if (match) {
+      return {
+        decision: match.decision,
+        target: path,
+        absolutePath: target.absolute,
+        pattern: match.pattern,
+        source: match.source,
+        ruleId: match.ruleId,
+      };
+    }
+  }
+  for (const path of search ? targets : []) {
+    const target = describeTarget(policy.rootDir, path);
+    if (!isDirectory(target.absolute)) continue;
+    const { found, match } = findRestrictedBeneath(policy, target.absolute);
+    if (match) {
+      return {
+        decision: 'ask',
+        target: path,
+        absolutePath: target.absolute,
+        pattern: match.pattern,
+        source: match.source,
+        ruleId: match.ruleId,
+        covers: found,
+      };
+    }
+  }
+  return { decision: 'allow', target: targets[0] ?? null };
+}
+
+/**
+ * Mask the values of `KEY=value`, `key: value` and `"key": "value"` lines,
+ * keeping keys and structure so the agent can still see what is configured.
+ * Returns null when the file cannot be read.
+ */
+export function redactFileContent(absolutePath) {
+  let text;
+  try {
+    if (!statSync(absolutePath).isFile()) return null;
+    text = readFileSync(absolutePath, 'utf-8').slice(0, MAX_REDACTED_BYTES);
+  } catch {
+    return null;
+  }
+  const lines = text.split('\n').slice(0, MAX_REDACTED_LINES).map((line) => {
+    if (/^\s*(#|\/\/|;)/.test(line) || !/\w/.test(line)) return line;
+    if (/^\s*["']?[\w.-]+["']?\s*:\s*$/.test(line)) return line;
+    const assignment = line.match(/^(\s*(?:export\s+)?["']?[\w.-]+["']?\s*[:=]\s*)(.+)$/);
+    if (assignment) return `${assignment[1]}[REDACTED]`;
+    return '[REDACTED]';
+  });
+  return lines.join('\n');
+}
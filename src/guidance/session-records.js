@@ -0,0 +1,270 @@
+/**
+ * Session Records — per-session state shared by the hook event handlers.
+ *
+ * Each file under the runtime data dir is a map of sessionId -> record with
+ * an `updatedAt` timestamp; only the most recently updated sessions are kept.
+ *
+ *   session-violations.json  violations raised by pre-* gates, until resolved
+ *   session-activity.json    step count, last edit / last test run and its results
+ *   session-failures.json    tool failures, for repeated-failure detection
+ *   session-tool-calls.json  MCP tool calls per server, for the maxCalls budget
+ *   prompt-context.json      shard ids already injected on UserPromptSubmit
+ */
+
+import { createHash } from 'node:crypto';
+import { resolve } from 'node:path';
+
+import { safeArray, safeString, readJson, writeJson } from '../utils.mjs';
+import { parseShellCommand } from './shell-parser.js';
+
+const MAX_SESSION_RECORDS = 50;
+const MAX_VIOLATIONS_PER_SESSION = 200;
+const MAX_EDITED_FILES_PER_SESSION = 200;
+const MAX_FAILURES_PER_SESSION = 100;
+
+// Identical failures further apart than this are not counted as a retry loop.
+const FAILURE_REPEAT_WINDOW_MS = 15 * 60 * 1000;
+
+const UNRESOLVED_SEVERITIES = new Set(['critical', 'high']);
+
+// Edits to these files do not require a test run before the agent stops.
+const NON_CODE_EXTENSIONS = /\.(md|mdx|txt|rst|adoc)$/i;
+
+// Matched against each simple command the line runs, from its command name
+// on, so `cat jest.config.js` or `grep pytest` is not a test run.
+const TEST_COMMAND_PATTERN = new RegExp(String.raw`^(?:${[
+  String.raw`(npm|pnpm|yarn|bun)\s+(run\s+)?test`,
+  String.raw`((npx|pnpx|bunx)\s+(-[\w-]+\s+)*)?(vitest|jest|mocha|ava|tap|pytest|nox|tox)`,
+  String.raw`node\s+(--[\w-]+\s+)*--test`,
+  String.raw`python3?\s+-m\s+(pytest|unittest)`,
+  String.raw`(go|cargo|dotnet|mix|deno)\s+test`,
+  String.raw`make\s+(test|check)`,
+].join('|')})(\s|$)`);
+
+export function sessionRecordPath(runtime, fileName) {
+  return resolve(runtime.dataDir, fileName);
+}
+
+export function readSessionRecords(path) {
+  const state = readJson(path, {});
+  return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+}
+
+export function writeSessionRecords(path, state) {
+  const sessions = Object.entries(state)
+    .sort(([, a], [, b]) => (b?.updatedAt ?? 0) - (a?.updatedAt ?? 0))
+    .slice(0, MAX_SESSION_RECORDS);
+  writeJson(path, Object.fromEntries(sessions));
+}
+
+export function readSessionRecord(runtime, fileName, sessionId) {
+  return readSessionRecords(sessionRecordPath(runtime, fileName))[sessionId] ?? null;
+}
+
+/**
+ * Append violations to the session record. Violations of a blocked action
+ * count as auto-corrected: the action never happened. `filePath` ties the
+ * violations of an edit to its file, so a later clean edit resolves them.
+ */
+export function recordSessionViolations(runtime, sessionId, eventName, violations, { blocked = false, filePath = null } = {}) {
+  if (violations.length === 0) return;
+  const path = sessionRecordPath(runtime, 'session-violations.json');
+  const state = readSessionRecords(path);
+  const recorded = violations.map((violation) => ({
+    ruleId: violation.ruleId,
+    description: violation.description,
+    severity: violation.severity,
+    autoCorrected: Boolean(violation.autoCorrected) || blocked,
+    event: eventName,
+    ...(filePath ? { filePath } : {}),
+    timestamp: Date.now(),
+  }));
+  state[sessionId] = {
+    violations: [...safeArray(state[sessionId]?.violations), ...recorded].slice(-MAX_VIOLATIONS_PER_SESSION),
+    updatedAt: Date.now(),
+  };
+  writeSessionRecords(path, state);
+}
+
+function isUnresolved(violation) {
+  return !violation.autoCorrected && !violation.resolvedAt && UNRESOLVED_SEVERITIES.has(violation.severity);
+}
+
+export function isUnresolvedSeverity(severity) {
+  return UNRESOLVED_SEVERITIES.has(severity);
+}
+
+export function getUnresolvedViolations(runtime, sessionId) {
+  const record = readSessionRecord(runtime, 'session-violations.json', sessionId);
+  return safeArray(record?.violations).filter(isUnresolved);
+}
+
+/**
+ * Mark the unresolved violations on `filePath` as resolved, after a later
+ * edit of it passed the gates. Returns how many were resolved.
+ */
+export function resolveSessionViolations(runtime, sessionId, { filePath, resolvedBy }) {
+  const path = sessionRecordPath(runtime, 'session-violations.json');
+  const state = readSessionRecords(path);
+  const now = Date.now();
+  let resolved = 0;
+  const violations = safeArray(state[sessionId]?.violations).map((violation) => {
+    if (!isUnresolved(violation) || violation.filePath !== filePath) return violation;
+    resolved += 1;
+    return { ...violation, resolvedAt: now, resolvedBy };
+  });
+  if (resolved === 0) return 0;
+  state[sessionId] = { violations, updatedAt: now };
+  writeSessionRecords(path, state);
+  return resolved;
+}
+
+export function isTestCommand(command) {
+  return parseShellCommand(safeString(command, ''))
+    .some((segment) => TEST_COMMAND_PATTERN.test([segment.name, ...segment.args].join(' ')));
+}
+
+function updateSessionActivity(runtime, sessionId, update) {
+  const path = sessionRecordPath(runtime, 'session-activity.json');
+  const state = readSessionRecords(path);
+  const record = state[sessionId] ?? { editedFiles: [] };
+  state[sessionId] = { ...update(record), updatedAt: Date.now() };
+  writeSessionRecords(path, state);
+}
+
+export function recordSessionStep(runtime, sessionId) {
+  updateSessionActivity(runtime, sessionId, (record) => ({
+    ...record,
+    steps: (record.steps ?? 0) + 1,
+  }));
+}
+
+export function recordSessionEdit(runtime, sessionId, filePath) {
+  if (!filePath || NON_CODE_EXTENSIONS.test(filePath)) return;
+  updateSessionActivity(runtime, sessionId, (record) => ({
+    ...record,
+    lastEditAt: Date.now(),
+    editedFiles: [...new Set([...safeArray(record.editedFiles), filePath])].slice(-MAX_EDITED_FILES_PER_SESSION),
+  }));
+}
+
+/**
+ * Record a test command that has finished (post-command), with the results
+ * parsed from its output and exit status.
+ */
+export function recordSessionTestRun(runtime, sessionId, command, testResults = null) {
+  updateSessionActivity(runtime, sessionId, (record) => ({
+    ...record,
+    lastTestAt: Date.now(),
+    lastTestCommand: command,
+    ...(testResults ? { lastTestResults: { ...testResults, recordedAt: Date.now() } } : {}),
+  }));
+}
+
+/** Results of the last test run in this session recorded at or after `since`. */
+export function getSessionTestResults(runtime, sessionId, since = 0) {
+  const results = readSessionRecord(runtime, 'session-activity.json', sessionId)?.lastTestResults;
+  if (!results?.ran || (results.recordedAt ?? 0) < since) return null;
+  return results;
+}
+
+/** True when code was edited in this session after the last test run. */
+export function testsPendingAfterEdits(runtime, sessionId) {
+  const record = readSessionRecord(runtime, 'session-activity.json', sessionId);
+  if (!record?.lastEditAt) return false;
+  return !record.lastTestAt || record.lastTestAt < record.lastEditAt;
+}
+
+/**
+ * Stable fingerprint of a failure: tool, target and error text with
+ * volatile parts (numbers, hex ids, whitespace) normalised away.
+ */
+export function failureSignature(toolName, target, error) {
+  const normalize = (value) => safeString(value, '')
+    .replace(/0x[0-9a-f]+|\b[0-9a-f]{8,}\b/gi, '#')
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 500);
+  return createHash('sha256')
+    .update([toolName, target, error].map(normalize).join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Record a tool failure and report how often the same failure recurred.
+ * `reworkCount` is the number of retries of an already-failed call.
+ */
+export function recordSessionFailure(runtime, sessionId, { signature, toolName }) {
+  const path = sessionRecordPath(runtime, 'session-failures.json');
+  const state = readSessionRecords(path);
+  const now = Date.now();
+  const failures = [...safeArray(state[sessionId]?.failures), { signature, toolName, timestamp: now }]
+    .slice(-MAX_FAILURES_PER_SESSION);
+  state[sessionId] = { failures, updatedAt: now };
+  writeSessionRecords(path, state);
+
+  const repeatCount = failures.filter(
+    (failure) => failure.signature === signature && now - failure.timestamp <= FAILURE_REPEAT_WINDOW_MS
+  ).length;
+  const seen = new Set();
+  let reworkCount = 0;
+  for (const failure of failures) {
+    if (seen.has(failure.signature)) reworkCount += 1;
+    seen.add(failure.signature);
+  }
+  return { failureCount: failures.length, repeatCount, reworkCount };
+}
+
+/** MCP tool calls made through `server` in this session. */
+export function getSessionToolCalls(runtime, sessionId, server) {
+  return readSessionRecord(runtime, 'session-tool-calls.json', sessionId)?.servers?.[server] ?? 0;
+}
+
+/** Count an allowed MCP tool call against its server; returns the new count. */
+export function recordSessionToolCall(runtime, sessionId, server) {
+  const path = sessionRecordPath(runtime, 'session-tool-calls.json');
+  const state = readSessionRecords(path);
+  const servers = { ...state[sessionId]?.servers };
+  servers[server] = (servers[server] ?? 0) + 1;
+  state[sessionId] = { servers, updatedAt: Date.now() };
+  writeSessionRecords(path, state);
+  return servers[server];
+}
+
+/**
+ * Summarise the most recently active session other than `currentSessionId`:
+ * violations raised, how many of them were blocked, and what was edited.
+ */
+export function getLastSessionSummary(runtime, currentSessionId) {
+  const violationRecords = readSessionRecords(sessionRecordPath(runtime, 'session-violations.json'));
+  const activityRecords = readSessionRecords(sessionRecordPath(runtime, 'session-activity.json'));
+  const candidates = new Map();
+  for (const records of [violationRecords, activityRecords]) {
+    for (const [sessionId, record] of Object.entries(records)) {
+      if (sessionId === currentSessionId) continue;
+      candidates.set(sessionId, Math.max(candidates.get(sessionId) ?? 0, record?.updatedAt ?? 0));
+    }
+  }
+  const [lastSessionId, updatedAt] = [...candidates].sort(([, a], [, b]) => b - a)[0] ?? [];
+  if (!lastSessionId) return null;
+
+  const violations = safeArray(violationRecords[lastSessionId]?.violations);
+  const activity = activityRecords[lastSessionId] ?? {};
+  const counts = new Map();
+  for (const violation of violations) {
+    counts.set(violation.ruleId, (counts.get(violation.ruleId) ?? 0) + 1);
+  }
+  return {
+    sessionId: lastSessionId,
+    updatedAt,
+    violationCount: violations.length,
+    blockedCount: violations.filter((violation) => violation.autoCorrected).length,
+    unresolvedCount: violations.filter(isUnresolved).length,
+    topRuleIds: [...counts].sort(([, a], [, b]) => b - a).slice(0, 3).map(([ruleId]) => ruleId),
+    steps: activity.steps ?? 0,
+    editedFileCount: safeArray(activity.editedFiles).length,
+    testsPending: Boolean(activity.lastEditAt) && (!activity.lastTestAt || activity.lastTestAt < activity.lastEditAt),
+  };
+}
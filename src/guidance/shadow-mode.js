@@ -0,0 +1,122 @@
+/**
+ * Shadow Mode — evaluate guidance without enforcing it.
+ *
+ * Configured in .claude-flow/guidance/shadow-mode.json:
+ *
+ *   { "enabled": false, "rules": ["threat-*", "pre-command-blocked", "description:config/prod.yml"] }
+ *
+ * `enabled` (or GUIDANCE_SHADOW_MODE=1) shadows every decision. Otherwise a
+ * decision is shadowed when every rule behind it is listed in `rules`. The
+ * rules behind a decision are the rule ids of its violations (warnings
+ * aside): `threat-<category>`, `authority-blocked`, `shell-structure`,
+ * `pre-edit-<gate>`, `egress-*`, read-policy rule ids, and `<event>-blocked`
+ * for a block by the gates. An entry matches a rule id exactly, or by prefix
+ * when it ends in `*`; `description:<text>` matches a violation whose
+ * description contains the text.
+ *
+ * runEvent still computes and records the decision. A shadowed block or ask
+ * adds a would-block entry to the proof chain and the ledger, and the hook
+ * response allows the call. A shadowed block requests no approval and adds
+ * no blocked violations to the session record.
+ */
+
+import { resolve } from 'node:path';
+
+import { createPersistentLedger } from '@claude-flow/guidance/persistence';
+
+import { readJson, safeArray, safeString } from '../utils.mjs';
+
+export function shadowModePath(rootDir) {
+  return resolve(rootDir, '.claude-flow/guidance/shadow-mode.json');
+}
+
+export function loadShadowMode({ rootDir, env = process.env }) {
+  const config = readJson(shadowModePath(rootDir), {}) ?? {};
+  return {
+    enabled: config.enabled === true || ['1', 'true'].includes(safeString(env.GUIDANCE_SHADOW_MODE, '').toLowerCase()),
+    rules: safeArray(config.rules).map((rule) => safeString(rule, '').trim()).filter(Boolean),
+  };
+}
+
+function isWarning(violation) {
+  return /-warning-\d+$/.test(safeString(violation?.ruleId, ''));
+}
+
+/** The rule ids behind a decision, from the violations recorded with it. */
+export function decisionRules(violations) {
+  return [...new Set(safeArray(violations)
+    .filter((violation) => violation?.ruleId && !isWarning(violation))
+    .map((violation) => violation.ruleId))];
+}
+
+const DESCRIPTION_PREFIX = 'description:';
+
+function entryMatches(entry, violation) {
+  if (entry.startsWith(DESCRIPTION_PREFIX)) {
+    const text = entry.slice(DESCRIPTION_PREFIX.length).trim();
+    return text.length > 0 && safeString(violation.description, '').includes(text);
+  }
+  const ruleId = safeString(violation.ruleId, '');
+  if (entry.endsWith('*')) return ruleId.startsWith(entry.slice(0, -1));
+  return ruleId === entry;
+}
+
+/**
+ * 'global' or 'rule' when shadow mode covers a decision with these
+ * violations, null when the decision is enforced.
+ */
+export function shadowCoverage(policy, violations) {
+  if (policy.enabled) return 'global';
+  const relevant = safeArray(violations).filter((violation) => violation?.ruleId && !isWarning(violation));
+  if (relevant.length === 0 || policy.rules.length === 0) return null;
+  return relevant.every((violation) => policy.rules.some((entry) => entryMatches(entry, violation)))
+    ? 'rule'
+    : null;
+}
+
+/**
+ * Would-block counts per rule from ledger events in [since, until], most
+ * frequent first.
+ */
+export function summarizeWouldBlock(events, { since = 0, until = Date.now() } = {}) {
+  const shadowed = safeArray(events).filter((event) => event?.wouldBlock
+    && event.timestamp >= since && event.timestamp <= until);
+
+  const rules = new Map();
+  for (const event of shadowed) {
+    // A decision with no violations (an unlisted domain, say) counts under
+    // its event, e.g. `pre-fetch-ask`.
+    const eventRules = safeArray(event.shadowRules);
+    for (const rule of eventRules.length > 0 ? eventRules : [`${event.hookEvent}-${event.shadowDecision}`]) {
+      const entry = rules.get(rule) ?? { rule, wouldBlock: 0, wouldAsk: 0, events: {}, lastAt: 0, lastDescription: null };
+      if (event.shadowDecision === 'ask') entry.wouldAsk += 1;
+      else entry.wouldBlock += 1;
+      entry.events[event.hookEvent] = (entry.events[event.hookEvent] ?? 0) + 1;
+      if (event.timestamp >= entry.lastAt) {
+        entry.lastAt = event.timestamp;
+        entry.lastDescription = safeArray(event.violations).find((item) => item?.ruleId === rule)?.description ?? null;
+      }
+      rules.set(rule, entry);
+    }
+  }
+
+  return {
+    since: new Date(since).toISOString(),
+    until: new Date(until).toISOString(),
+    wouldBlock: shadowed.filter((event) => event.shadowDecision !== 'ask').length,
+    wouldAsk: shadowed.filter((event) => event.shadowDecision === 'ask').length,
+    rules: [...rules.values()]
+      .sort((a, b) => (b.wouldBlock + b.wouldAsk) - (a.wouldBlock + a.wouldAsk) || a.rule.localeCompare(b.rule))
+      .map((entry) => ({ ...entry, lastAt: new Date(entry.lastAt).toISOString() })),
+  };
+}
+
+/** summarizeWouldBlock over the project's persistent ledger. */
+export async function buildShadowReport(rootDir, { since = 0, until = Date.now(), env = process.env } = {}) {
+  const ledger = createPersistentLedger({ storagePath: resolve(rootDir, '.claude-flow/guidance') });
+  await ledger.load();
+  return {
+    shadowMode: loadShadowMode({ rootDir, env }),
+    ...summarizeWouldBlock(ledger.getEvents(), { since, until }),
+  };
+}
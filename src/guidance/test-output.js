@@ -0,0 +1,97 @@
+/**
+ * Test Output — recognise the summary lines common test runners print and
+ * turn them into the ledger's `testResults` shape.
+ *
+ *   vitest     Tests  2 failed | 40 passed | 1 skipped (43)
+ *   jest       Tests:       2 failed, 1 skipped, 40 passed, 43 total
+ *   mocha      40 passing (1s) / 2 failing / 1 pending
+ *   node:test  # pass 40 / # fail 2 / # skipped 1   (or ℹ pass 40 ...)
+ *   pytest     ==== 2 failed, 40 passed, 1 skipped in 0.52s ====
+ */
+
+import { safeString } from '../utils.mjs';
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g;
+
+const PASSED_WORDS = new Set(['passed', 'passing', 'pass']);
+const FAILED_WORDS = new Set(['failed', 'failing', 'fail', 'error', 'errors']);
+const SKIPPED_WORDS = new Set(['skipped', 'skip', 'pending', 'todo', 'xfailed', 'deselected']);
+
+function countsFromPairs(pairs) {
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  for (const [count, word] of pairs) {
+    const value = Number(count);
+    const label = word.toLowerCase();
+    if (PASSED_WORDS.has(label)) counts.passed += value;
+    else if (FAILED_WORDS.has(label)) counts.failed += value;
+    else if (SKIPPED_WORDS.has(label)) counts.skipped += value;
+  }
+  return counts;
+}
+
+function countWordPairs(text) {
+  return [...text.matchAll(/(\d+)\s+([a-z]+)/gi)].map((match) => [match[1], match[2]]);
+}
+
+const RUNNERS = [
+  {
+    runner: 'vitest',
+    parse(text) {
+      const line = text.match(/^\s*Tests\s{2,}(.+\(\d+\))\s*$/m);
+      return line ? countsFromPairs(countWordPairs(line[1])) : null;
+    },
+  },
+  {
+    runner: 'jest',
+    parse(text) {
+      const line = text.match(/^\s*Tests:\s+(.+total)\s*$/m);
+      return line ? countsFromPairs(countWordPairs(line[1])) : null;
+    },
+  },
+  {
+    runner: 'mocha',
+    parse(text) {
+      const pairs = [...text.matchAll(/^\s*(\d+)\s+(passing|failing|pending)\b/gm)]
+        .map((match) => [match[1], match[2]]);
+      return pairs.some(([, word]) => word === 'passing') ? countsFromPairs(pairs) : null;
+    },
+  },
+  {
+    runner: 'node:test',
+    parse(text) {
+      const pairs = [...text.matchAll(/^\s*(?:#|ℹ)\s+(pass|fail|skipped|todo)\s+(\d+)\s*$/gm)]
+        .map((match) => [match[2], match[1]]);
+      return pairs.some(([, word]) => word === 'pass') ? countsFromPairs(pairs) : null;
+    },
+  },
+  {
+    runner: 'pytest',
+    parse(text) {
+      const line = text.match(/^[=\s]*((?:\d+ \w+(?:, )?)+) in [\d.]+s\b/m);
+      return line ? countsFromPairs(countWordPairs(line[1])) : null;
+    },
+  },
+];
+
+/** Parse test runner output. Returns `null` when no known summary is found. */
+export function parseTestOutput(output) {
+  const text = safeString(output, '').replace(ANSI_PATTERN, '');
+  if (!text.trim()) return null;
+  for (const { runner, parse } of RUNNERS) {
+    const counts = parse(text);
+    if (counts) return { ran: true, runner, ...counts };
+  }
+  return null;
+}
+
+/**
+ * Build `testResults` for a finished test command. Without a recognisable
+ * summary the exit code decides: a non-zero exit counts as one failure.
+ * Returns `null` when there is neither, since nothing shows the tests ran.
+ */
+export function testResultsFromCommand({ output, exitCode }) {
+  const parsed = parseTestOutput(output);
+  if (parsed) return parsed;
+  if (!Number.isInteger(exitCode)) return null;
+  return { ran: true, runner: 'unknown', passed: 0, failed: exitCode !== 0 ? 1 : 0, skipped: 0 };
+}
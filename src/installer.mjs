@@ -386,6 +386,11 @@ export async function installIntoRepo({
     ].join('\n')
   );
   ensureGitIgnoreLine(target, 'CLAUDE.local.md');
+  // The keyring holds plaintext signing secrets.
+  ensureGitIgnoreLine(target, '.claude-flow/guidance/keys/');
+  // The guidance daemon's socket and the file advertising it are per machine.
+  ensureGitIgnoreLine(target, '.claude-flow/guidance/daemon.json');
+  ensureGitIgnoreLine(target, '.claude-flow/guidance/daemon.sock');
 
   const summary = {
     target,
@@ -44,6 +44,20 @@ export function writeJson(filePath, value) {
   writeFileSync(filePath, JSON.stringify(value, null, 2));
 }
 
+const DURATION_UNITS_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Epoch ms for a `--since` value: a duration back from `now` (`30m`, `24h`,
+ * `7d`, `2w`) or a date. Null when the value is neither.
+ */
+export function sinceTimestamp(value, now = Date.now()) {
+  const text = safeString(value, '').trim();
+  const duration = /^(\d+)([mhdw])$/.exec(text);
+  if (duration) return now - Number(duration[1]) * DURATION_UNITS_MS[duration[2]];
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : date;
+}
+
 export function nowIso() {
   return new Date().toISOString();
 }
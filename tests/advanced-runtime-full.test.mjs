@@ -6,6 +6,7 @@ import {
   GuidanceAdvancedRuntime,
   createGuidanceAdvancedRuntime,
 } from '../src/guidance/advanced-runtime.js';
+import { ProofTamperError } from '../src/guidance/proof-store.js';
 
 function makeTmpDir() {
   const dir = resolve(tmpdir(), `adv-rt-${Date.now()}-${Math.random().toString(36).slice(2)}`);
@@ -350,17 +351,16 @@ describe('GuidanceAdvancedRuntime: state persistence', () => {
     expect(len2).toBe(len1);
   });
 
-  it('corrupted proof file is ignored on restore', async () => {
+  it('corrupted proof segment fails the restore instead of starting a fresh chain', async () => {
     const rt1 = new GuidanceAdvancedRuntime({ rootDir: tmpDir });
     await rt1.initialize();
 
-    // Write garbage to proof file
-    mkdirSync(resolve(tmpDir, '.claude-flow', 'guidance', 'advanced'), { recursive: true });
-    writeFileSync(rt1.proofPath, '{"envelopes":[{"broken":true}]}');
+    // Write garbage to the first proof segment
+    mkdirSync(rt1.proofPath, { recursive: true });
+    writeFileSync(join(rt1.proofPath, 'segment-000001.ndjson'), '{"broken":true}\n');
 
-    // Should not throw
     const rt2 = new GuidanceAdvancedRuntime({ rootDir: tmpDir });
-    await expect(rt2.initialize()).resolves.not.toThrow();
+    await expect(rt2.initialize()).rejects.toThrow(ProofTamperError);
   });
 });
 
@@ -0,0 +1,90 @@
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { resolve } from 'node:path';
+
+import { createAuthorityGate } from '@claude-flow/guidance/authority';
+
+import {
+  consumeApproval,
+  decideApproval,
+  findApproval,
+  findApprovalCliRisks,
+  listApprovals,
+  readApproval,
+  requestApproval,
+} from '../src/guidance/approvals.js';
+import { parseShellCommand } from '../src/guidance/shell-parser.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `approvals-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const COMMAND = 'npm run deploy-production';
+
+describe('approvals', () => {
+  let rootDir;
+  let authorityGate;
+
+  beforeEach(() => {
+    rootDir = makeTmpDir();
+    authorityGate = createAuthorityGate({ signatureSecret: 'test-key' });
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('files a pending request and finds it again by command', () => {
+    const request = requestApproval(rootDir, { command: `  ${COMMAND} `, classification: 'costly-reversible', agentId: 'a1' });
+
+    expect(request.id).toMatch(/^apr-[0-9a-f]{8}$/);
+    expect(findApproval(rootDir, COMMAND, { authorityGate })).toMatchObject({ id: request.id, status: 'pending' });
+    expect(findApproval(rootDir, 'npm run deploy-staging', { authorityGate })).toBeNull();
+    expect(listApprovals(rootDir).map((approval) => approval.id)).toEqual([request.id]);
+  });
+
+  it('signs the decision as a human intervention', () => {
+    const { id } = requestApproval(rootDir, { command: COMMAND });
+    const approved = decideApproval(rootDir, id, { decision: 'approved', authorityGate, signedBy: 'alice', reason: 'release' });
+
+    expect(approved.token).toMatchObject({ authorityLevel: 'human', action: COMMAND, signedBy: 'alice', reason: 'release' });
+    expect(authorityGate.verifyIntervention(approved.token)).toBe(true);
+    expect(authorityGate.getInterventions()).toHaveLength(1);
+    expect(() => decideApproval(rootDir, id, { decision: 'denied', authorityGate, signedBy: 'bob' }))
+      .toThrow(`Approval ${id} is already approved`);
+  });
+
+  it('lets an approval through once, until it expires', () => {
+    const now = Date.now();
+    const { id } = requestApproval(rootDir, { command: COMMAND, now });
+    decideApproval(rootDir, id, { decision: 'approved', authorityGate, signedBy: 'alice', ttlMs: 60000, now });
+
+    expect(findApproval(rootDir, COMMAND, { authorityGate, now: now + 59000 })?.status).toBe('approved');
+    expect(findApproval(rootDir, COMMAND, { authorityGate, now: now + 60000 })).toBeNull();
+
+    consumeApproval(rootDir, readApproval(rootDir, id));
+    expect(findApproval(rootDir, COMMAND, { authorityGate, now: now + 1000 })).toBeNull();
+  });
+
+  it('ignores approvals signed with another key or edited by hand', () => {
+    const { id } = requestApproval(rootDir, { command: COMMAND });
+    const denied = decideApproval(rootDir, id, { decision: 'denied', authorityGate, signedBy: 'bob' });
+
+    expect(findApproval(rootDir, COMMAND, { authorityGate })?.status).toBe('denied');
+    expect(findApproval(rootDir, COMMAND, { authorityGate: createAuthorityGate({ signatureSecret: 'other' }) })).toBeNull();
+
+    writeFileSync(resolve(rootDir, `.claude-flow/guidance/approvals/${id}.json`), JSON.stringify({ ...denied, status: 'approved' }));
+    expect(findApproval(rootDir, COMMAND, { authorityGate })).toBeNull();
+  });
+
+  it('flags the approval CLI when the agent runs it', () => {
+    const risks = (command) => parseShellCommand(command).flatMap((segment) => findApprovalCliRisks(segment));
+
+    expect(risks('cf-guidance approve apr-0a1b2c3d')).toHaveLength(1);
+    expect(risks('npx @sparkleideas/claude-flow-guidance deny apr-0a1b2c3d')).toHaveLength(1);
+    expect(risks('echo ok && node scripts/guidance-approvals.js approve apr-0a1b2c3d')).toHaveLength(1);
+    expect(risks('cf-guidance verify --target .')).toEqual([]);
+  });
+});
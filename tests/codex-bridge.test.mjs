@@ -302,10 +302,26 @@ describe('codex-bridge: with enforcement handler installed', () => {
     if (stdout.startsWith('{')) {
       const summary = JSON.parse(stdout);
       expect(summary.handler.ok).toBe(false);
-      expect(summary.handler.stderr).toContain('[BLOCKED]');
+      expect(summary.handler.decision).toBe('deny');
+      expect(summary.handler.reason).toContain('Dangerous command pattern');
     }
   });
 
+  it('fails closed when the handler asks for confirmation', () => {
+    // Codex cannot confirm, so the bridge treats an ask like a deny.
+    writeFileSync(join(tmpDir, '.claude', 'helpers', 'guidance-enforcement.cjs'), `console.log(JSON.stringify({
+      hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'ask', permissionDecisionReason: 'Confirm the deploy' },
+    }));`);
+    const result = runBridge(
+      ['pre-command', '--command', 'npm run deploy-production'],
+      { GUIDANCE_PROJECT_DIR: tmpDir },
+    );
+
+    expect(result.status).toBe(2);
+    const summary = JSON.parse(result.stdout.trim());
+    expect(summary.handler).toMatchObject({ ok: false, exitCode: 2, decision: 'ask', reason: 'Confirm the deploy' });
+  });
+
   it('status event outputs summary JSON', () => {
     const result = runBridge(
       ['status'],
@@ -17,6 +17,7 @@ import { join, resolve } from 'node:path';
 import { tmpdir } from 'node:os';
 import { spawnSync } from 'node:child_process';
 import { installIntoRepo } from '../src/installer.mjs';
+import { readProofEnvelopes } from '../src/guidance/proof-store.js';
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -52,6 +53,10 @@ function readJson(filePath) {
   return JSON.parse(readFileSync(filePath, 'utf-8'));
 }
 
+function readProof(proofDir) {
+  return { envelopes: readProofEnvelopes(proofDir) };
+}
+
 function writeRealEnforcement(targetDir) {
   const realEnforcement = readFileSync(resolve(PROJECT_ROOT, 'src/enforcement.cjs'), 'utf-8');
   const helpersDir = resolve(targetDir, '.claude/helpers');
@@ -199,7 +204,7 @@ describe('e2e behavioral: full event pipeline', { skip: shouldSkip ? true : fals
 
     it('has state and proof file paths', () => {
       expect(status.statePath).toContain('advanced-state.json');
-      expect(status.proofPath).toContain('proof-chain.json');
+      expect(status.proofPath).toContain('proof-chain');
     });
   });
 
@@ -378,23 +383,23 @@ describe('e2e behavioral: full event pipeline', { skip: shouldSkip ? true : fals
       expect(state.lastHookEvent.event).toBeDefined();
     });
 
-    it('proof-chain.json exists', () => {
-      expect(existsSync(join(dir, '.claude-flow/guidance/advanced/proof-chain.json'))).toBe(true);
+    it('proof chain segment exists', () => {
+      expect(existsSync(join(dir, '.claude-flow/guidance/advanced/proof-chain/segment-000001.ndjson'))).toBe(true);
     });
 
-    it('proof-chain.json has envelopes array', () => {
-      const proof = readJson(join(dir, '.claude-flow/guidance/advanced/proof-chain.json'));
+    it('proof chain segment has envelopes', () => {
+      const proof = readProof(join(dir, '.claude-flow/guidance/advanced/proof-chain'));
       expect(Array.isArray(proof.envelopes)).toBe(true);
     });
 
     it('proof chain has multiple envelopes from events', () => {
-      const proof = readJson(join(dir, '.claude-flow/guidance/advanced/proof-chain.json'));
+      const proof = readProof(join(dir, '.claude-flow/guidance/advanced/proof-chain'));
       // pre-command + pre-edit + pre-task + post-task + post-edit = at least 5
       expect(proof.envelopes.length).toBeGreaterThanOrEqual(5);
     });
 
     it('each proof envelope has required fields', () => {
-      const proof = readJson(join(dir, '.claude-flow/guidance/advanced/proof-chain.json'));
+      const proof = readProof(join(dir, '.claude-flow/guidance/advanced/proof-chain'));
       for (const envelope of proof.envelopes) {
         expect(typeof envelope.contentHash).toBe('string');
         expect(typeof envelope.previousHash).toBe('string');
@@ -403,7 +408,7 @@ describe('e2e behavioral: full event pipeline', { skip: shouldSkip ? true : fals
     });
 
     it('proof envelopes form a hash chain', () => {
-      const proof = readJson(join(dir, '.claude-flow/guidance/advanced/proof-chain.json'));
+      const proof = readProof(join(dir, '.claude-flow/guidance/advanced/proof-chain'));
       if (proof.envelopes.length < 2) return;
       for (let i = 1; i < proof.envelopes.length; i++) {
         // Each envelope must reference a previous hash
@@ -567,7 +572,7 @@ describe('e2e behavioral: multi-agent proof chain', { skip: shouldSkip ? true :
   });
 
   it('proof chain has at least 6 envelopes', () => {
-    const proof = readJson(join(dir, '.claude-flow/guidance/advanced/proof-chain.json'));
+    const proof = readProof(join(dir, '.claude-flow/guidance/advanced/proof-chain'));
     expect(proof.envelopes.length).toBeGreaterThanOrEqual(6);
   });
 
@@ -825,9 +830,9 @@ describe('e2e behavioral: guidance + memory cross-cutting lifecycle (WM-008)', {
     });
 
     it('guidance proof chain updated', () => {
-      const proofPath = join(dir, '.claude-flow', 'guidance', 'advanced', 'proof-chain.json');
+      const proofPath = join(dir, '.claude-flow', 'guidance', 'advanced', 'proof-chain');
       if (!existsSync(proofPath)) return; // guidance may not be fully wired in this env
-      const proof = readJson(proofPath);
+      const proof = readProof(proofPath);
       expect(proof.envelopes.length).toBeGreaterThanOrEqual(1);
     });
   });
@@ -885,9 +890,9 @@ describe('e2e behavioral: guidance + memory cross-cutting lifecycle (WM-008)', {
 
   describe('Final state: guidance coherence', () => {
     it('guidance proof chain accumulated envelopes from all events', () => {
-      const proofPath = join(dir, '.claude-flow', 'guidance', 'advanced', 'proof-chain.json');
+      const proofPath = join(dir, '.claude-flow', 'guidance', 'advanced', 'proof-chain');
       if (!existsSync(proofPath)) return;
-      const proof = readJson(proofPath);
+      const proof = readProof(proofPath);
       // pre-command + pre-task (sync events that write proof)
       expect(proof.envelopes.length).toBeGreaterThanOrEqual(1);
     });
@@ -14,6 +14,7 @@ import { tmpdir } from 'node:os';
 import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
 import { runEvent } from '../scripts/event-handlers.js';
 import { runAllIntegrations } from '../src/guidance/integration-runners.js';
+import { readProofEnvelopes } from '../src/guidance/proof-store.js';
 
 function makeTmpDir() {
   const dir = resolve(tmpdir(), `e2e-pipeline-${Date.now()}-${Math.random().toString(36).slice(2)}`);
@@ -769,14 +770,14 @@ describe('e2e: state persistence and reload', () => {
     expect(existsSync(rt.proofPath)).toBe(true);
   });
 
-  it('proof file contains valid JSON with envelopes', async () => {
+  it('proof segments contain the persisted envelopes', async () => {
     const rt = new GuidanceAdvancedRuntime({ rootDir: tmpDir });
     await rt.initialize();
     await runEvent(rt, 'pre-command', { command: 'echo test', agentId: 'persist-agent' });
     await rt.persistState();
-    const proof = safeReadJson(rt.proofPath);
-    expect(proof).not.toBeNull();
-    expect(Array.isArray(proof.envelopes)).toBe(true);
+    const envelopes = readProofEnvelopes(rt.proofPath);
+    expect(envelopes.length).toBe(rt.proofChain.getChainLength());
+    expect(envelopes.at(-1).envelopeId).toBe(rt.proofChain.getChainTip().envelopeId);
   });
 
   it('state file path is under dataDir', async () => {
@@ -40,13 +40,17 @@ describe('enforcement.cjs', () => {
     expect(result.stdout).toContain('[OK] Command validated');
   });
 
-  it('pre-command with rm -rf / exits 1 with BLOCKED', () => {
+  it('pre-command with rm -rf / emits a deny decision', () => {
     const result = runHandler('pre-command', {
       tool_input: { command: 'rm -rf /' },
     });
 
-    expect(result.status).toBe(1);
-    expect(result.stderr).toContain('[BLOCKED]');
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout).hookSpecificOutput).toEqual({
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'deny',
+      permissionDecisionReason: 'Dangerous command pattern detected',
+    });
   });
 
   it('pre-edit with empty stdin prints [OK] Edit validation skipped', () => {
@@ -115,7 +119,7 @@ describe('enforcement.cjs', () => {
 
     expect(result.status).toBe(0);
     expect(result.stdout).toContain('Auto-Compact Guidance');
-    expect(result.stdout).toContain('GOLDEN RULE');
+    expect(result.stdout).toContain('CLAUDE.md');
   });
 
   it('user-prompt prints [OK]', () => {
@@ -0,0 +1,220 @@
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import {
+  activeRolloutPath,
+  advanceRollout,
+  appendRolloutEvents,
+  evolutionDir,
+  graduateRollout,
+  listEvolutionRecords,
+  proposeRuleChange,
+  readActiveRollout,
+  readEvolutionRecord,
+  rollbackRollout,
+  rolloutCohort,
+  rolloutLedgerPath,
+  simulateProposal,
+  stageProposal,
+} from '../src/guidance/evolution-proposals.js';
+import { buildRunEvent } from '../src/guidance/integration-runners.js';
+import { runEvent } from '../scripts/event-handlers.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `evolution-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const GUIDANCE = [
+  '# Project Guidance',
+  '',
+  '## Core Invariants',
+  '- NEVER commit secrets or API keys (critical)',
+  '- Always run tests before pushing',
+  '',
+].join('\n');
+
+const READ_RULE = 'NEVER read `config/prod.yml` (critical)';
+
+describe('evolution-proposals', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = makeTmpDir();
+    writeFileSync(join(rootDir, 'CLAUDE.md'), GUIDANCE);
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  async function stagedReadRule(cohort) {
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    const { proposal } = await proposeRuleChange(runtime, { kind: 'rule-add', rule: READ_RULE });
+    await simulateProposal(runtime, proposal.proposalId);
+    await stageProposal(runtime, proposal.proposalId, { cohort });
+    return proposal.proposalId;
+  }
+
+  function cohortEvents(proposalId, cohort, count, blocked = 0) {
+    return Array.from({ length: count }, (_, index) => ({
+      ...buildRunEvent({ taskId: `${cohort}-${index}`, guidanceHash: 'test', outcomeAccepted: index >= blocked }),
+      cohort,
+      proposalId,
+      stage: 'canary',
+    }));
+  }
+
+  it('checks rule diffs against CLAUDE.md and stores proposals', async () => {
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    await expect(proposeRuleChange(runtime, { kind: 'rule-add', rule: 'Always run tests before pushing' }))
+      .rejects.toThrow(/already has the rule/);
+    await expect(proposeRuleChange(runtime, { kind: 'rule-remove', rule: 'Never use tabs' }))
+      .rejects.toThrow(/No rule in CLAUDE.md/);
+
+    const { proposal } = await proposeRuleChange(runtime, {
+      kind: 'rule-modify',
+      rule: 'Always run tests before pushing',
+      to: 'Always run tests before committing',
+    });
+    expect(proposal.status).toBe('signed');
+    expect(proposal.diff).toEqual({
+      before: { rule: 'Always run tests before pushing' },
+      after: { rule: 'Always run tests before committing' },
+    });
+    expect(listEvolutionRecords(rootDir)).toHaveLength(1);
+    expect(readEvolutionRecord(rootDir, proposal.proposalId.slice(0, 8)).history[0].action).toBe('propose');
+  });
+
+  it('refuses a stored proposal whose signature no longer matches', async () => {
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    const { proposal } = await proposeRuleChange(runtime, { kind: 'rule-add', rule: READ_RULE });
+    const recordFile = join(evolutionDir(rootDir), `${proposal.proposalId}.json`);
+    const record = JSON.parse(readFileSync(recordFile, 'utf-8'));
+    record.proposal.diff.after.rule = 'NEVER read anything';
+    writeFileSync(recordFile, JSON.stringify(record));
+
+    await expect(simulateProposal(new GuidanceAdvancedRuntime({ rootDir }), proposal.proposalId))
+      .rejects.toThrow(/signature does not match/);
+  });
+
+  it('applies candidate rules only to sessions inside the current stage', async () => {
+    const proposalId = await stagedReadRule();
+    const rollout = readActiveRollout(rootDir);
+    expect(rollout).toMatchObject({ proposalId, stage: 'canary', percentage: 5 });
+
+    const sessions = Array.from({ length: 200 }, (_, index) => `session-${index}`);
+    const inside = sessions.find((sessionId) => rolloutCohort(rollout, { sessionId }) === 'canary');
+    const outside = sessions.find((sessionId) => rolloutCohort(rollout, { sessionId }) === 'control');
+
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    const canary = await runEvent(runtime, 'pre-read', { paths: ['config/prod.yml'], sessionId: inside });
+    const control = await runEvent(runtime, 'pre-read', { paths: ['config/prod.yml'], sessionId: outside });
+    expect(canary.decision).toBe('deny');
+    expect(control.decision).toBe('allow');
+    expect(runtime.phase1.getStatus().rollout.canaryRules).toEqual(['NEVER read `config/prod.yml`']);
+
+    const logged = readFileSync(join(rolloutLedgerPath(rootDir, proposalId), 'events.ndjson'), 'utf-8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(logged.map((event) => [event.cohort, event.outcomeAccepted])).toEqual([['canary', false], ['control', true]]);
+  });
+
+  it('retrieves policy from the candidate rules for the canary cohort', async () => {
+    await stagedReadRule();
+    const rollout = readActiveRollout(rootDir);
+    const sessions = Array.from({ length: 200 }, (_, index) => `session-${index}`);
+    const inside = sessions.find((sessionId) => rolloutCohort(rollout, { sessionId }) === 'canary');
+    const outside = sessions.find((sessionId) => rolloutCohort(rollout, { sessionId }) === 'control');
+
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    const policyFor = async (sessionId) => {
+      const task = await runEvent(runtime, 'pre-task', { taskDescription: 'Read the prod config', sessionId });
+      const retrieval = await runtime.phase1.retrievePolicy({ taskDescription: 'Read the prod config' });
+      return [task.policyText, retrieval.policyText];
+    };
+    expect(await policyFor(inside)).toEqual([expect.stringContaining('config/prod.yml'), expect.stringContaining('config/prod.yml')]);
+    for (const text of await policyFor(outside)) expect(text).not.toContain('config/prod.yml');
+  });
+
+  it('puts only the listed agents in an agents cohort until the full stage', async () => {
+    await stagedReadRule({ agents: ['reviewer'] });
+    const rollout = readActiveRollout(rootDir);
+    expect(rollout.cohort).toEqual({ by: 'agents', agents: ['reviewer'] });
+    expect(rolloutCohort(rollout, { agentId: 'reviewer', sessionId: 's-1' })).toBe('canary');
+    expect(rolloutCohort(rollout, { agentId: 'coder', sessionId: 's-1' })).toBe('control');
+    expect(rolloutCohort({ ...rollout, percentage: 100 }, { agentId: 'coder' })).toBe('canary');
+
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    const denied = await runEvent(runtime, 'pre-read', { paths: ['config/prod.yml'], agentId: 'reviewer' });
+    const allowed = await runEvent(runtime, 'pre-read', { paths: ['config/prod.yml'], agentId: 'coder' });
+    expect(denied.decision).toBe('deny');
+    expect(allowed.decision).toBe('allow');
+  });
+
+  it('graduates a stage once both cohorts have enough events and no regression', async () => {
+    const proposalId = await stagedReadRule();
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    const later = Date.now() + 120000;
+
+    await appendRolloutEvents(rootDir, proposalId, cohortEvents(proposalId, 'canary', 5));
+    expect((await graduateRollout(runtime, { now: later })).result.reason).toMatch(/Waiting in stage "canary"/);
+
+    await appendRolloutEvents(rootDir, proposalId, [
+      ...cohortEvents(proposalId, 'canary', 15),
+      ...cohortEvents(proposalId, 'control', 20),
+    ]);
+    expect((await graduateRollout(runtime)).result.advanced).toBe(false);
+    const { record, result } = await graduateRollout(runtime, { now: later });
+    expect(result).toMatchObject({ advanced: true, rolledBack: false });
+    expect(record.rollout.stages[0].metrics).toMatchObject({ canaryEvents: 20, controlEvents: 20, canaryBlockRate: 0 });
+    expect(readActiveRollout(rootDir)).toMatchObject({ proposalId, stage: 'partial' });
+  });
+
+  it('rolls back when the canary cohort blocks more than the control cohort', async () => {
+    const proposalId = await stagedReadRule();
+    await appendRolloutEvents(rootDir, proposalId, [
+      ...cohortEvents(proposalId, 'canary', 20, 4),
+      ...cohortEvents(proposalId, 'control', 20),
+    ]);
+
+    const { record, result } = await graduateRollout(new GuidanceAdvancedRuntime({ rootDir }));
+    expect(result.rolledBack).toBe(true);
+    expect(result.reason).toMatch(/canary blockRate 0.20 is 20.0% above control 0.00/);
+    expect(record.proposal.status).toBe('rolled-back');
+    expect(readActiveRollout(rootDir)).toBeNull();
+  });
+
+  it('writes the change to CLAUDE.md once every stage passes', async () => {
+    const proposalId = await stagedReadRule();
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+
+    await expect(advanceRollout(runtime, proposalId)).rejects.toThrow(/pass --force/);
+    let outcome;
+    for (let stage = 0; stage < 3; stage += 1) {
+      outcome = await advanceRollout(runtime, proposalId, { force: true });
+    }
+
+    expect(outcome.record.history.filter((entry) => entry.action === 'advance').map((entry) => entry.stage))
+      .toEqual(['canary', 'partial', 'full']);
+    expect(outcome.record.history.at(-1)).toMatchObject({ action: 'apply', targetPath: 'CLAUDE.md' });
+    expect(outcome.record.proposal.status).toBe('promoted');
+    expect(outcome.record.rollout.status).toBe('completed');
+    expect(readFileSync(join(rootDir, 'CLAUDE.md'), 'utf-8')).toContain(`- ${READ_RULE}`);
+    expect(existsSync(activeRolloutPath(rootDir))).toBe(false);
+  });
+
+  it('rolls back a rollout and stops applying the candidate rules', async () => {
+    const proposalId = await stagedReadRule();
+    const record = await rollbackRollout(new GuidanceAdvancedRuntime({ rootDir }), proposalId, { reason: 'too noisy' });
+
+    expect(record.proposal.status).toBe('rolled-back');
+    expect(record.history.at(-1)).toMatchObject({ action: 'rollback', reason: 'too noisy' });
+    expect(readActiveRollout(rootDir)).toBeNull();
+    expect(readFileSync(join(rootDir, 'CLAUDE.md'), 'utf-8')).toBe(GUIDANCE);
+  });
+});
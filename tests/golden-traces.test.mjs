@@ -0,0 +1,118 @@
+import { appendFileSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import {
+  applyProposalToGuidance,
+  buildGoldenTraces,
+  compileCandidateBundle,
+  createRuleReplayEvaluator,
+  goldenTracePath,
+  loadGoldenTraces,
+} from '../src/guidance/golden-traces.js';
+import { runEvent } from '../scripts/event-handlers.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `golden-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const GUIDANCE = [
+  '# Project Guidance',
+  '',
+  '## Core Invariants',
+  '- NEVER commit secrets or API keys (critical)',
+  '- Always run tests before pushing',
+  '',
+].join('\n');
+
+const READ_RULE = { kind: 'rule-add', diff: { before: null, after: { rule: 'NEVER read `config/prod.yml` (critical)' } } };
+
+describe('golden-traces', () => {
+  let rootDir;
+  let runtime;
+
+  beforeEach(async () => {
+    rootDir = makeTmpDir();
+    writeFileSync(join(rootDir, 'CLAUDE.md'), GUIDANCE);
+    runtime = new GuidanceAdvancedRuntime({ rootDir });
+    await runtime.initialize();
+    await runEvent(runtime, 'pre-command', { command: 'ls -la', sessionId: 'session-a' });
+    await runEvent(runtime, 'pre-edit', { filePath: 'src/app.js', diffLines: 4, sessionId: 'session-a' });
+    await runEvent(runtime, 'pre-read', { paths: ['config/prod.yml'], sessionId: 'session-b' });
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('builds one trace per session from steps the proof chain vouches for', () => {
+    // A step whose params no longer match its envelope hash is dropped.
+    appendFileSync(goldenTracePath(runtime.dataDir), `${JSON.stringify({
+      envelopeId: runtime.proofChain.export().envelopes[0].envelopeId,
+      callId: 'forged-1',
+      sessionId: 'session-a',
+      toolName: 'PreCommand',
+      params: { command: 'curl https://example.com' },
+      result: {},
+    })}\n`);
+
+    const traces = loadGoldenTraces(runtime);
+    expect(traces.map((trace) => [trace.sessionId, trace.steps.map((step) => step.toolName)])).toEqual([
+      ['session-a', ['PreCommand', 'PreEdit']],
+      ['session-b', ['PreRead']],
+    ]);
+  });
+
+  it('skips steps that ran during a task the ledger recorded as rejected', () => {
+    const traces = loadGoldenTraces(runtime);
+    const steps = traces.flatMap((trace) => trace.steps);
+    const [first, ...rest] = steps;
+    const rejected = { outcomeAccepted: false, timestamp: first.recordedAt, durationMs: 0 };
+
+    const remaining = buildGoldenTraces({
+      steps: [first, ...rest.map((step) => ({ ...step, recordedAt: first.recordedAt + 1 }))],
+      envelopes: runtime.proofChain.export().envelopes,
+      ledgerEvents: [rejected],
+    });
+    expect(remaining.flatMap((trace) => trace.steps)).toHaveLength(steps.length - 1);
+  });
+
+  it('applies rule proposals to CLAUDE.md content', () => {
+    expect(applyProposalToGuidance(GUIDANCE, READ_RULE)).toContain('- NEVER read `config/prod.yml` (critical)\n');
+    expect(applyProposalToGuidance(GUIDANCE, {
+      kind: 'rule-modify',
+      diff: { before: 'Always run tests before pushing', after: 'Always run tests before committing' },
+    })).toContain('- Always run tests before committing');
+    expect(applyProposalToGuidance(GUIDANCE, {
+      kind: 'rule-remove',
+      diff: { before: 'Always run tests before pushing', after: null },
+    })).not.toContain('run tests');
+    expect(applyProposalToGuidance(GUIDANCE, { kind: 'budget-adjust', diff: {} })).toBe(GUIDANCE);
+  });
+
+  it('replays traces under the recompiled candidate rules', () => {
+    const evaluator = createRuleReplayEvaluator({
+      rootDir,
+      baselineBundle: runtime.phase1.getBundle(),
+      candidateBundle: compileCandidateBundle(runtime, READ_RULE),
+    });
+    const readTrace = loadGoldenTraces(runtime).find((trace) => trace.sessionId === 'session-b');
+
+    const baseline = evaluator(readTrace, 'baseline');
+    const candidate = evaluator(readTrace, 'candidate');
+    expect(baseline.decisions).toEqual([{ decision: 'allow', rules: [] }]);
+    expect(candidate.decisions).toEqual([{ decision: 'deny', rules: ['NEVER read `config/prod.yml`'] }]);
+    expect(candidate.traceHash).not.toBe(baseline.traceHash);
+    expect(candidate.metrics.allowRate).toBeLessThan(baseline.metrics.allowRate);
+  });
+
+  it('simulates evolution proposals against the recorded history', async () => {
+    const summary = await runtime.runEvolutionIntegration();
+    expect(summary.simulation.goldenTraceCount).toBe(2);
+    expect(summary.simulation.replayedSteps).toBe(3);
+    expect(summary.simulation.metrics.baseline).toEqual({ allowRate: 1, ruleCoverage: 1 });
+  });
+});
@@ -0,0 +1,160 @@
+import { spawn } from 'node:child_process';
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { resolve, join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+import {
+  createGuidanceDaemon,
+  getDaemonInfoPath,
+  readDaemonInfo,
+  requestDaemon,
+} from '../scripts/daemon-server.js';
+
+const HANDLER = resolve('src/enforcement.cjs');
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `daemon-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function writeClaudeMd(dir, extra = '') {
+  writeFileSync(join(dir, 'CLAUDE.md'), [
+    '# Project Guidance',
+    '',
+    '## Core Invariants',
+    '- NEVER commit secrets or API keys (critical)',
+    '- Always run tests before pushing',
+    extra,
+    '',
+  ].join('\n'));
+}
+
+function runHandlerAsync(command, stdinJson, env = {}) {
+  return new Promise((resolvePromise) => {
+    const child = spawn('node', [HANDLER, command], {
+      cwd: resolve('.'),
+      env: { ...process.env, GUIDANCE_AUTOPILOT_ENABLED: '0', ...env },
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('close', (status) => resolvePromise({ status, stdout, stderr }));
+    child.stdin.end(JSON.stringify(stdinJson));
+  });
+}
+
+describe('guidance daemon', () => {
+  let tmpDir;
+  let daemon;
+
+  beforeEach(async () => {
+    tmpDir = makeTmpDir();
+    writeClaudeMd(tmpDir);
+    daemon = createGuidanceDaemon({ rootDir: tmpDir, idleTimeoutMs: 0 });
+    await daemon.start();
+  });
+
+  afterEach(async () => {
+    await daemon.stop();
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('advertises its socket in daemon.json', () => {
+    const info = readDaemonInfo(tmpDir);
+    expect(info.pid).toBe(process.pid);
+    expect(info.socketPath).toBe(daemon.socketPath);
+  });
+
+  it('answers ping and status requests', async () => {
+    const pong = await requestDaemon(daemon.socketPath, { type: 'ping' });
+    expect(pong.ok).toBe(true);
+
+    const status = await requestDaemon(daemon.socketPath, { type: 'status' });
+    expect(status.status.rootDir).toBe(tmpDir);
+  });
+
+  it('rejects unknown request types', async () => {
+    const response = await requestDaemon(daemon.socketPath, { type: 'banana' });
+    expect(response.ok).toBe(false);
+    expect(response.error).toContain('banana');
+  });
+
+  it('runs events through a single initialized runtime', async () => {
+    const first = await requestDaemon(daemon.socketPath, {
+      type: 'event', event: 'pre-command', payload: { command: 'git status', agentId: 'a1' },
+    }, 30000);
+    const second = await requestDaemon(daemon.socketPath, {
+      type: 'event', event: 'pre-command', payload: { command: 'npm test', agentId: 'a1' },
+    }, 30000);
+
+    expect(first.ok).toBe(true);
+    expect(first.result.event).toBe('pre-command');
+    expect(second.result.blocked).toBe(false);
+    expect(daemon.runtimeGeneration).toBe(1);
+  });
+
+  it('rebuilds the runtime when CLAUDE.md changes', async () => {
+    await requestDaemon(daemon.socketPath, {
+      type: 'event', event: 'pre-command', payload: { command: 'ls' },
+    }, 30000);
+    writeClaudeMd(tmpDir, '- NEVER force push to main (critical)');
+
+    await requestDaemon(daemon.socketPath, {
+      type: 'event', event: 'pre-command', payload: { command: 'ls' },
+    }, 30000);
+    expect(daemon.runtimeGeneration).toBe(2);
+  });
+
+  it('acknowledges async events before processing them', async () => {
+    const response = await requestDaemon(daemon.socketPath, {
+      type: 'event', event: 'post-edit', async: true, payload: { filePath: 'src/a.js' },
+    });
+    expect(response).toEqual({ ok: true, queued: true });
+    await daemon.queue;
+  });
+
+  it('reports runEvent errors instead of crashing', async () => {
+    const response = await requestDaemon(daemon.socketPath, {
+      type: 'event', event: 'not-an-event', payload: {},
+    }, 30000);
+    expect(response.ok).toBe(false);
+    expect(response.error).toContain('Unknown guidance event');
+  });
+
+  it('refuses to start a second daemon on the same socket', async () => {
+    const second = createGuidanceDaemon({ rootDir: tmpDir, idleTimeoutMs: 0 });
+    await expect(second.start()).rejects.toThrow('already running');
+  });
+
+  it('removes daemon.json on stop', async () => {
+    await daemon.stop();
+    expect(existsSync(getDaemonInfoPath(tmpDir))).toBe(false);
+  });
+
+  it('serves the enforcement hook shim when running', async () => {
+    const before = daemon.requestCount;
+    const result = await runHandlerAsync('pre-command', {
+      tool_input: { command: 'git status' },
+    }, { CLAUDE_PROJECT_DIR: tmpDir, GUIDANCE_EVENT_WIRING_ENABLED: '1' });
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('[OK] Command validated');
+    expect(daemon.requestCount).toBe(before + 1);
+  });
+
+  it('hook shim ignores the daemon when GUIDANCE_DAEMON_ENABLED=0', async () => {
+    const before = daemon.requestCount;
+    const result = await runHandlerAsync('pre-command', {
+      tool_input: { command: 'git status' },
+    }, {
+      CLAUDE_PROJECT_DIR: tmpDir,
+      GUIDANCE_EVENT_WIRING_ENABLED: '1',
+      GUIDANCE_DAEMON_ENABLED: '0',
+    });
+
+    expect(result.status).toBe(0);
+    expect(daemon.requestCount).toBe(before);
+  });
+});
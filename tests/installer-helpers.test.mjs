@@ -200,6 +200,21 @@ describe('installIntoRepo', () => {
     expect(content).toContain('CLAUDE.local.md');
   });
 
+  it('adds the signing keyring directory to .gitignore', () => {
+    installIntoRepo({ targetRepo: tmpDir });
+
+    const content = readFileSync(resolve(tmpDir, '.gitignore'), 'utf-8');
+    expect(content.split('\n')).toContain('.claude-flow/guidance/keys/');
+  });
+
+  it('adds the guidance daemon files to .gitignore', () => {
+    installIntoRepo({ targetRepo: tmpDir });
+
+    const lines = readFileSync(resolve(tmpDir, '.gitignore'), 'utf-8').split('\n');
+    expect(lines).toContain('.claude-flow/guidance/daemon.json');
+    expect(lines).toContain('.claude-flow/guidance/daemon.sock');
+  });
+
   it('throws on non-existent target', async () => {
     const badPath = resolve(tmpDir, 'does-not-exist');
     await expect(installIntoRepo({ targetRepo: badPath })).rejects.toThrow(
@@ -61,6 +61,16 @@ describe('buildRunEvent', () => {
     expect(event.diffSummary.linesRemoved).toBe(0);
   });
 
+  it('records measured diff line counts', () => {
+    const event = buildRunEvent({
+      taskId: 'task-2b',
+      guidanceHash: 'def456',
+      filesTouched: ['a.js'],
+      diffSummary: { linesAdded: 7, linesRemoved: 3 },
+    });
+    expect(event.diffSummary).toEqual({ linesAdded: 7, linesRemoved: 3, filesChanged: 1 });
+  });
+
   it('includes test results (default: not run)', () => {
     const event = buildRunEvent({
       taskId: 'task-3',
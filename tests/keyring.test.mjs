@@ -0,0 +1,104 @@
+import { mkdirSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { proposeRuleChange, simulateProposal } from '../src/guidance/evolution-proposals.js';
+import {
+  KEY_SUBSYSTEMS,
+  derivedSubsystemKey,
+  keyIdFor,
+  keyringPath,
+  rotateSigningKeys,
+} from '../src/guidance/keyring.js';
+import { readProofEntries, verifyProofStore } from '../src/guidance/proof-audit.js';
+import { runEvent } from '../scripts/event-handlers.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `keyring-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const GUIDANCE = [
+  '# Project Guidance',
+  '',
+  '## Core Invariants',
+  '- NEVER commit secrets or API keys (critical)',
+  '',
+].join('\n');
+
+const SIGNING_KEY = 'keyring-test-key';
+const derivedId = (name) => keyIdFor(derivedSubsystemKey(SIGNING_KEY, name));
+
+describe('keyring', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = makeTmpDir();
+    writeFileSync(join(rootDir, 'CLAUDE.md'), GUIDANCE);
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  const newRuntime = () => new GuidanceAdvancedRuntime({ rootDir, signingKey: SIGNING_KEY });
+  const store = (runtime) => ({ dir: runtime.proofPath, keys: runtime.keyring.keysFor('proof') });
+
+  it('signs with a key per subsystem derived from the configured key until a keyring exists', async () => {
+    const runtime = newRuntime();
+    expect(runtime.keyring.stored).toBe(false);
+    expect(KEY_SUBSYSTEMS.map((name) => runtime.keyring.active(name).keyId)).toEqual(KEY_SUBSYSTEMS.map(derivedId));
+    expect(new Set(KEY_SUBSYSTEMS.map(derivedId)).size).toBe(KEY_SUBSYSTEMS.length);
+    expect(runtime.keyring.secret('proof', undefined)).toBe(SIGNING_KEY);
+
+    await runEvent(runtime, 'pre-command', { command: 'git status' });
+    const [entry] = readProofEntries(store(runtime));
+    expect(entry.envelope.metadata.keyId).toBe(derivedId('proof'));
+    expect(() => runtime.keyring.active('billing')).toThrow(/Unknown key subsystem/);
+  });
+
+  it('records a rotation in the chain and keeps verifying envelopes signed before it', async () => {
+    await runEvent(newRuntime(), 'pre-command', { command: 'git status' });
+
+    const { changes, envelopeId } = await rotateSigningKeys(newRuntime(), { reason: 'quarterly' });
+    expect(changes.map((change) => change.subsystem)).toEqual(KEY_SUBSYSTEMS);
+    expect(statSync(keyringPath(rootDir)).mode & 0o777).toBe(0o600);
+
+    const runtime = newRuntime();
+    const proofKey = runtime.keyring.active('proof').keyId;
+    expect(proofKey).toBe(changes[0].to);
+    expect(new Set(KEY_SUBSYSTEMS.map((name) => runtime.keyring.active(name).keyId)).size).toBe(KEY_SUBSYSTEMS.length);
+
+    await runEvent(runtime, 'pre-command', { command: 'ls' });
+    const entries = readProofEntries(store(runtime));
+    expect(entries.map((entry) => entry.envelope.metadata.keyId))
+      .toEqual([derivedId('proof'), derivedId('proof'), proofKey]);
+    expect(entries[1].envelope.envelopeId).toBe(envelopeId);
+    expect(entries[1].record.event.keyRotation[0]).toMatchObject({ subsystem: 'proof', from: derivedId('proof') });
+
+    expect(verifyProofStore(store(runtime))).toMatchObject({ valid: true, envelopes: 3 });
+    expect(runtime.verifyProofChain()).toBe(true);
+  });
+
+  it('rotates only the named subsystems and retires their old keys', async () => {
+    await rotateSigningKeys(newRuntime(), { subsystems: ['authority'] });
+    const listed = Object.fromEntries(newRuntime().keyring.list().map((entry) => [entry.subsystem, entry]));
+
+    expect(listed.proof.active).toBe(derivedId('proof'));
+    expect(listed.authority.active).not.toBe(derivedId('authority'));
+    expect(listed.authority.keys.find((key) => key.keyId === derivedId('authority')).retiredAt).toBeTruthy();
+    expect(JSON.stringify(listed)).not.toContain(SIGNING_KEY);
+    await expect(rotateSigningKeys(newRuntime(), { subsystems: ['billing'] })).rejects.toThrow(/Unknown key subsystem/);
+  });
+
+  it('verifies proposals signed with an evolution key that has since been rotated', async () => {
+    const { proposal } = await proposeRuleChange(newRuntime(), { kind: 'rule-add', rule: 'NEVER read `.env` (critical)' });
+    await rotateSigningKeys(newRuntime(), { subsystems: ['evolution'] });
+
+    const record = await simulateProposal(newRuntime(), proposal.proposalId);
+    expect(record.keyId).toBe(derivedId('evolution'));
+    expect(record.simulation).not.toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { compileMcpPolicy, evaluateMcpTool, parseMcpToolName } from '../src/guidance/mcp-policy.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `mcp-policy-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function writePolicy(rootDir, policy) {
+  mkdirSync(join(rootDir, '.claude-flow/guidance'), { recursive: true });
+  writeFileSync(join(rootDir, '.claude-flow/guidance/mcp-policy.json'), JSON.stringify(policy));
+}
+
+describe('mcp-policy', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('splits MCP tool names into server and tool', () => {
+    expect(parseMcpToolName('mcp__github__create_issue')).toEqual({
+      toolName: 'mcp__github__create_issue', server: 'github', tool: 'create_issue',
+    });
+    expect(parseMcpToolName('mcp__claude-flow__memory__store')).toMatchObject({ server: 'claude-flow', tool: 'memory__store' });
+    expect(parseMcpToolName('Bash')).toMatchObject({ server: null, tool: 'Bash' });
+  });
+
+  it('allows every server when no policy file exists', () => {
+    const policy = compileMcpPolicy({ rootDir });
+    expect(evaluateMcpTool(policy, 'mcp__anything__do_it').decision).toBe('allow');
+  });
+
+  it('applies deny, ask and allow lists per server', () => {
+    writePolicy(rootDir, {
+      unlisted: 'ask',
+      servers: { github: { allow: ['get_*', 'list_*', 'create_*'], deny: ['delete_*'], ask: ['create_*'] } },
+    });
+    const policy = compileMcpPolicy({ rootDir });
+    const decide = (toolName) => evaluateMcpTool(policy, toolName).decision;
+
+    expect(decide('mcp__github__get_issue')).toBe('allow');
+    expect(decide('mcp__github__create_issue')).toBe('ask');
+    expect(decide('mcp__github__delete_repo')).toBe('deny');
+    expect(decide('mcp__github__merge_pull_request')).toBe('deny');
+    expect(decide('mcp__slack__post_message')).toBe('ask');
+  });
+
+  it('compiles budgets and schemas into gateway config for the server', () => {
+    writePolicy(rootDir, {
+      servers: { github: { maxCalls: 50, schemas: { create_issue: { requiredParams: ['title'], paramTypes: { title: 'string' } } } } },
+    });
+    const { gateway } = evaluateMcpTool(compileMcpPolicy({ rootDir }), 'mcp__github__create_issue');
+
+    expect(gateway.maxCalls).toBe(50);
+    expect(gateway.schemas).toEqual([{
+      toolName: 'mcp__github__create_issue',
+      requiredParams: ['title'],
+      optionalParams: [],
+      paramTypes: { title: 'string' },
+      maxParamSize: Infinity,
+    }]);
+  });
+});
@@ -198,6 +198,28 @@ describe('GuidancePhase1Runtime: hook methods', () => {
     expect(typeof result.success).toBe('boolean');
   });
 
+  it('preToolUse blocks MCP calls once the server budget is spent', async () => {
+    const serverConfig = { maxCalls: 2, schemas: [] };
+    const call = (callsUsed) => runtime.preToolUse('mcp__metered__ping', { n: 1 }, { server: 'metered', serverConfig, callsUsed });
+
+    expect((await call(0)).gatewayBlocked).toBeUndefined();
+    expect((await call(1)).gatewayBlocked).toBeUndefined();
+    const third = await call(2);
+    expect(third).toMatchObject({ success: false, gatewayBlocked: true, gate: 'budget' });
+    expect(third.reason).toContain('Budget exceeded');
+    // Servers without a budget and built-in tools are not metered.
+    expect((await runtime.preToolUse('mcp__other__ping', {}, { server: 'other', callsUsed: 99 })).gatewayBlocked).toBeUndefined();
+  });
+
+  it('preToolUse validates MCP parameters against the server schema', async () => {
+    const serverConfig = {
+      schemas: [{ toolName: 'mcp__issues__create', requiredParams: ['title'], optionalParams: [], paramTypes: { title: 'string' }, maxParamSize: 1000 }],
+    };
+    const result = await runtime.preToolUse('mcp__issues__create', { body: 'x' }, { server: 'issues', serverConfig });
+    expect(result).toMatchObject({ success: false, gate: 'schema-validation' });
+    expect(result.reason).toContain('Missing required parameter: "title"');
+  });
+
   it('hook methods throw when not initialized', async () => {
     const rt = new GuidancePhase1Runtime();
     await expect(rt.preCommand('echo hi')).rejects.toThrow('not initialized');
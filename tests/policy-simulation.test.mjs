@@ -0,0 +1,82 @@
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { parseTranscriptActions, simulateTranscript } from '../scripts/policy-simulation.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `simulate-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function toolUse(cwd, name, input, index) {
+  return JSON.stringify({
+    type: 'assistant',
+    cwd,
+    sessionId: 'recorded-session',
+    message: { role: 'assistant', content: [{ type: 'text', text: '...' }, { type: 'tool_use', id: `toolu_${index}`, name, input }] },
+  });
+}
+
+const GUIDANCE = '# Project\n\n## Rules\n- Always run tests before pushing\n';
+
+describe('policy-simulation', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = makeTmpDir();
+    writeFileSync(join(rootDir, 'CLAUDE.md'), GUIDANCE);
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('extracts tool calls from assistant messages in order', () => {
+    const transcript = [
+      JSON.stringify({ type: 'user', message: { role: 'user', content: 'fix the build' } }),
+      toolUse(rootDir, 'Bash', { command: 'npm test' }, 1),
+      toolUse(rootDir, 'Edit', { file_path: join(rootDir, 'src/a.js'), old_string: 'a', new_string: 'b\nc' }, 2),
+      toolUse(rootDir, 'TodoWrite', { todos: [] }, 3),
+      'not json',
+      toolUse(rootDir, 'Glob', { pattern: '**/*.pem', path: join(rootDir, 'certs') }, 4),
+      toolUse(rootDir, 'Task', { description: 'Review auth', prompt: 'Check the login flow' }, 5),
+    ].join('\n');
+
+    const actions = parseTranscriptActions(transcript);
+    expect(actions.map((action) => [action.toolName, action.event])).toEqual([
+      ['Bash', 'pre-command'],
+      ['Edit', 'pre-edit'],
+      ['Glob', 'pre-read'],
+      ['Task', 'pre-task'],
+    ]);
+    expect(actions[1].payload).toMatchObject({ filePath: 'src/a.js', linesAdded: 2, linesRemoved: 1 });
+    expect(actions[2].payload.paths).toEqual(['certs', join('certs', '**/*.pem')]);
+    expect(actions[3].payload.taskDescription).toBe('Review auth\nCheck the login flow');
+  });
+
+  it('reports actions a candidate CLAUDE.md newly blocks or allows', async () => {
+    const transcriptPath = join(rootDir, 'session.jsonl');
+    writeFileSync(transcriptPath, [
+      toolUse(rootDir, 'Bash', { command: 'git status' }, 1),
+      toolUse(rootDir, 'Read', { file_path: join(rootDir, 'config/prod.yml') }, 2),
+      toolUse(rootDir, 'Read', { file_path: join(rootDir, 'config/local.yml') }, 3),
+    ].join('\n'));
+    writeFileSync(join(rootDir, 'CLAUDE.md'), `${GUIDANCE}- NEVER read \`config/local.yml\`\n`);
+    const candidatePath = join(rootDir, 'CLAUDE.candidate.md');
+    writeFileSync(candidatePath, `${GUIDANCE}- NEVER read \`config/prod.yml\` (critical)\n`);
+
+    const report = await simulateTranscript({ rootDir, transcriptPath, candidatePath });
+
+    expect(report.actionCount).toBe(3);
+    expect(report.totals).toEqual({ currentBlocked: 1, candidateBlocked: 1, newlyBlocked: 1, newlyAllowed: 1 });
+    expect(report.changed.map((result) => [result.summary, result.change])).toEqual([
+      [join(rootDir, 'config/prod.yml'), 'newly-blocked'],
+      [join(rootDir, 'config/local.yml'), 'newly-allowed'],
+    ]);
+    expect(report.changed[0].candidate.reason).toContain('config/prod.yml');
+    // Replays run in a scratch project, never in the real one.
+    expect(existsSync(join(rootDir, '.claude-flow'))).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+import { spawnSync } from 'node:child_process';
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { anchorProofTip, readCommitAnchors, verifyProofAnchors } from '../src/guidance/proof-anchor.js';
+import { readProofEnvelopes } from '../src/guidance/proof-store.js';
+import { runEvent } from '../scripts/event-handlers.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `proof-anchor-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function git(cwd, ...args) {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf-8' });
+  if (result.status !== 0) throw new Error(result.stderr);
+  return result.stdout.trim();
+}
+
+function initRepo(cwd) {
+  git(cwd, 'init', '-q');
+  git(cwd, 'config', 'user.name', 'test');
+  git(cwd, 'config', 'user.email', 'test@example.com');
+}
+
+const GUIDANCE = [
+  '# Project Guidance',
+  '',
+  '## Core Invariants',
+  '- NEVER commit secrets or API keys (critical)',
+  '',
+].join('\n');
+
+describe('proof-anchor', () => {
+  let rootDir;
+  let runtime;
+  let store;
+
+  beforeEach(async () => {
+    rootDir = makeTmpDir();
+    writeFileSync(join(rootDir, 'CLAUDE.md'), GUIDANCE);
+    initRepo(rootDir);
+    git(rootDir, 'add', 'CLAUDE.md');
+    git(rootDir, 'commit', '-q', '-m', 'initial');
+
+    runtime = new GuidanceAdvancedRuntime({ rootDir });
+    await runEvent(runtime, 'pre-command', { command: 'git status' });
+    await runEvent(runtime, 'pre-command', { command: 'ls' });
+    store = { dir: runtime.proofPath, keys: runtime.keyring.keysFor('proof') };
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('anchors a new chain tip on HEAD once', async () => {
+    const first = anchorProofTip(rootDir, store);
+    expect(first).toMatchObject({ anchored: true, commit: git(rootDir, 'rev-parse', 'HEAD') });
+    expect(first.anchor).toMatchObject({ length: 2, tipHash: runtime.proofChain.getChainTip().contentHash });
+    expect(anchorProofTip(rootDir, store).reason).toMatch(/already anchored/);
+
+    await runEvent(runtime, 'pre-command', { command: 'pwd' });
+    expect(anchorProofTip(rootDir, store).anchored).toBe(true);
+    expect(readCommitAnchors(rootDir, 'HEAD').map((anchor) => anchor.length)).toEqual([2, 3]);
+    expect(verifyProofAnchors(rootDir, store.dir)).toEqual({ valid: true, anchors: 2, mismatched: [] });
+  });
+
+  it('detects a chain rewritten or truncated after it was anchored', () => {
+    anchorProofTip(rootDir, store);
+    const segment = join(store.dir, 'segment-000001.ndjson');
+    const original = readFileSync(segment, 'utf-8');
+
+    const [firstLine] = original.trim().split('\n');
+    writeFileSync(segment, original.replace('"git status"', '"git stash"'));
+    expect(verifyProofAnchors(rootDir, store.dir).mismatched).toMatchObject([{ length: 2, status: 'mismatch' }]);
+
+    writeFileSync(segment, `${firstLine}\n`);
+    expect(verifyProofAnchors(rootDir, store.dir)).toMatchObject({ valid: false, mismatched: [{ status: 'missing' }] });
+  });
+
+  it('detects an earlier envelope rewritten and its successor relinked', async () => {
+    await runEvent(runtime, 'pre-command', { command: 'pwd' });
+    anchorProofTip(rootDir, store);
+    const segment = join(store.dir, 'segment-000001.ndjson');
+    const [first, second, third] = readFileSync(segment, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+
+    // A rewrite that keeps the tip: new content hash for envelope 2, and
+    // envelope 3 pointed at it.
+    const rewritten = { ...second, contentHash: 'f'.repeat(64) };
+    const relinked = { ...third, previousHash: rewritten.contentHash };
+    writeFileSync(segment, [first, rewritten, relinked].map((line) => `${JSON.stringify(line)}\n`).join(''));
+
+    expect(readProofEnvelopes(store.dir).at(-1).contentHash).toBe(third.contentHash);
+    expect(verifyProofAnchors(rootDir, store.dir)).toMatchObject({
+      valid: false,
+      mismatched: [{ length: 3, status: 'mismatch' }],
+    });
+  });
+
+  it('does nothing outside a git repository or on an empty chain', () => {
+    const plain = makeTmpDir();
+    try {
+      expect(anchorProofTip(plain, store).reason).toMatch(/is not a commit/);
+      expect(verifyProofAnchors(plain, store.dir)).toEqual({ valid: true, anchors: null, mismatched: [] });
+      initRepo(plain);
+      git(plain, 'commit', '-q', '--allow-empty', '-m', 'empty');
+      expect(anchorProofTip(plain, { dir: join(plain, 'none'), keys: store.keys }).reason).toMatch(/empty/);
+    } finally {
+      rmSync(plain, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,97 @@
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import {
+  formatProofExport,
+  readProofEntries,
+  searchProofEntries,
+  summarizeProofEntry,
+  verifyProofStore,
+} from '../src/guidance/proof-audit.js';
+import { runEvent } from '../scripts/event-handlers.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `proof-audit-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const GUIDANCE = [
+  '# Project Guidance',
+  '',
+  '## Core Invariants',
+  '- NEVER commit secrets or API keys (critical)',
+  '',
+].join('\n');
+
+describe('proof-audit', () => {
+  let rootDir;
+  let store;
+
+  beforeEach(async () => {
+    rootDir = makeTmpDir();
+    writeFileSync(join(rootDir, 'CLAUDE.md'), GUIDANCE);
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+    await runEvent(runtime, 'pre-command', { command: 'git status', agentId: 'coder', taskId: 'task-1' });
+    await runEvent(runtime, 'pre-command', { command: 'rm -rf /', agentId: 'coder', taskId: 'task-1' });
+    await runEvent(runtime, 'pre-edit', { filePath: 'src/app.js', content: 'const x = 1;\n', agentId: 'reviewer' });
+    store = { dir: runtime.proofPath, keys: runtime.keyring.keysFor('proof') };
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('verifies the stored chain and reports the first broken line', () => {
+    expect(verifyProofStore(store)).toMatchObject({ valid: true, envelopes: 3, segments: 1, broken: null });
+
+    const segment = join(store.dir, 'segment-000001.ndjson');
+    const lines = readFileSync(segment, 'utf-8').split('\n');
+    lines[1] = lines[1].replace('rm -rf /', 'ls -la /');
+    writeFileSync(segment, lines.join('\n'));
+
+    const result = verifyProofStore(store);
+    expect(result.valid).toBe(false);
+    expect(result.broken).toMatchObject({ file: 'segment-000001.ndjson', line: 2 });
+    expect(result.broken.reason).toMatch(/run event that does not match/);
+  });
+
+  it('summarizes decisions with their run events', () => {
+    const rows = readProofEntries(store).map(summarizeProofEntry);
+    expect(rows.map((row) => [row.hook, row.decision, row.target])).toEqual([
+      ['PreCommand', 'allow', 'git status'],
+      ['PreCommand', 'deny', 'rm -rf /'],
+      ['PreEdit', 'allow', 'src/app.js'],
+    ]);
+    expect(rows[1]).toMatchObject({ agentId: 'coder', taskId: 'task-1' });
+    expect(rows[1].violations).toContain('pre-command-blocked');
+  });
+
+  it('searches by agent, violation, file and command', () => {
+    const entries = readProofEntries(store);
+    const ids = (filters) => searchProofEntries(entries, { rootDir, ...filters })
+      .map((entry) => summarizeProofEntry(entry).target);
+
+    expect(ids({ agent: 'coder' })).toEqual(['git status', 'rm -rf /']);
+    expect(ids({ violation: 'pre-command-*' })).toEqual(['rm -rf /']);
+    expect(ids({ file: join(rootDir, 'src/app.js') })).toEqual(['src/app.js']);
+    expect(ids({ command: 'rm ', task: 'task-1' })).toEqual(['rm -rf /']);
+    expect(ids({ since: Date.now() + 60000 })).toEqual([]);
+  });
+
+  it('exports json, ndjson and csv', () => {
+    const entries = readProofEntries(store);
+    const json = JSON.parse(formatProofExport(entries, 'json'));
+    expect(json.envelopes).toHaveLength(3);
+    expect(json.envelopes[0].record.toolCalls[0].params).toEqual({ command: 'git status' });
+
+    expect(formatProofExport(entries, 'ndjson').trim().split('\n')).toHaveLength(3);
+
+    const csv = formatProofExport(entries, 'csv').trim().split('\n');
+    expect(csv[0]).toBe('envelopeId,timestamp,agentId,sessionId,taskId,hook,decision,violations,target,contentHash,previousHash,keyId');
+    expect(csv[2]).toContain(',PreCommand,deny,');
+    expect(() => formatProofExport(entries, 'xml')).toThrow(/Unknown export format/);
+  });
+});
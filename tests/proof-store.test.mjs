@@ -0,0 +1,140 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { createProofChain } from '@claude-flow/guidance/proof';
+
+import {
+  ProofTamperError,
+  createProofStore,
+  readProofEnvelopes,
+  scanProofStore,
+} from '../src/guidance/proof-store.js';
+import { buildRunEvent } from '../src/guidance/integration-runners.js';
+
+const KEY = 'proof-store-test-key';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `proof-store-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function appendEvents(chain, count, prefix = 'task') {
+  return Array.from({ length: count }, (_, index) => chain.append(
+    buildRunEvent({ taskId: `${prefix}-${index}`, guidanceHash: 'test' }),
+    [],
+    [],
+    { agentId: 'tester', sessionId: 's-1' },
+  ));
+}
+
+describe('proof-store', () => {
+  let dataDir;
+  let dir;
+
+  beforeEach(() => {
+    dataDir = makeTmpDir();
+    dir = join(dataDir, 'proof-chain');
+  });
+
+  afterEach(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const store = (signingKey = KEY) => createProofStore({
+    dir,
+    signingKey,
+    segmentSize: 3,
+    legacyPath: join(dataDir, 'proof-chain.json'),
+  });
+
+  async function storedChain(count) {
+    const chain = createProofChain({ signingKey: KEY });
+    await store().append(chain, appendEvents(chain, count));
+    return chain;
+  }
+
+  it('appends envelopes across segments with signed tips and reloads them', async () => {
+    const chain = await storedChain(7);
+
+    expect(readFileSync(join(dir, 'segment-000003.ndjson'), 'utf-8').trim().split('\n')).toHaveLength(1);
+    const tips = JSON.parse(readFileSync(join(dir, 'tips.json'), 'utf-8')).segments;
+    expect(tips.map((tip) => tip.count)).toEqual([3, 3, 1]);
+    expect(tips.at(-1).tipHash).toBe(chain.getChainTip().contentHash);
+
+    const reloaded = createProofChain({ signingKey: KEY });
+    expect(await store().load(reloaded)).toMatchObject({ length: 7, recovered: [], migrated: 0 });
+    expect(reloaded.verifyChain()).toBe(true);
+    expect(reloaded.getChainTip().envelopeId).toBe(chain.getChainTip().envelopeId);
+  });
+
+  it('truncates a torn tail left by a crash mid-write', async () => {
+    await storedChain(4);
+    appendFileSync(join(dir, 'segment-000002.ndjson'), '{"envelopeId":"half-writ');
+
+    const chain = createProofChain({ signingKey: KEY });
+    const { length, recovered } = await store().load(chain);
+    expect(length).toBe(4);
+    expect(recovered).toEqual([{ file: 'segment-000002.ndjson', truncatedBytes: 24 }]);
+    expect(readFileSync(join(dir, 'segment-000002.ndjson'), 'utf-8').endsWith('\n')).toBe(true);
+
+    await store().append(chain, appendEvents(chain, 1, 'after-crash'));
+    expect(scanProofStore({ dir, signingKey: KEY }).envelopes).toHaveLength(5);
+  });
+
+  it('throws on an edited envelope, a dropped segment tail and a bad key', async () => {
+    await storedChain(4);
+    const first = join(dir, 'segment-000001.ndjson');
+    const original = readFileSync(first, 'utf-8');
+
+    writeFileSync(first, original.replace('"tester"', '"intruder"'));
+    await expect(store().load(createProofChain({ signingKey: KEY }))).rejects.toMatchObject({
+      name: 'ProofTamperError',
+      file: 'segment-000001.ndjson',
+      line: 1,
+    });
+
+    writeFileSync(first, original.split('\n').slice(0, 2).join('\n') + '\n');
+    await expect(store().load(createProofChain({ signingKey: KEY }))).rejects.toThrow(/its signed tip records 3/);
+
+    writeFileSync(first, original);
+    await expect(store('other-key').load(createProofChain({ signingKey: 'other-key' }))).rejects.toThrow(ProofTamperError);
+    rmSync(join(dir, 'segment-000002.ndjson'));
+    await expect(store().load(createProofChain({ signingKey: KEY }))).rejects.toThrow(/segment-000002.ndjson has a signed tip/);
+  });
+
+  it('migrates a legacy proof-chain.json once and refuses one that does not verify', async () => {
+    const legacy = createProofChain({ signingKey: KEY });
+    appendEvents(legacy, 2);
+    writeFileSync(join(dataDir, 'proof-chain.json'), JSON.stringify(legacy.export()));
+
+    const chain = createProofChain({ signingKey: KEY });
+    expect(await store().load(chain)).toMatchObject({ length: 2, migrated: 2 });
+    expect(existsSync(join(dataDir, 'proof-chain.json.migrated'))).toBe(true);
+    expect(readProofEnvelopes(dir).map((envelope) => envelope.envelopeId))
+      .toEqual(legacy.export().envelopes.map((envelope) => envelope.envelopeId));
+
+    rmSync(dir, { recursive: true });
+    writeFileSync(join(dataDir, 'proof-chain.json'), '{"envelopes":[{"broken":true}],"version":1}');
+    await expect(store().load(createProofChain({ signingKey: KEY }))).rejects.toThrow(/does not verify/);
+  });
+
+  it('re-links pending envelopes onto envelopes another process appended', async () => {
+    const first = createProofChain({ signingKey: KEY });
+    const second = createProofChain({ signingKey: KEY });
+    const firstStore = store();
+    const secondStore = store();
+    await firstStore.load(first);
+    await secondStore.load(second);
+
+    await firstStore.append(first, appendEvents(first, 2, 'first'));
+    await secondStore.append(second, appendEvents(second, 2, 'second'));
+
+    expect(second.verifyChain()).toBe(true);
+    expect(second.getChainLength()).toBe(4);
+    const { envelopes } = scanProofStore({ dir, signingKey: KEY });
+    expect(envelopes.map((envelope) => envelope.envelopeId))
+      .toEqual(second.export().envelopes.map((envelope) => envelope.envelopeId));
+  });
+});
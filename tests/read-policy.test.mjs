@@ -0,0 +1,122 @@
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { homedir, tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import {
+  compileReadPolicy,
+  evaluateReadAccess,
+  extractReadRules,
+  redactFileContent,
+} from '../src/guidance/read-policy.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `read-policy-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+describe('read-policy', () => {
+  let rootDir;
+  let policy;
+
+  beforeEach(() => {
+    rootDir = makeTmpDir();
+    policy = compileReadPolicy({ rootDir, bundle: null });
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('denies private keys and ssh material by default', () => {
+    expect(evaluateReadAccess(policy, ['certs/server.pem']).decision).toBe('deny');
+    expect(evaluateReadAccess(policy, [join(homedir(), '.ssh', 'config')]).decision).toBe('deny');
+    expect(evaluateReadAccess(policy, ['~/.aws/credentials']).decision).toBe('deny');
+  });
+
+  it('redacts .env files but allows the committed templates', () => {
+    expect(evaluateReadAccess(policy, ['.env']).decision).toBe('redact');
+    expect(evaluateReadAccess(policy, ['config/.env.production']).decision).toBe('redact');
+    expect(evaluateReadAccess(policy, ['.env.example']).decision).toBe('allow');
+    expect(evaluateReadAccess(policy, [join(homedir(), '.ssh', 'id_ed25519.pub')]).decision).toBe('allow');
+  });
+
+  it('allows ordinary source files', () => {
+    expect(evaluateReadAccess(policy, ['src/index.js', 'README.md'])).toEqual({ decision: 'allow', target: 'src/index.js' });
+  });
+
+  it('compiles read prohibitions from CLAUDE.md rules', () => {
+    const entries = extractReadRules([
+      { id: 'R1', text: 'NEVER read `secrets/**` or `config/prod.yml`' },
+      { id: 'R2', text: 'Always redact `config/local.yml` when reading it' },
+      { id: 'R3', text: 'NEVER commit secrets or API keys' },
+      { id: 'R4', text: 'Do not open ~/.kube/config' },
+      { id: 'R5', text: 'Never read files under `vault/` or `*.secret` (critical)' },
+    ]);
+    expect(entries.map((entry) => [entry.ruleId, entry.pattern, entry.decision])).toEqual([
+      ['R1', 'secrets/**', 'deny'],
+      ['R1', 'config/prod.yml', 'deny'],
+      ['R2', 'config/local.yml', 'redact'],
+      ['R4', '~/.kube/config', 'deny'],
+      ['R5', 'vault', 'deny'],
+      ['R5', '*.secret', 'deny'],
+    ]);
+  });
+
+  it('ignores paths a read verb does not govern', () => {
+    expect(extractReadRules([
+      { id: 'R1', text: 'Never expose API keys or tokens in `src/**/*.ts`' },
+      { id: 'R2', text: 'Do not print debug output from `src/server.js`' },
+      { id: 'R3', text: 'Never access the network in `tests/`' },
+      { id: 'R4', text: 'Never read the logs before checking `src/app.js`' },
+    ])).toEqual([]);
+  });
+
+  it('asks before a search over a directory with restricted files beneath it', () => {
+    mkdirSync(join(rootDir, 'src'), { recursive: true });
+    mkdirSync(join(rootDir, 'node_modules/pkg'), { recursive: true });
+    writeFileSync(join(rootDir, 'src/app.js'), '');
+    writeFileSync(join(rootDir, 'node_modules/pkg/.env'), '');
+
+    expect(evaluateReadAccess(policy, ['.'], { search: true }).decision).toBe('allow');
+    expect(evaluateReadAccess(policy, [rootDir], { search: false }).decision).toBe('allow');
+
+    writeFileSync(join(rootDir, 'src/.env'), 'API_KEY=x\n');
+    expect(evaluateReadAccess(policy, ['.'], { search: true })).toMatchObject({
+      decision: 'ask',
+      target: '.',
+      pattern: '.env',
+      covers: ['src/.env'],
+    });
+    expect(evaluateReadAccess(policy, ['src/app.js'], { search: true }).decision).toBe('allow');
+    expect(evaluateReadAccess(policy, ['.'], { search: false }).decision).toBe('allow');
+  });
+
+  it('attributes a decision to the CLAUDE.md rule that produced it', () => {
+    const bundle = { constitution: { rules: [{ id: 'R1', text: 'NEVER read `secrets/**`' }] }, shards: [] };
+    const access = evaluateReadAccess(compileReadPolicy({ rootDir, bundle }), ['secrets/db/password.txt']);
+    expect(access).toMatchObject({ decision: 'deny', ruleId: 'R1', source: 'claude-md', pattern: 'secrets/**' });
+  });
+
+  it('reads extra patterns from read-policy.json, with allow taking precedence', () => {
+    mkdirSync(join(rootDir, '.claude-flow/guidance'), { recursive: true });
+    writeFileSync(join(rootDir, '.claude-flow/guidance/read-policy.json'), JSON.stringify({
+      deny: ['data/customers/**'],
+      allow: ['fixtures/.env'],
+    }));
+    const configured = compileReadPolicy({ rootDir, bundle: null });
+
+    expect(evaluateReadAccess(configured, ['data/customers/2026.csv'])).toMatchObject({ decision: 'deny', source: 'config' });
+    expect(evaluateReadAccess(configured, ['fixtures/.env']).decision).toBe('allow');
+  });
+
+  it('masks values but keeps keys, comments and structure', () => {
+    const envPath = join(rootDir, '.env');
+    writeFileSync(envPath, '# database\nDB_PASSWORD=hunter2\nexport API_KEY="abc"\n\nservice:\n  token: xyz\n');
+
+    expect(redactFileContent(envPath)).toBe(
+      '# database\nDB_PASSWORD=[REDACTED]\nexport API_KEY=[REDACTED]\n\nservice:\n  token: [REDACTED]\n'
+    );
+    expect(redactFileContent(join(rootDir, 'missing.env'))).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { mkdirSync, rmSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { tmpdir } from 'node:os';
+
+import {
+  failureSignature,
+  getSessionTestResults,
+  getUnresolvedViolations,
+  isTestCommand,
+  readSessionRecords,
+  recordSessionEdit,
+  recordSessionFailure,
+  recordSessionTestRun,
+  recordSessionViolations,
+  resolveSessionViolations,
+  testsPendingAfterEdits,
+  writeSessionRecords,
+} from '../src/guidance/session-records.js';
+
+describe('session-records', () => {
+  let runtime;
+
+  beforeEach(() => {
+    const dataDir = resolve(tmpdir(), `session-records-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(dataDir, { recursive: true });
+    runtime = { dataDir };
+  });
+
+  afterEach(() => {
+    rmSync(runtime.dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps only the most recently updated sessions', () => {
+    const path = resolve(runtime.dataDir, 'records.json');
+    const state = {};
+    for (let i = 0; i < 60; i++) state[`s${i}`] = { updatedAt: i };
+    writeSessionRecords(path, state);
+
+    const saved = readSessionRecords(path);
+    expect(Object.keys(saved)).toHaveLength(50);
+    expect(saved.s59).toBeDefined();
+    expect(saved.s0).toBeUndefined();
+  });
+
+  it('treats violations of blocked actions as resolved', () => {
+    const violation = { ruleId: 'r1', description: 'x', severity: 'high', autoCorrected: false };
+    recordSessionViolations(runtime, 's1', 'pre-command', [violation], { blocked: true });
+    recordSessionViolations(runtime, 's1', 'pre-edit', [{ ...violation, ruleId: 'r2' }]);
+    recordSessionViolations(runtime, 's1', 'pre-edit', [{ ...violation, ruleId: 'r3', severity: 'medium' }]);
+
+    expect(getUnresolvedViolations(runtime, 's1').map((v) => v.ruleId)).toEqual(['r2']);
+  });
+
+  it('resolves the violations on one file', () => {
+    const violation = { ruleId: 'r1', description: 'x', severity: 'high', autoCorrected: false };
+    recordSessionViolations(runtime, 's1', 'pre-edit', [violation], { filePath: 'src/a.js' });
+    recordSessionViolations(runtime, 's1', 'pre-edit', [{ ...violation, ruleId: 'r2' }], { filePath: 'src/b.js' });
+    recordSessionViolations(runtime, 's1', 'pre-command', [{ ...violation, ruleId: 'r3' }]);
+
+    expect(resolveSessionViolations(runtime, 's1', { filePath: 'src/a.js', resolvedBy: 'clean-edit' })).toBe(1);
+    expect(getUnresolvedViolations(runtime, 's1').map((v) => v.ruleId)).toEqual(['r2', 'r3']);
+
+    expect(resolveSessionViolations(runtime, 's1', { filePath: 'src/a.js', resolvedBy: 'clean-edit' })).toBe(0);
+  });
+
+  it('tracks whether tests ran after the last code edit', async () => {
+    expect(testsPendingAfterEdits(runtime, 's1')).toBe(false);
+    recordSessionEdit(runtime, 's1', 'src/a.js');
+    expect(testsPendingAfterEdits(runtime, 's1')).toBe(true);
+
+    await new Promise((done) => setTimeout(done, 5));
+    recordSessionTestRun(runtime, 's1', 'npx vitest run');
+    expect(testsPendingAfterEdits(runtime, 's1')).toBe(false);
+  });
+
+  it('keeps the last test results until a later run replaces them', () => {
+    const before = Date.now();
+    recordSessionTestRun(runtime, 's1', 'npm test', { ran: true, passed: 3, failed: 0, skipped: 0 });
+    recordSessionTestRun(runtime, 's1', 'npm test');
+
+    expect(getSessionTestResults(runtime, 's1', before)).toMatchObject({ passed: 3 });
+    expect(getSessionTestResults(runtime, 's1', Date.now() + 1000)).toBeNull();
+    expect(getSessionTestResults(runtime, 'other')).toBeNull();
+  });
+
+  it('recognises common test runner commands', () => {
+    for (const command of ['npm test', 'pnpm run test', 'npx vitest run', 'jest --ci', 'pytest -q',
+      'python -m pytest', 'node --test', 'go test ./...', 'cargo test', 'make check', 'cd app && npm test -- --ci',
+      'sh -c "npx jest"']) {
+      expect(isTestCommand(command)).toBe(true);
+    }
+    for (const command of ['git status', 'npm install', 'cat test.txt', 'ls tests', 'cat jest.config.js',
+      'ls tox.ini', 'grep -r pytest .', 'echo npm test']) {
+      expect(isTestCommand(command)).toBe(false);
+    }
+  });
+
+  it('counts identical failures and retries', () => {
+    const a = failureSignature('Bash', 'npm test', 'failed in 12ms');
+    const b = failureSignature('Bash', 'npm run lint', 'failed');
+    expect(failureSignature('Bash', 'npm test', 'failed in 48ms')).toBe(a);
+
+    recordSessionFailure(runtime, 's1', { signature: a, toolName: 'Bash' });
+    recordSessionFailure(runtime, 's1', { signature: b, toolName: 'Bash' });
+    const result = recordSessionFailure(runtime, 's1', { signature: a, toolName: 'Bash' });
+
+    expect(result).toEqual({ failureCount: 3, repeatCount: 2, reworkCount: 1 });
+  });
+});
@@ -0,0 +1,140 @@
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+
+import { GuidanceAdvancedRuntime } from '../src/guidance/advanced-runtime.js';
+import { listApprovals } from '../src/guidance/approvals.js';
+import { readSessionRecord } from '../src/guidance/session-records.js';
+import {
+  decisionRules,
+  loadShadowMode,
+  shadowCoverage,
+  shadowModePath,
+  summarizeWouldBlock,
+} from '../src/guidance/shadow-mode.js';
+import { runEvent } from '../scripts/event-handlers.js';
+
+function makeTmpDir() {
+  const dir = resolve(tmpdir(), `shadow-mode-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const GUIDANCE = [
+  '# Project Guidance',
+  '',
+  '## Core Invariants',
+  '- NEVER commit secrets or API keys (critical)',
+  '- NEVER read `config/prod.yml` (critical)',
+  '',
+].join('\n');
+
+const violation = (ruleId, description = '') => ({ ruleId, description, severity: 'high', autoCorrected: false });
+
+describe('shadow-mode', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = makeTmpDir();
+    writeFileSync(join(rootDir, 'CLAUDE.md'), GUIDANCE);
+  });
+
+  afterEach(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  function writeShadowMode(config) {
+    mkdirSync(join(rootDir, '.claude-flow/guidance'), { recursive: true });
+    writeFileSync(shadowModePath(rootDir), JSON.stringify(config));
+  }
+
+  it('covers a decision only when every rule behind it is shadowed', () => {
+    const policy = { enabled: false, rules: ['threat-*', 'description:config/prod.yml', 'rm'] };
+    const threat = [violation('threat-prompt-injection'), violation('pre-command-warning-1')];
+
+    expect(decisionRules(threat)).toEqual(['threat-prompt-injection']);
+    expect(shadowCoverage(policy, threat)).toBe('rule');
+    expect(shadowCoverage(policy, [violation('R002', 'Read of config/prod.yml is denied')])).toBe('rule');
+    expect(shadowCoverage(policy, [violation('shell-structure', '"rm -rf /" (command): recursive delete')])).toBeNull();
+    expect(shadowCoverage({ enabled: false, rules: ['description:'] }, [violation('R002', 'x')])).toBeNull();
+    expect(shadowCoverage(policy, [...threat, violation('pre-command-blocked')])).toBeNull();
+    expect(shadowCoverage({ enabled: true, rules: [] }, [])).toBe('global');
+    expect(loadShadowMode({ rootDir, env: { GUIDANCE_SHADOW_MODE: '1' } }).enabled).toBe(true);
+  });
+
+  it('records a would-block decision and allows the call in global shadow mode', async () => {
+    writeShadowMode({ enabled: true });
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+
+    const result = await runEvent(runtime, 'pre-command', { command: 'git status && bash -c "rm -rf /"', sessionId: 's-1' });
+    expect(result.blocked).toBe(false);
+    expect(result.success).toBe(true);
+    expect(result.shadowMode).toBe(true);
+    expect(result.shadow).toMatchObject({ coverage: 'global', decision: 'deny' });
+    expect(result.shadow.rules).toContain('pre-command-blocked');
+
+    const [decision, shadow] = runtime.proofChain.export().envelopes.slice(-2);
+    expect(shadow.envelopeId).toBe(result.shadow.envelopeId);
+    expect(shadow.metadata.parentEnvelopeId).toBe(decision.envelopeId);
+
+    const [event] = runtime.phase1.ledger.getEvents().filter((entry) => entry.wouldBlock);
+    expect(event).toMatchObject({ hookEvent: 'pre-command', shadowDecision: 'deny', outcomeAccepted: true });
+  });
+
+  it('shadows listed rules and keeps enforcing the others', async () => {
+    writeShadowMode({ rules: ['description:config/prod.yml'] });
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+
+    const read = await runEvent(runtime, 'pre-read', { paths: ['config/prod.yml'], sessionId: 's-2' });
+    expect(read.blocked).toBe(false);
+    expect(read.decision).toBe('allow');
+    expect(read.shadow).toMatchObject({ coverage: 'rule', decision: 'deny' });
+    expect(read.shadowMode).toBeUndefined();
+
+    const command = await runEvent(runtime, 'pre-command', { command: 'rm -rf /', sessionId: 's-2' });
+    expect(command.blocked).toBe(true);
+    expect(command.shadow).toBeUndefined();
+  });
+
+  it('requests no approval and records no blocked violations for a shadowed block', async () => {
+    writeShadowMode({ rules: ['authority-blocked', 'pre-command-blocked'] });
+    const runtime = new GuidanceAdvancedRuntime({ rootDir });
+
+    const result = await runEvent(runtime, 'pre-command', { command: 'npm run deploy-production', sessionId: 's-3' });
+    expect(result.blocked).toBe(false);
+    expect(result.authorityBlocked).toBe(true);
+    expect(result.approval).toBeNull();
+    expect(result.shadow).toMatchObject({ coverage: 'rule', rules: ['authority-blocked', 'pre-command-blocked'] });
+    expect(listApprovals(rootDir)).toEqual([]);
+    expect(readSessionRecord(runtime, 'session-violations.json', 's-3')).toBeNull();
+
+    writeShadowMode({ rules: [] });
+    const enforced = await runEvent(new GuidanceAdvancedRuntime({ rootDir }), 'pre-command', {
+      command: 'npm run deploy-production',
+      sessionId: 's-3',
+    });
+    expect(enforced.approval).toMatchObject({ status: 'pending' });
+    expect(listApprovals(rootDir)).toHaveLength(1);
+  });
+
+  it('counts would-block events per rule inside a time window', () => {
+    const event = (timestamp, hookEvent, shadowRules, shadowDecision = 'deny') => ({
+      wouldBlock: true, timestamp, hookEvent, shadowRules, shadowDecision,
+    });
+    const report = summarizeWouldBlock([
+      event(1000, 'pre-command', ['threat-prompt-injection', 'pre-command-blocked']),
+      event(2000, 'pre-command', ['pre-command-blocked']),
+      event(3000, 'pre-fetch', [], 'ask'),
+      event(9000, 'pre-command', ['pre-command-blocked']),
+      { wouldBlock: false, timestamp: 2500, hookEvent: 'pre-edit' },
+    ], { since: 0, until: 5000 });
+
+    expect(report).toMatchObject({ wouldBlock: 2, wouldAsk: 1 });
+    expect(report.rules.map((entry) => [entry.rule, entry.wouldBlock, entry.wouldAsk])).toEqual([
+      ['pre-command-blocked', 2, 0],
+      ['pre-fetch-ask', 0, 1],
+      ['threat-prompt-injection', 1, 0],
+    ]);
+    expect(report.rules[0]).toMatchObject({ events: { 'pre-command': 2 }, lastAt: new Date(2000).toISOString() });
+  });
+});
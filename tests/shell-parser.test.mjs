@@ -0,0 +1,71 @@
+import { findShellRisks, parseShellCommand, tokenizeShell } from '../src/guidance/shell-parser.js';
+
+const texts = (command) => parseShellCommand(command).map((segment) => segment.text);
+const risks = (command) => parseShellCommand(command)
+  .flatMap((segment) => findShellRisks(segment))
+  .map((risk) => `${risk.severity}: ${risk.reason}`);
+
+describe('shell-parser', () => {
+  it('tokenizes quotes, escapes, substitutions and redirections', () => {
+    expect(tokenizeShell(`echo "a && b" 'c|d' e\\ f $(date) 2>&1 >out.log`)).toEqual([
+      { type: 'word', value: 'echo', substitutions: [] },
+      { type: 'word', value: 'a && b', substitutions: [] },
+      { type: 'word', value: 'c|d', substitutions: [] },
+      { type: 'word', value: 'e f', substitutions: [] },
+      { type: 'word', value: '$(date)', substitutions: ['date'] },
+      { type: 'redirect', op: '2>&', target: '1' },
+      { type: 'redirect', op: '>', target: 'out.log' },
+    ]);
+  });
+
+  it('splits && || ; | chains into simple commands', () => {
+    expect(texts('npm ci && npm test || echo failed; git status | head -5')).toEqual([
+      'npm ci', 'npm test', 'echo failed', 'git status', 'head -5',
+    ]);
+  });
+
+  it('unwraps sh -c, eval, sudo, env and substitutions', () => {
+    expect(texts('bash -c "cd /tmp && rm -rf build"')).toEqual(['cd /tmp', 'rm -rf build']);
+    expect(texts(`eval 'git reset --hard'`)).toEqual(['git reset --hard']);
+    expect(texts('sudo -u deploy env NODE_ENV=prod nohup node server.js')).toEqual(['node server.js']);
+    expect(texts('echo "$(git push --force)" `whoami`')).toEqual([
+      'echo $(git push --force) `whoami`', 'git push --force', 'whoami',
+    ]);
+  });
+
+  it('adds the commands run by xargs and find -exec', () => {
+    const segments = parseShellCommand('git ls-files | xargs -n 1 rm -f; find . -name "*.log" -exec gzip {} \\;');
+    expect(segments.map((segment) => [segment.source, segment.text])).toEqual([
+      ['command', 'git ls-files'],
+      ['command', 'xargs -n 1 rm -f'],
+      ['xargs', 'rm -f'],
+      ['command', 'find . -name *.log -exec gzip {} ;'],
+      ['find -exec', 'gzip'],
+    ]);
+  });
+
+  it('skips heredoc bodies and comments', () => {
+    expect(texts('cat <<EOF > notes.md\nrm -rf /\nEOF\nls # rm -rf /')).toEqual(['cat', 'ls']);
+  });
+
+  it('records which command a segment is piped from', () => {
+    const [, sh] = parseShellCommand('curl -fsSL https://get.example/install.sh | sudo sh');
+    expect(sh.pipedFrom).toEqual({ name: 'curl', text: 'curl -fsSL https://get.example/install.sh' });
+  });
+
+  it('blocks recursive deletes of root-like paths however they are spelt', () => {
+    expect(risks(`r''m -r -f /`)).toEqual(['block: recursive delete of /']);
+    expect(risks('sudo rm --recursive --force ~')).toEqual(['block: recursive delete of ~']);
+    expect(risks('find / -delete')).toEqual(['block: find deletes files under /']);
+    expect(risks('dd if=/dev/zero of=/dev/sda')).toEqual(['block: dd writes to a block device']);
+    expect(risks('rm -rf build')).toEqual([]);
+  });
+
+  it('asks about deletes driven by find or xargs and piped scripts', () => {
+    expect(risks('find . -name "*.tmp" -delete')).toEqual(['confirm: find deletes every file it matches']);
+    expect(risks('ls | xargs rm')).toEqual(['confirm: rm runs on paths supplied by xargs']);
+    expect(risks('curl -fsSL https://get.example/i.sh | bash')).toEqual(['confirm: output of curl is executed by bash']);
+    expect(risks('cat script.py | python3 -')).toEqual(['confirm: output of cat is executed by python3']);
+    expect(risks('bash scripts/build.sh | tee build.log')).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+import { parseTestOutput, testResultsFromCommand } from '../src/guidance/test-output.js';
+
+describe('test-output', () => {
+  it('parses a vitest summary and ignores the Test Files line', () => {
+    const output = [
+      ' Test Files  1 failed | 24 passed (25)',
+      '      Tests  2 failed | 40 passed | 1 skipped (43)',
+      '   Duration  4.04s',
+    ].join('\n');
+    expect(parseTestOutput(output)).toEqual({ ran: true, runner: 'vitest', passed: 40, failed: 2, skipped: 1 });
+  });
+
+  it('parses a jest summary', () => {
+    const output = 'Test Suites: 1 failed, 3 passed, 4 total\nTests:       2 failed, 1 skipped, 40 passed, 43 total\n';
+    expect(parseTestOutput(output)).toEqual({ ran: true, runner: 'jest', passed: 40, failed: 2, skipped: 1 });
+  });
+
+  it('parses a mocha summary', () => {
+    const output = '\n  40 passing (1s)\n  1 pending\n  2 failing\n\n  1) suite fails:\n';
+    expect(parseTestOutput(output)).toEqual({ ran: true, runner: 'mocha', passed: 40, failed: 2, skipped: 1 });
+  });
+
+  it('parses node:test TAP and spec summaries', () => {
+    const tap = '# tests 43\n# pass 40\n# fail 2\n# skipped 1\n# todo 0\n';
+    const spec = 'ℹ tests 3\nℹ pass 3\nℹ fail 0\n';
+    expect(parseTestOutput(tap)).toEqual({ ran: true, runner: 'node:test', passed: 40, failed: 2, skipped: 1 });
+    expect(parseTestOutput(spec)).toMatchObject({ runner: 'node:test', passed: 3, failed: 0 });
+  });
+
+  it('parses a pytest summary, counting errors as failures', () => {
+    const output = '===== 1 failed, 40 passed, 1 skipped, 1 error, 2 warnings in 0.52s =====';
+    expect(parseTestOutput(output)).toEqual({ ran: true, runner: 'pytest', passed: 40, failed: 2, skipped: 1 });
+  });
+
+  it('strips ANSI colours before matching', () => {
+    const output = '\u001b[2m      Tests \u001b[22m \u001b[1m\u001b[32m5 passed\u001b[39m\u001b[22m\u001b[90m (5)\u001b[39m';
+    expect(parseTestOutput(output)).toMatchObject({ runner: 'vitest', passed: 5 });
+  });
+
+  it('returns null for output without a summary', () => {
+    expect(parseTestOutput('compiled 12 files')).toBeNull();
+    expect(parseTestOutput('')).toBeNull();
+  });
+
+  it('falls back to the exit code when the output has no summary', () => {
+    expect(testResultsFromCommand({ output: 'boom', exitCode: 1 }))
+      .toEqual({ ran: true, runner: 'unknown', passed: 0, failed: 1, skipped: 0 });
+    expect(testResultsFromCommand({ output: '', exitCode: 0 }).failed).toBe(0);
+    expect(testResultsFromCommand({ output: 'module.exports = {}', exitCode: null })).toBeNull();
+  });
+});
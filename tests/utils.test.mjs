@@ -10,6 +10,7 @@ import {
   safeArray,
   ensureDir,
   writeJson,
+  sinceTimestamp,
   nowIso,
   outcomeFromHookResult,
   severityFromThreat,
@@ -568,3 +569,28 @@ describe('severityFromThreat', () => {
     expect(severityFromThreat({ severity: 0.5 })).toBe('medium');
   });
 });
+
+// ===========================================================================
+// sinceTimestamp
+// ===========================================================================
+
+describe('sinceTimestamp', () => {
+  const now = Date.parse('2026-03-10T12:00:00Z');
+
+  it('subtracts minute, hour, day and week durations from now', () => {
+    expect(sinceTimestamp('30m', now)).toBe(now - 30 * 60000);
+    expect(sinceTimestamp('24h', now)).toBe(now - 24 * 3600000);
+    expect(sinceTimestamp('7d', now)).toBe(now - 7 * 86400000);
+    expect(sinceTimestamp('2w', now)).toBe(now - 14 * 86400000);
+  });
+
+  it('parses dates', () => {
+    expect(sinceTimestamp('2026-03-01T00:00:00Z', now)).toBe(Date.parse('2026-03-01T00:00:00Z'));
+  });
+
+  it('returns null for anything else', () => {
+    expect(sinceTimestamp('soon', now)).toBeNull();
+    expect(sinceTimestamp('', now)).toBeNull();
+    expect(sinceTimestamp(undefined, now)).toBeNull();
+  });
+});